@@ -0,0 +1,87 @@
+(function () {
+  "use strict";
+
+  // Elements
+  const form = document.getElementById("batchForm");
+  const images = document.getElementById("images");
+  const archive = document.getElementById("archive");
+  const submitBtn = document.getElementById("submitBatch");
+  const result = document.getElementById("batchResult");
+
+  const VERDICT_ICONS = { pass: "✅", fail: "❌", error: "⚠️" };
+  const COLUMNS = [
+    ["row", "#"],
+    ["filename", "File"],
+    ["brandName", "Brand Name"],
+    ["verdict", "Result"],
+    ["reason", "Details"],
+  ];
+
+  // One table row per manifest row, linking to the stored submission
+  function resultsTable(results) {
+    const table = document.createElement("table");
+    table.className = "batch-table";
+
+    const head = table.createTHead().insertRow();
+    COLUMNS.forEach(([, title]) => {
+      const th = document.createElement("th");
+      th.textContent = title;
+      head.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    results.forEach((r) => {
+      const tr = body.insertRow();
+      tr.className = `verdict-${r.verdict}`;
+      COLUMNS.forEach(([key]) => {
+        const td = tr.insertCell();
+        if (key === "verdict") {
+          td.textContent = `${VERDICT_ICONS[r.verdict] || ""} ${r.verdict}`;
+        } else if (key === "filename" && r.submissionId) {
+          const a = document.createElement("a");
+          a.href = `/submissions/${r.submissionId}`;
+          a.textContent = r.filename;
+          td.appendChild(a);
+        } else {
+          td.textContent = r[key] == null ? "" : String(r[key]);
+        }
+      });
+    });
+    return table;
+  }
+
+  form.addEventListener("submit", async (ev) => {
+    ev.preventDefault();
+    if (!form.reportValidity()) return;
+    if (images.files.length === 0 && archive.files.length === 0) {
+      result.textContent = "Please choose the label images or a ZIP of them.";
+      return;
+    }
+
+    result.textContent = "Uploading and verifying labels...";
+    submitBtn.disabled = true;
+    try {
+      const res = await fetch(form.action, {
+        method: "POST",
+        body: new FormData(form),
+      });
+      const json = await res.json();
+      result.innerHTML = "";
+
+      const message = document.createElement("p");
+      message.textContent = json.reason || "Batch verification failed.";
+      result.appendChild(message);
+      if (!json.batchId) return;
+
+      const download = document.createElement("a");
+      download.href = `/batches/${json.batchId}?format=csv`;
+      download.textContent = "Download results (CSV)";
+      result.appendChild(download);
+      result.appendChild(resultsTable(json.results));
+    } catch (err) {
+      result.textContent = "Network error while verifying the batch.";
+    } finally {
+      submitBtn.disabled = false;
+    }
+  });
+})();
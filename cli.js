@@ -0,0 +1,610 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { parseArgs } = require("util");
+
+require("dotenv").config();
+
+const {
+  extractRequestData,
+  verifySubmission,
+} = require("./lib/upload-processor");
+const { parseManifest, mapWithConcurrency } = require("./lib/batch-processor");
+const { failedRules } = require("./lib/rule-engine");
+const { MIME_TYPES } = require("./lib/image-normalizer");
+const { tenantStore } = require("./lib/tenant-store");
+const { createLogger } = require("./lib/logger");
+const { verifySignature } = require("./lib/webhook-dispatcher");
+
+/**
+ * Label Verification CLI
+ * Runs the same normalize / OCR / verify pipeline as the web app on files
+ * from disk, for scripted checks such as a pre-print artwork pipeline,
+ * manages the tenants and API keys of the server and runs a local receiver
+ * for trying out webhooks
+ */
+
+// Exit codes
+const EXIT_PASS = 0;
+const EXIT_FAIL = 1;
+const EXIT_ERROR = 2;
+
+const FORMATS = ["text", "json", "junit"];
+
+// Reports go to stdout, so log lines go to stderr and only warnings and
+// errors are logged unless LOG_LEVEL says otherwise
+const log = createLogger(
+  {},
+  {
+    level: process.env.LOG_LEVEL || "warn",
+    write: (level, line) => process.stderr.write(line + "\n"),
+  }
+);
+
+const FIELD_LABELS = {
+  brandName: "Brand name",
+  productClass: "Class/type",
+  alcoholContent: "Alcohol content",
+  netContents: "Net contents",
+  healthWarning: "Health warning",
+};
+
+const USAGE = `Usage:
+  ocr-label verify <image> [field options] [--back <image>] [--neck <image>]
+  ocr-label verify <directory> [field options]
+  ocr-label verify --manifest <labels.csv|labels.json> [--images <directory>]
+  ocr-label tenant add <id> [--name <name>] [--commodity <type>]
+  ocr-label tenant list
+  ocr-label key create <tenant> [--name <who or what it is for>] [--role reviewer]
+  ocr-label key list
+  ocr-label key revoke <key id>
+  ocr-label webhook receive [--port <n>] [--secret <secret>] [--fail <n>]
+
+Field options (in manifest mode, defaults for rows that leave them blank):
+  --brand <text>         Brand name
+  --class <text>         Class/type designation
+  --abv <number>         Alcohol content (% ABV)
+  --net <text>           Net contents, e.g. "750 mL"
+  --health-warning       Check the government health warning
+  --commodity <type>     Product type rule file: spirits, wine or malt
+
+Other options:
+  --format <format>      text (default), json or junit
+  --concurrency <n>      Labels verified at once (default 2)
+  --save                 Also record each verification in the submission store
+  --tenant <id>          Verify with a tenant's settings; saved records are its own
+  -h, --help             Show this help
+
+A directory is verified image by image against the same field values.
+Manifest rows name their image in a "filename" column, relative to the
+manifest (or --images); the other columns are the field values.
+
+Tenants are the organizations the server is hosted for. Once a key exists,
+the server requires one; a key is shown only when it is created. Keys have
+the submitter role unless created with --role reviewer, which is needed to
+save human reviews; name a reviewer key after its holder, since the name is
+recorded as the reviewer. Tenant
+settings (commodity, matchThresholds, rateLimitPerMinute, rateLimitPerDay)
+can be edited in the tenants file.
+
+The webhook receiver prints each delivery as a line of JSON until stopped
+with Ctrl+C. With --secret it answers 401 to deliveries whose signature is
+wrong; --fail answers 500 to the first n deliveries to try out retries.
+The receiver listens on port 4990 unless --port says otherwise.
+
+Exit status: 0 all labels passed, 1 a label failed, 2 a label could not be
+checked or the command was used incorrectly.`;
+
+const OPTIONS = {
+  brand: { type: "string" },
+  class: { type: "string" },
+  abv: { type: "string" },
+  net: { type: "string" },
+  "health-warning": { type: "boolean" },
+  commodity: { type: "string" },
+  back: { type: "string" },
+  neck: { type: "string" },
+  manifest: { type: "string" },
+  images: { type: "string" },
+  format: { type: "string", default: "text" },
+  concurrency: { type: "string", default: "2" },
+  save: { type: "boolean" },
+  tenant: { type: "string" },
+  name: { type: "string" },
+  role: { type: "string" },
+  port: { type: "string", default: "4990" },
+  secret: { type: "string" },
+  fail: { type: "string", default: "0" },
+  help: { type: "boolean", short: "h" },
+};
+
+/**
+ * Error for incorrect usage, reported with the usage text
+ */
+function usageError(message) {
+  const err = new Error(message);
+  err.code = "USAGE";
+  return err;
+}
+
+/**
+ * Form-style field values from the command-line options
+ */
+function fieldValues(values) {
+  return {
+    brandName: values.brand,
+    productClass: values.class,
+    alcoholContent: values.abv,
+    netContents: values.net,
+    healthWarning: values["health-warning"] ? "on" : undefined,
+    commodity: values.commodity,
+  };
+}
+
+/**
+ * Read an image file as the upload pipeline expects it
+ * @returns {object|null} { buffer, filename, mimetype }, or null when missing
+ */
+function readImage(file) {
+  let buffer;
+  try {
+    buffer = fs.readFileSync(file);
+  } catch (e) {
+    if (e.code === "ENOENT" || e.code === "EISDIR") return null;
+    throw e;
+  }
+  return {
+    buffer,
+    filename: path.basename(file),
+    mimetype: MIME_TYPES[path.extname(file).toLowerCase()] || "",
+  };
+}
+
+/**
+ * Turn the command line into the labels to verify
+ * @param {object} values - Parsed options
+ * @param {string[]} positionals - Command and paths
+ * @returns {object[]} [{ name, files: [{ panel, file }], fields }]
+ * @throws {Error} With code "USAGE" for incorrect usage, or "BAD_MANIFEST"
+ */
+function planLabels(values, positionals) {
+  const [command, target, ...extra] = positionals;
+  if (command !== "verify") {
+    throw usageError(
+      command ? `Unknown command: ${command}` : "No command given"
+    );
+  }
+  if (extra.length > 0) {
+    throw usageError(`Unexpected argument: ${extra[0]}`);
+  }
+  const defaults = fieldValues(values);
+
+  if (values.manifest) {
+    if (target) throw usageError("Give either --manifest or a path, not both");
+    const rows = parseManifest({
+      buffer: fs.readFileSync(values.manifest),
+      originalname: values.manifest,
+    });
+    const dir = values.images || path.dirname(values.manifest);
+    return rows.map((row) => {
+      const fields = { ...defaults };
+      Object.entries(row).forEach(([key, value]) => {
+        if (value !== "" && value !== null && value !== undefined) {
+          fields[key] = String(value);
+        }
+      });
+      return {
+        name: row.filename,
+        files: [{ panel: "front", file: path.resolve(dir, row.filename) }],
+        fields,
+      };
+    });
+  }
+
+  if (!target) throw usageError("No image, directory or --manifest given");
+  if (fs.existsSync(target) && fs.statSync(target).isDirectory()) {
+    if (values.back || values.neck) {
+      throw usageError("--back and --neck apply to a single image");
+    }
+    return fs
+      .readdirSync(target)
+      .filter(
+        (name) =>
+          !name.startsWith(".") && MIME_TYPES[path.extname(name).toLowerCase()]
+      )
+      .sort()
+      .map((name) => ({
+        name,
+        files: [{ panel: "front", file: path.join(target, name) }],
+        fields: defaults,
+      }));
+  }
+
+  const files = [{ panel: "front", file: target }];
+  if (values.back) files.push({ panel: "back", file: values.back });
+  if (values.neck) files.push({ panel: "neck", file: values.neck });
+  return [{ name: target, files, fields: defaults }];
+}
+
+/**
+ * Verify one label
+ * @returns {Promise<object>} { name, commodity, verdict, reason, found,
+ *   missing, failedRules, result } where result is the verification body
+ */
+async function verifyLabel(label, options) {
+  const error = (reason) => ({
+    name: label.name,
+    commodity: label.fields.commodity || null,
+    verdict: "error",
+    reason,
+    found: [],
+    missing: [],
+    failedRules: [],
+  });
+
+  const panels = [];
+  for (const { panel, file } of label.files) {
+    const image = readImage(file);
+    if (!image) return error(`Image not found: ${file}`);
+    panels.push({ panel, image });
+  }
+
+  try {
+    const { status, body } = await verifySubmission(
+      panels,
+      extractRequestData(label.fields),
+      { save: options.save, notify: false, tenant: options.tenant, log }
+    );
+    const labelChecks = body.labelChecks;
+    return {
+      name: label.name,
+      // A tenant's default product type may have filled it in
+      commodity:
+        (body.submittedFields && body.submittedFields.commodity) ||
+        label.fields.commodity ||
+        null,
+      verdict: status === 200 ? (body.success ? "pass" : "fail") : "error",
+      reason: body.reason || null,
+      found: labelChecks ? labelChecks.found : [],
+      missing: labelChecks ? labelChecks.missing : [],
+      failedRules: labelChecks ? failedRules(labelChecks.rules) : [],
+      result: body,
+    };
+  } catch (err) {
+    return error(err && err.message ? err.message : String(err));
+  }
+}
+
+/**
+ * Lines explaining why a label failed
+ */
+function failureDetails(outcome) {
+  const fields = (outcome.result && outcome.result.labelChecks.fields) || {};
+  return [
+    ...outcome.missing.map((key) =>
+      fields[key] && fields[key].explanation
+        ? fields[key].explanation
+        : `${FIELD_LABELS[key] || key} not found on the label`
+    ),
+    ...outcome.failedRules.map(
+      (rule) =>
+        `Rule ${rule.id}: ${rule.detail}${
+          rule.citation ? ` (${rule.citation})` : ""
+        }`
+    ),
+  ];
+}
+
+/**
+ * Count verdicts
+ */
+function summarize(outcomes) {
+  const summary = { total: outcomes.length, pass: 0, fail: 0, error: 0 };
+  outcomes.forEach((o) => {
+    summary[o.verdict] += 1;
+  });
+  return summary;
+}
+
+/**
+ * Human-readable report
+ */
+function formatText(outcomes, summary) {
+  const lines = [];
+  outcomes.forEach((o) => {
+    const tag = o.verdict.toUpperCase().padEnd(5);
+    lines.push(
+      o.verdict === "pass"
+        ? `${tag} ${o.name}`
+        : `${tag} ${o.name} - ${o.reason}`
+    );
+    if (o.verdict === "fail") {
+      failureDetails(o).forEach((detail) => lines.push(`      ${detail}`));
+    }
+  });
+  lines.push(
+    `${summary.total} label(s): ${summary.pass} passed, ${summary.fail} failed, ${summary.error} could not be checked`
+  );
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * JSON report
+ */
+function formatJson(outcomes, summary) {
+  return (
+    JSON.stringify(
+      {
+        success: summary.pass === summary.total,
+        summary,
+        results: outcomes.map(({ failedRules: failed, ...o }) => ({
+          ...o,
+          failedRules: failed.map((r) => r.id),
+        })),
+      },
+      null,
+      2
+    ) + "\n"
+  );
+}
+
+/**
+ * Escape text for XML content and attributes
+ */
+function xmlEscape(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * JUnit XML report, one test case per label
+ */
+function formatJunit(outcomes, summary) {
+  const cases = outcomes.map((o) => {
+    const classname = xmlEscape(o.commodity || "label");
+    const open = `  <testcase classname="${classname}" name="${xmlEscape(
+      o.name
+    )}"`;
+    if (o.verdict === "pass") return `${open}/>`;
+    const tag = o.verdict === "fail" ? "failure" : "error";
+    const details = o.verdict === "fail" ? failureDetails(o).join("\n") : "";
+    return [
+      `${open}>`,
+      `    <${tag} message="${xmlEscape(o.reason)}">${xmlEscape(
+        details
+      )}</${tag}>`,
+      "  </testcase>",
+    ].join("\n");
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuite name="ocr-label" tests="${summary.total}" failures="${summary.fail}" errors="${summary.error}">`,
+    ...cases,
+    "</testsuite>",
+    "",
+  ].join("\n");
+}
+
+const FORMATTERS = { text: formatText, json: formatJson, junit: formatJunit };
+
+/**
+ * Run a tenant or key command
+ * @param {object} values - Parsed options
+ * @param {string[]} positionals - Command, action and arguments
+ * @returns {string} Output to print
+ * @throws {Error} With code "USAGE" for incorrect usage, or "BAD_TENANT"
+ */
+function manageTenants(values, positionals) {
+  const [command, action, arg, ...extra] = positionals;
+  if (extra.length > 0) {
+    throw usageError(`Unexpected argument: ${extra[0]}`);
+  }
+  const needArg = (what) => {
+    if (!arg) throw usageError(`No ${what} given`);
+    return arg;
+  };
+
+  if (command === "tenant" && action === "add") {
+    const tenant = tenantStore.addTenant(needArg("tenant id"), {
+      name: values.name,
+      settings: values.commodity ? { commodity: values.commodity } : {},
+    });
+    return `Added tenant ${tenant.id} (${tenant.name})\n`;
+  }
+  if (command === "tenant" && action === "list") {
+    const tenants = tenantStore.listTenants();
+    if (tenants.length === 0) return "No tenants\n";
+    return tenants
+      .map((t) => {
+        const settings = Object.entries(t.settings)
+          .map(([k, v]) => `${k}=${JSON.stringify(v)}`)
+          .join(" ");
+        return `${t.id}\t${t.name}${settings ? `\t${settings}` : ""}\n`;
+      })
+      .join("");
+  }
+  if (command === "key" && action === "create") {
+    const key = tenantStore.createKey(
+      needArg("tenant id"),
+      values.name,
+      values.role
+    );
+    return [
+      `Created ${key.role} key ${key.id} for tenant ${key.tenant}. It will not be shown again:`,
+      key.key,
+      "",
+    ].join("\n");
+  }
+  if (command === "key" && action === "list") {
+    const keys = tenantStore.listKeys();
+    if (keys.length === 0) return "No API keys (authentication is off)\n";
+    return keys
+      .map(
+        (k) =>
+          `${k.id}\t${k.tenant}\t${k.role}\t${
+            k.revokedAt ? "revoked" : "active"
+          }\t${k.createdAt}${k.label ? `\t${k.label}` : ""}\n`
+      )
+      .join("");
+  }
+  if (command === "key" && action === "revoke") {
+    const key = tenantStore.revokeKey(needArg("key id"));
+    if (!key) throw usageError(`Unknown key: ${arg}`);
+    return `Revoked key ${key.id} of tenant ${key.tenant}\n`;
+  }
+  throw usageError(
+    action
+      ? `Unknown ${command} action: ${action}`
+      : `No ${command} action given`
+  );
+}
+
+/**
+ * Run a local webhook receiver until interrupted, printing each delivery
+ * @param {object} values - Parsed options (port, secret, fail)
+ * @param {string[]} positionals - Command and action
+ * @returns {Promise<number>} Exit status once stopped
+ * @throws {Error} With code "USAGE" for incorrect usage
+ */
+function receiveWebhooks(values, positionals) {
+  const [, action, ...extra] = positionals;
+  if (action !== "receive") {
+    throw usageError(
+      action ? `Unknown webhook action: ${action}` : "No webhook action given"
+    );
+  }
+  if (extra.length > 0) {
+    throw usageError(`Unexpected argument: ${extra[0]}`);
+  }
+  const port = parseInt(values.port, 10);
+  const failures = parseInt(values.fail, 10);
+  if (!(port > 0 && port < 65536)) throw usageError("--port must be a port");
+  if (!(failures >= 0)) throw usageError("--fail must be a number");
+
+  let received = 0;
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const body = Buffer.concat(chunks).toString("utf8");
+      const signature = req.headers["x-webhook-signature"];
+      const valid = values.secret
+        ? verifySignature(values.secret, signature, body)
+        : null;
+      received += 1;
+      let payload = null;
+      try {
+        payload = JSON.parse(body);
+      } catch (e) {
+        // Printed as text below
+      }
+      const status = valid === false ? 401 : received <= failures ? 500 : 204;
+      process.stdout.write(
+        `${JSON.stringify({
+          receivedAt: new Date().toISOString(),
+          deliveryId: req.headers["x-webhook-id"] || null,
+          event: req.headers["x-webhook-event"] || null,
+          signatureValid: valid,
+          answered: status,
+          payload: payload || body,
+        })}\n`
+      );
+      res.writeHead(status).end();
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.on("error", reject);
+    server.listen(port, () => {
+      process.stderr.write(
+        `Receiving webhooks on http://localhost:${port}/ (Ctrl+C to stop)\n`
+      );
+    });
+    process.once("SIGINT", () => {
+      server.close(() => resolve(EXIT_PASS));
+      // Kept-alive connections would hold the server open
+      server.closeAllConnections();
+    });
+  });
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit status
+ */
+async function main(argv) {
+  let values;
+  let labels;
+  try {
+    ({ values, positionals: labels } = parseArgs({
+      args: argv,
+      options: OPTIONS,
+      allowPositionals: true,
+    }));
+    if (values.help) {
+      process.stdout.write(`${USAGE}\n`);
+      return EXIT_PASS;
+    }
+    if (labels[0] === "tenant" || labels[0] === "key") {
+      process.stdout.write(manageTenants(values, labels));
+      return EXIT_PASS;
+    }
+    if (labels[0] === "webhook") {
+      return await receiveWebhooks(values, labels);
+    }
+    if (!FORMATS.includes(values.format)) {
+      throw usageError(`--format must be one of: ${FORMATS.join(", ")}`);
+    }
+    if (values.tenant && !tenantStore.getTenant(values.tenant)) {
+      throw usageError(`Unknown tenant: ${values.tenant}`);
+    }
+    labels = planLabels(values, labels);
+    if (labels.length === 0) throw usageError("No images to verify");
+  } catch (err) {
+    if (
+      err.code === "BAD_MANIFEST" ||
+      err.code === "BAD_TENANT" ||
+      err.code === "ENOENT"
+    ) {
+      process.stderr.write(`ocr-label: ${err.message}\n`);
+    } else if (
+      err.code === "USAGE" ||
+      String(err.code).startsWith("ERR_PARSE_ARGS")
+    ) {
+      process.stderr.write(`ocr-label: ${err.message}\n\n${USAGE}\n`);
+    } else {
+      throw err;
+    }
+    return EXIT_ERROR;
+  }
+
+  const concurrency = Math.max(parseInt(values.concurrency, 10) || 1, 1);
+  const tenant = values.tenant ? tenantStore.getTenant(values.tenant) : null;
+  const outcomes = await mapWithConcurrency(labels, concurrency, (label) =>
+    verifyLabel(label, { save: Boolean(values.save), tenant })
+  );
+  const summary = summarize(outcomes);
+  process.stdout.write(FORMATTERS[values.format](outcomes, summary));
+
+  if (summary.error > 0) return EXIT_ERROR;
+  return summary.fail > 0 ? EXIT_FAIL : EXIT_PASS;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    (status) => {
+      process.exitCode = status;
+    },
+    (err) => {
+      console.error("Unexpected error:", err && err.stack ? err.stack : err);
+      process.exitCode = EXIT_ERROR;
+    }
+  );
+}
+
+module.exports = { main };
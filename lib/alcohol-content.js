@@ -0,0 +1,208 @@
+/**
+ * Alcohol Content Module
+ * Parses alcohol content statements (percent by volume, proof, ranges) and
+ * compares them with TTB tolerances for the product type
+ */
+
+// "45%", "13,5 %", "12.5 PERCENT", "11.5-13.5%", optionally introduced by
+// "ALC." / "ALCOHOL" and followed by "BY VOL.", "ALC/VOL", "ABV", ...
+const NUMBER = "\\d{1,3}(?:[.,]\\d{1,2})?";
+const ABV_RE = new RegExp(
+  "(?:\\b(?:alc(?:ohol)?\\.?)\\s*)?" +
+    `(${NUMBER})(?:\\s*(?:-|–|to)\\s*(${NUMBER}))?\\s*(?:%|percent\\b|pct\\b)` +
+    "(?:\\s*(?:alc(?:ohol)?\\.?|by|vol(?:ume)?\\.?|abv|/)\\s*)*",
+  "gi"
+);
+const PROOF_RE = new RegExp(`(${NUMBER})\\s*°?\\s*proof\\b`, "gi");
+
+// Tolerances in percentage points (27 CFR 4.36, 5.65, 7.65)
+const TOLERANCES = {
+  spirits: () => 0.3,
+  wine: (abv) => (abv > 14 ? 1.0 : 1.5),
+  malt: () => 0.3,
+};
+
+// Proof and ABV statements agree when proof / 2 is within this of the ABV
+const PROOF_AGREEMENT = 0.25;
+
+const WINE_CLASS_RE =
+  /\b(?:wine|champagne|sparkling|cider|perry|mead|sake|vermouth|port|sherry)\b/i;
+const MALT_CLASS_RE =
+  /\b(?:beer|ale|lager|stout|porter|pilsner|ipa|malt beverage|malt liquor)\b/i;
+
+/**
+ * Parse a number that may use a decimal comma
+ */
+function toNumber(s) {
+  return parseFloat(String(s).replace(",", "."));
+}
+
+/**
+ * Repair common OCR misreads inside numbers ("4O%" -> "40%", "l2%" -> "12%")
+ */
+function repairDigits(text) {
+  return String(text || "")
+    .replace(/(\d)[oO](?=\s*(?:[.,]\d)?\s*(?:%|proof))/gi, "$10")
+    .replace(/\b[lI](\d)(?=\s*(?:[.,]\d)?\s*(?:%|proof))/gi, "1$1");
+}
+
+/**
+ * Find every alcohol content statement in text
+ * @param {string} text - Label text
+ * @returns {object[]} [{ text, kind: "abv"|"proof", abv, min, max, proof }]
+ */
+function parseAlcoholStatements(text) {
+  const source = repairDigits(text);
+  const statements = [];
+
+  for (const m of source.matchAll(ABV_RE)) {
+    const min = toNumber(m[1]);
+    const max = m[2] ? toNumber(m[2]) : min;
+    if (!(min > 0) || max > 100 || max < min) continue;
+    statements.push({
+      text: m[0].trim(),
+      kind: "abv",
+      abv: m[2] ? null : min,
+      min,
+      max,
+      index: m.index,
+    });
+  }
+
+  for (const m of source.matchAll(PROOF_RE)) {
+    const proof = toNumber(m[1]);
+    if (!(proof > 0) || proof > 200) continue;
+    statements.push({
+      text: m[0].trim(),
+      kind: "proof",
+      abv: proof / 2,
+      min: proof / 2,
+      max: proof / 2,
+      proof,
+      index: m.index,
+    });
+  }
+
+  return statements.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Guess the commodity from a class/type designation
+ * @param {string} productClass - e.g. "Straight Bourbon Whiskey", "Red Wine"
+ * @returns {"spirits"|"wine"|"malt"} Commodity
+ */
+function commodityForClass(productClass) {
+  if (WINE_CLASS_RE.test(productClass || "")) return "wine";
+  if (MALT_CLASS_RE.test(productClass || "")) return "malt";
+  return "spirits";
+}
+
+/**
+ * Allowed difference between stated and actual alcohol content
+ * @param {string} commodity - spirits, wine or malt
+ * @param {number} abv - Alcohol content
+ * @param {object[]} [bands] - [{ maxAbv, tolerance }] from a rule file; the
+ *   first band whose maxAbv is absent or at least abv applies
+ * @returns {number} Tolerance in percentage points
+ */
+function toleranceFor(commodity, abv, bands) {
+  const band = (bands || []).find((b) => b.maxAbv == null || abv <= b.maxAbv);
+  if (band) return band.tolerance;
+  return (TOLERANCES[commodity] || TOLERANCES.spirits)(abv);
+}
+
+/**
+ * Verify an entered alcohol content against the label text
+ * @param {string} parsedText - Extracted OCR text
+ * @param {string} entered - Alcohol content as entered (percent ABV)
+ * @param {object} [options] - { commodity, tolerances } where tolerances are
+ *   rule file bands passed to toleranceFor()
+ * @returns {object} { found, score, match, detected, abv, proof, tolerance, commodity, explanation? }
+ */
+function checkAlcoholContent(parsedText, entered, options = {}) {
+  const commodity = options.commodity || "spirits";
+  const expected = toNumber(entered);
+  const statements = parseAlcoholStatements(parsedText);
+
+  if (Number.isNaN(expected)) {
+    return {
+      found: false,
+      score: 0,
+      match: null,
+      detected: null,
+      commodity,
+      explanation: `Could not understand alcohol content "${entered}"`,
+    };
+  }
+
+  const tolerance = toleranceFor(commodity, expected, options.tolerances);
+  const distance = (s) =>
+    expected < s.min
+      ? s.min - expected
+      : expected > s.max
+      ? expected - s.max
+      : 0;
+
+  // The ABV statement is the one that counts; proof only corroborates it
+  const abvStatements = statements.filter((s) => s.kind === "abv");
+  const candidates = abvStatements.length > 0 ? abvStatements : statements;
+  const best = candidates.reduce(
+    (b, s) => (!b || distance(s) < distance(b) ? s : b),
+    null
+  );
+
+  const proof = statements.find((s) => s.kind === "proof") || null;
+  const base = {
+    commodity,
+    tolerance,
+    abv: best ? best.abv : null,
+    proof: proof ? proof.proof : null,
+    detected: best ? describe(best) : null,
+  };
+
+  if (!best) {
+    return { ...base, found: false, score: 0, match: null };
+  }
+
+  const diff = distance(best);
+  const within = diff <= tolerance + 1e-9;
+  const scoreFor = (points) =>
+    Math.round(Math.max(0, 1 - points / 10) * 1000) / 1000;
+  const result = {
+    ...base,
+    found: within,
+    score: within ? 1 : scoreFor(diff),
+    match: best.text,
+  };
+
+  // Both forms on the label must describe the same product; the further
+  // apart they are, the lower the score
+  if (proof && best.kind === "abv" && best.abv !== null) {
+    const disagreement = Math.abs(proof.proof / 2 - best.abv);
+    if (disagreement > PROOF_AGREEMENT) {
+      result.found = false;
+      result.score = Math.min(result.score, scoreFor(disagreement));
+      result.explanation = `Label states ${proof.proof} proof (${
+        proof.proof / 2
+      }% ABV) but ${best.abv}% alcohol by volume`;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Short form of a statement's alcohol content, e.g. "45" or "11.5-13.5"
+ */
+function describe(statement) {
+  return statement.abv !== null
+    ? String(statement.abv)
+    : `${statement.min}-${statement.max}`;
+}
+
+module.exports = {
+  parseAlcoholStatements,
+  checkAlcoholContent,
+  commodityForClass,
+  toleranceFor,
+};
@@ -0,0 +1,326 @@
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+const {
+  PANELS,
+  extractRequestData,
+  verifySubmission,
+} = require("./upload-processor");
+const {
+  isSupportedUpload,
+  uploadType,
+  MIME_TYPES,
+  UPLOAD_MAX_BYTES,
+} = require("./image-normalizer");
+const { OCR_PROVIDER } = require("./ocr-providers");
+const { validate } = require("./json-schema");
+const { API_VERSION, openApiDocument } = require("./openapi");
+
+/**
+ * API Handler Module
+ * The versioned JSON API for other systems: POST /api/v1/verify takes the
+ * label fields and base64 or server-side images as JSON, checks the body
+ * against the OpenAPI document and answers with the VerifyResponse schema
+ */
+
+// Configuration from environment: directory FileImage paths are relative
+// to; file references are refused when it is not set
+const API_FILES_DIR = process.env.API_FILES_DIR
+  ? path.resolve(process.env.API_FILES_DIR)
+  : null;
+
+// Base64 makes each panel image a third larger; the fields are small
+const BODY_LIMIT =
+  Math.ceil((UPLOAD_MAX_BYTES * PANELS.length * 4) / 3) + 1024 * 1024;
+
+const DATA_URL_PREFIX = /^data:([\w.+-]+\/[\w.+-]+);base64,/;
+
+// Leading bytes of the formats the normalizer reads, for images sent
+// without a type or filename
+const SIGNATURES = [
+  { type: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+  { type: "image/png", bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { type: "image/gif", bytes: [0x47, 0x49, 0x46, 0x38] },
+  { type: "image/tiff", bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { type: "image/tiff", bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  { type: "image/bmp", bytes: [0x42, 0x4d] },
+  { type: "application/pdf", bytes: [0x25, 0x50, 0x44, 0x46] },
+];
+
+// JSON body parser sized for base64 panel images
+const apiJsonBody = express.json({ limit: BODY_LIMIT });
+
+/**
+ * MIME type of an image from its first bytes, or null when unrecognized
+ */
+function sniffType(buffer) {
+  const known = SIGNATURES.find(({ bytes }) =>
+    bytes.every((b, i) => buffer[i] === b)
+  );
+  if (known) return known.type;
+  if (
+    buffer.toString("latin1", 0, 4) === "RIFF" &&
+    buffer.toString("latin1", 8, 12) === "WEBP"
+  ) {
+    return "image/webp";
+  }
+  return null;
+}
+
+/**
+ * Error result for an image that cannot be loaded
+ */
+function imageFailure(status, reason) {
+  return { failure: { status, reason } };
+}
+
+/**
+ * Finish an image read from the request or disk: fill in its type and a
+ * filename with a matching extension, and refuse what is not an image
+ * @returns {{image: object}|{failure: object}} OCR provider image, or the
+ *   error to send
+ */
+function describeImage(buffer, filename, mimetype) {
+  if (buffer.length === 0) return imageFailure(400, "Image is empty.");
+  if (buffer.length > UPLOAD_MAX_BYTES) {
+    return imageFailure(413, "Image file is too large.");
+  }
+  const declared = uploadType({ mimetype, originalname: filename });
+  const type =
+    declared && declared !== "application/octet-stream"
+      ? declared
+      : sniffType(buffer);
+  if (!type || !isSupportedUpload({ mimetype: type, originalname: filename })) {
+    return imageFailure(415, "File is not an image");
+  }
+  const ext = Object.keys(MIME_TYPES).find((e) => MIME_TYPES[e] === type);
+  return {
+    image: {
+      buffer,
+      filename: filename || `label${ext || ""}`,
+      mimetype: type,
+    },
+  };
+}
+
+/**
+ * Decode a Base64Image
+ */
+function decodeBase64Image(input) {
+  const dataUrl = DATA_URL_PREFIX.exec(input.base64);
+  const data = dataUrl ? input.base64.slice(dataUrl[0].length) : input.base64;
+  return describeImage(
+    Buffer.from(data, "base64"),
+    input.filename,
+    input.mimetype || (dataUrl && dataUrl[1])
+  );
+}
+
+/**
+ * Whether a resolved path lies inside a directory
+ */
+function isInside(target, dir) {
+  return target.startsWith(dir + path.sep);
+}
+
+/**
+ * Read a FileImage from API_FILES_DIR, or from the tenant's subdirectory
+ * of it so tenants cannot read each other's files
+ */
+async function readFileImage(input, tenant) {
+  if (!API_FILES_DIR) {
+    return imageFailure(400, "File references are not enabled on this server.");
+  }
+  const base = tenant ? path.join(API_FILES_DIR, tenant.id) : API_FILES_DIR;
+  const outside = () =>
+    imageFailure(400, "File references must stay inside the files directory.");
+  const target = path.resolve(base, input.file);
+  if (!isInside(target, base)) return outside();
+
+  let real;
+  try {
+    // Symbolic links may not lead out of the directory either
+    real = await fs.promises.realpath(target);
+    if (!isInside(real, await fs.promises.realpath(base))) return outside();
+  } catch (e) {
+    if (e.code === "ENOENT") {
+      return imageFailure(404, `File not found: ${input.file}`);
+    }
+    throw e;
+  }
+  const stat = await fs.promises.stat(real);
+  if (!stat.isFile()) return imageFailure(404, `File not found: ${input.file}`);
+  if (stat.size > UPLOAD_MAX_BYTES) {
+    return imageFailure(413, "Image file is too large.");
+  }
+  return describeImage(
+    await fs.promises.readFile(real),
+    path.basename(real),
+    input.mimetype
+  );
+}
+
+/**
+ * Send an Error response
+ */
+function sendError(res, req, status, reason, extra = {}) {
+  if (extra.retryAfterSeconds) {
+    res.set("Retry-After", String(extra.retryAfterSeconds));
+  }
+  return res
+    .status(status)
+    .json({ success: false, reason, ...extra, requestId: req.id });
+}
+
+/**
+ * Shape a verifySubmission() result as a VerifyResponse
+ * @param {object} body - Body of a 200 result from verifySubmission()
+ * @param {string} requestId - Id of the request
+ * @returns {object} VerifyResponse (see lib/openapi.js)
+ */
+function toVerifyResponse(body, requestId) {
+  const { labelChecks } = body;
+  const used = body.ocrEngines.filter((r) => r.outcome === "used");
+  return {
+    success: true,
+    apiVersion: API_VERSION,
+    requestId,
+    verdict: body.success ? "pass" : "fail",
+    reason: body.reason,
+    submissionId: body.submissionId,
+    commodity: labelChecks.commodity || null,
+    fields: Object.entries(labelChecks.fields).map(([field, check]) => ({
+      field,
+      found: check.found,
+      score: check.score ?? null,
+      threshold: check.threshold ?? null,
+      matchedText: check.match ?? null,
+      detected: check.detected ?? null,
+      panel: check.panel ?? null,
+      foundOn: check.foundOn || [],
+      explanation: check.explanation ?? null,
+    })),
+    rules: (labelChecks.rules || []).map((rule) => ({
+      id: rule.id,
+      type: rule.type,
+      description: rule.description,
+      citation: rule.citation,
+      severity: rule.severity,
+      passed: rule.passed,
+      detail: rule.detail,
+    })),
+    panels: body.panels.map((p) => ({
+      panel: p.panel,
+      imageHash: p.imageHash,
+      uploadHash: p.imageNormalization
+        ? p.imageNormalization.original.hash
+        : null,
+      attempts: p.attempts,
+      normalization: p.imageNormalization ? p.imageNormalization.changes : [],
+    })),
+    ocr: {
+      provider: OCR_PROVIDER,
+      attempts: body.attempts,
+      cached: used.length > 0 && used.every((r) => r.cached),
+    },
+  };
+}
+
+/**
+ * GET /api/v1/openapi.json - the API contract
+ */
+async function getOpenApi(req, res) {
+  return res.status(200).json(openApiDocument);
+}
+
+/**
+ * Number of label panel images in a parsed /api/v1/verify body, for the
+ * rate limiter
+ */
+function requestedImageCount(req) {
+  const images = req.body && req.body.images;
+  if (!images || typeof images !== "object") return 1;
+  return PANELS.filter(({ panel }) => images[panel]).length;
+}
+
+/**
+ * POST /api/v1/verify - verify label panels sent as JSON
+ */
+async function verifyLabel(req, res) {
+  if (!req.is("application/json")) {
+    return sendError(
+      res,
+      req,
+      415,
+      "Send the request body as JSON (Content-Type: application/json)."
+    );
+  }
+  const problems = validate(
+    openApiDocument.components.schemas.VerifyRequest,
+    req.body,
+    openApiDocument
+  );
+  if (problems.length > 0) {
+    return sendError(
+      res,
+      req,
+      400,
+      `Invalid request: ${problems
+        .map((p) => `${p.path} ${p.message}`)
+        .join("; ")}`,
+      { problems }
+    );
+  }
+
+  const { fields, images } = req.body;
+  const panels = [];
+  for (const { panel } of PANELS.filter(({ panel }) => images[panel])) {
+    const input = images[panel];
+    const loaded = input.file
+      ? await readFileImage(input, req.tenant)
+      : decodeBase64Image(input);
+    if (loaded.failure) {
+      return sendError(res, req, loaded.failure.status, loaded.failure.reason, {
+        panel,
+      });
+    }
+    panels.push({ panel, image: loaded.image });
+  }
+
+  const { status, body } = await verifySubmission(
+    panels,
+    extractRequestData(fields),
+    { tenant: req.tenant, log: req.log }
+  );
+  if (status !== 200) {
+    return sendError(res, req, status, body.reason, {
+      ...(body.panel && { panel: body.panel }),
+      ...(body.retryAfterSeconds && {
+        retryAfterSeconds: body.retryAfterSeconds,
+      }),
+    });
+  }
+  return res.status(200).json(toVerifyResponse(body, req.id));
+}
+
+/**
+ * Error middleware for body parser failures on API routes, answered in the
+ * Error schema
+ */
+function apiErrors(err, req, res, next) {
+  if (err && err.type === "entity.parse.failed") {
+    return sendError(res, req, 400, "Request body is not valid JSON.");
+  }
+  if (err && err.type === "entity.too.large") {
+    return sendError(res, req, 413, "Request body is too large.");
+  }
+  return next(err);
+}
+
+module.exports = {
+  apiJsonBody,
+  apiErrors,
+  getOpenApi,
+  requestedImageCount,
+  verifyLabel,
+};
@@ -0,0 +1,237 @@
+const crypto = require("crypto");
+const { tenantStore } = require("./tenant-store");
+
+/**
+ * Auth Handler Module
+ * API key authentication and browser sessions. Programs send their key as
+ * X-API-Key (or Authorization: Bearer); the web pages sign in once with a
+ * key at /login.html and then use a session cookie. Authentication is off
+ * until the first key is created, so a single-user install works as before.
+ * Each key has a role (see KEY_ROLES in the tenant store); routes that need
+ * more than a submitter key use requireRole().
+ */
+
+// Configuration from environment
+const SESSION_TTL_MS =
+  parseInt(process.env.SESSION_TTL_MS, 10) || 12 * 60 * 60 * 1000; // 12 hours
+
+const SESSION_COOKIE = "ocr_session";
+
+// Session id -> { keyId, tenant, expires }
+const sessions = new Map();
+
+/**
+ * Read a cookie from the request
+ */
+function readCookie(req, name) {
+  const header = req.get("Cookie") || "";
+  for (const part of header.split(";")) {
+    const [key, ...value] = part.trim().split("=");
+    if (key === name) return decodeURIComponent(value.join("="));
+  }
+  return null;
+}
+
+/**
+ * API key sent with the request, if any
+ */
+function requestKey(req) {
+  const header = req.get("X-API-Key");
+  if (header) return header.trim();
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get("Authorization") || "");
+  return match ? match[1] : null;
+}
+
+/**
+ * Tenant and key of a live session, dropping expired sessions and those
+ * whose key has been revoked
+ * @returns {{tenant: object, key: object}|null} Null without a session
+ */
+function sessionAuth(req) {
+  const id = readCookie(req, SESSION_COOKIE);
+  const session = id && sessions.get(id);
+  if (!session) return null;
+  const key =
+    session.expires >= Date.now() && tenantStore.getKey(session.keyId);
+  if (!key) {
+    sessions.delete(id);
+    return null;
+  }
+  // Pick up settings and role changed since sign-in
+  const tenant = tenantStore.getTenant(session.tenant);
+  return tenant ? { tenant, key } : null;
+}
+
+/**
+ * What the client sees of a key
+ */
+function publicKey(key) {
+  return { id: key.id, label: key.label, role: key.role };
+}
+
+/**
+ * Forget expired sessions
+ */
+function pruneSessions() {
+  const now = Date.now();
+  for (const [id, session] of sessions) {
+    if (session.expires < now) sessions.delete(id);
+  }
+}
+
+/**
+ * Middleware setting req.tenant and req.apiKey ({ id, tenant, label, role })
+ * from the API key or session, answering 401 when keys are required and
+ * none (or an unknown one) was given. With authentication off, both are
+ * null.
+ */
+function authenticate(req, res, next) {
+  req.tenant = null;
+  req.apiKey = null;
+  if (!tenantStore.authEnabled()) return next();
+
+  const key = requestKey(req);
+  if (key) {
+    const match = tenantStore.authenticate(key);
+    if (match) {
+      req.tenant = match.tenant;
+      req.apiKey = match.key;
+      return next();
+    }
+    return res.status(401).json({
+      success: false,
+      reason: "Invalid or revoked API key",
+    });
+  }
+
+  const session = sessionAuth(req);
+  if (session) {
+    req.tenant = session.tenant;
+    req.apiKey = session.key;
+    return next();
+  }
+  res.set("WWW-Authenticate", 'Bearer realm="ocr-label"');
+  return res.status(401).json({
+    success: false,
+    reason: "Please sign in with an API key.",
+  });
+}
+
+/**
+ * Tenant id to tag new records with and to filter listings by
+ * @returns {string|undefined} Undefined when authentication is off
+ */
+function tenantId(req) {
+  return req.tenant ? req.tenant.id : undefined;
+}
+
+/**
+ * Middleware refusing requests whose key lacks a role (nothing is refused
+ * with authentication off)
+ * @param {string} role - One of KEY_ROLES
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.tenant || (req.apiKey && req.apiKey.role === role)) return next();
+    return res.status(403).json({
+      success: false,
+      reason: `This needs an API key with the ${role} role`,
+    });
+  };
+}
+
+/**
+ * Who is making the request, for records such as the reviewer of a label
+ * @returns {{keyId: string, name: string}|null} The key's id and label (or
+ *   "key <id>"), or null with authentication off
+ */
+function requestIdentity(req) {
+  if (!req.apiKey) return null;
+  return {
+    keyId: req.apiKey.id,
+    name: req.apiKey.label || `key ${req.apiKey.id}`,
+  };
+}
+
+/**
+ * Whether the requesting tenant may see a stored submission, job or batch
+ */
+function canAccess(req, item) {
+  return !req.tenant || (item && item.tenant === req.tenant.id);
+}
+
+/**
+ * POST /login - exchange an API key for a session cookie
+ * Body: { apiKey }
+ */
+async function login(req, res) {
+  const key = String((req.body && req.body.apiKey) || "").trim();
+  if (!tenantStore.authEnabled()) {
+    return res.status(200).json({ success: true, authRequired: false });
+  }
+  const match = key && tenantStore.authenticate(key);
+  if (!match) {
+    return res.status(401).json({
+      success: false,
+      reason: "Invalid or revoked API key",
+    });
+  }
+
+  pruneSessions();
+  const id = crypto.randomBytes(24).toString("base64url");
+  sessions.set(id, {
+    keyId: match.keyId,
+    tenant: match.tenant.id,
+    expires: Date.now() + SESSION_TTL_MS,
+  });
+  res.cookie(SESSION_COOKIE, id, {
+    httpOnly: true,
+    sameSite: "strict",
+    secure: req.secure,
+    maxAge: SESSION_TTL_MS,
+    path: "/",
+  });
+  return res.status(200).json({
+    success: true,
+    authRequired: true,
+    tenant: { id: match.tenant.id, name: match.tenant.name },
+    key: publicKey(match.key),
+  });
+}
+
+/**
+ * POST /logout - end the browser session
+ */
+async function logout(req, res) {
+  const id = readCookie(req, SESSION_COOKIE);
+  if (id) sessions.delete(id);
+  res.clearCookie(SESSION_COOKIE, { path: "/" });
+  return res.status(200).json({ success: true });
+}
+
+/**
+ * GET /session - whether sign-in is required and who is signed in
+ */
+async function getSession(req, res) {
+  const authRequired = tenantStore.authEnabled();
+  const session = authRequired ? sessionAuth(req) : null;
+  return res.status(200).json({
+    success: true,
+    authRequired,
+    tenant: session
+      ? { id: session.tenant.id, name: session.tenant.name }
+      : null,
+    key: session ? publicKey(session.key) : null,
+  });
+}
+
+module.exports = {
+  authenticate,
+  tenantId,
+  canAccess,
+  requireRole,
+  requestIdentity,
+  login,
+  logout,
+  getSession,
+};
@@ -0,0 +1,91 @@
+const multer = require("multer");
+const path = require("path");
+const { isSupportedUpload } = require("./image-normalizer");
+const { BATCH_FIELDS } = require("./batch-processor");
+
+// Per-file limit for batch uploads; a ZIP of many labels is larger than a
+// single image (each image is still held to the single upload limit)
+const BATCH_MAX_FILE_MB = parseInt(process.env.BATCH_MAX_FILE_MB, 10) || 20;
+// All files of one batch together; they are held in memory until it is done
+const BATCH_MAX_TOTAL_MB = parseInt(process.env.BATCH_MAX_TOTAL_MB, 10) || 200;
+
+// Accepted files per form field
+const ACCEPTS = {
+  manifest: (file) => [".csv", ".json"].includes(extname(file)),
+  archive: (file) => extname(file) === ".zip",
+  images: isSupportedUpload,
+};
+
+/**
+ * Lowercase extension of an uploaded file name
+ */
+function extname(file) {
+  return path.extname(file.originalname || "").toLowerCase();
+}
+
+/**
+ * Multer storage that keeps files in memory, like multer.memoryStorage(),
+ * but fails the upload as soon as the files of one request add up to more
+ * than maxBytes
+ * @param {number} maxBytes - Budget for all files of a request
+ * @returns {object} Multer storage engine
+ */
+function budgetedMemoryStorage(maxBytes) {
+  const received = new WeakMap();
+  return {
+    _handleFile(req, file, cb) {
+      const chunks = [];
+      let done = false;
+      const finish = (err, info) => {
+        if (done) return;
+        done = true;
+        cb(err, info);
+      };
+      file.stream.on("data", (chunk) => {
+        if (done) return;
+        const total = (received.get(req) || 0) + chunk.length;
+        received.set(req, total);
+        if (total > maxBytes) {
+          const err = new Error(
+            `The uploaded files add up to more than ${BATCH_MAX_TOTAL_MB}MB`
+          );
+          err.code = "UPLOAD_TOO_LARGE";
+          return finish(err);
+        }
+        chunks.push(chunk);
+      });
+      file.stream.on("error", (err) => finish(err));
+      file.stream.on("end", () => {
+        const buffer = Buffer.concat(chunks);
+        finish(null, { buffer, size: buffer.length });
+      });
+    },
+    _removeFile(req, file, cb) {
+      delete file.buffer;
+      cb(null);
+    },
+  };
+}
+
+const batchUpload = multer({
+  storage: budgetedMemoryStorage(BATCH_MAX_TOTAL_MB * 1024 * 1024),
+  limits: {
+    fileSize: BATCH_MAX_FILE_MB * 1024 * 1024,
+    files: BATCH_FIELDS.reduce((count, field) => count + field.maxCount, 0),
+  },
+  fileFilter: (req, file, cb) => {
+    const accepts = ACCEPTS[file.fieldname];
+    if (!accepts || accepts(file)) return cb(null, true);
+    const err = new Error(
+      file.fieldname === "images"
+        ? `${file.originalname} is not an image`
+        : `${file.fieldname} must be a ${
+            file.fieldname === "archive" ? ".zip" : ".csv or .json"
+          } file`
+    );
+    err.code = "UNSUPPORTED_FILE";
+    cb(err);
+  },
+});
+
+module.exports = batchUpload;
@@ -0,0 +1,379 @@
+const path = require("path");
+const { submissionStore } = require("./submission-store");
+const { extractRequestData, verifySubmission } = require("./upload-processor");
+const { tenantId, canAccess } = require("./auth-handler");
+const { failedRules } = require("./rule-engine");
+const { parseCsv, toCsv } = require("./csv");
+const { readZip } = require("./zip-reader");
+const { MIME_TYPES, UPLOAD_MAX_BYTES } = require("./image-normalizer");
+
+/**
+ * Batch Processor Module
+ * Verifies many labels in one request: a CSV or JSON manifest with one row
+ * per label, plus the images uploaded individually or as a ZIP
+ */
+
+// Configuration from environment
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 3;
+const BATCH_MAX_ROWS = parseInt(process.env.BATCH_MAX_ROWS, 10) || 100;
+const BATCH_ZIP_MAX_ENTRIES =
+  parseInt(process.env.BATCH_ZIP_MAX_ENTRIES, 10) || 1000;
+const BATCH_ZIP_MAX_MB = parseInt(process.env.BATCH_ZIP_MAX_MB, 10) || 500;
+
+// Same limit as single uploads; images are shrunk to the OCR limit later
+const TOO_LARGE = `Image file is too large (${Math.round(
+  UPLOAD_MAX_BYTES / 1024 / 1024
+)}MB limit)`;
+
+// Multer fields for the batch form
+const BATCH_FIELDS = [
+  { name: "manifest", maxCount: 1 },
+  { name: "images", maxCount: BATCH_MAX_ROWS },
+  { name: "archive", maxCount: 1 },
+];
+
+// Columns of the downloadable results CSV
+const RESULT_COLUMNS = [
+  "row",
+  "filename",
+  "brandName",
+  "productClass",
+  "alcoholContent",
+  "netContents",
+  "commodity",
+  "verdict",
+  "reason",
+  "found",
+  "missing",
+  "failedRules",
+  "submissionId",
+  "imageHash",
+];
+
+/**
+ * Parse the manifest into rows
+ * @param {object} file - { buffer, originalname } as from multer (.csv with
+ *   a header row, or .json holding an array of objects or { rows: [...] })
+ * @returns {object[]} Manifest rows
+ * @throws {Error} With code "BAD_MANIFEST" when the manifest is unusable
+ */
+function parseManifest(file) {
+  const fail = (message) => {
+    const err = new Error(message);
+    err.code = "BAD_MANIFEST";
+    throw err;
+  };
+
+  const text = file.buffer.toString("utf8");
+  let rows;
+  if (path.extname(file.originalname).toLowerCase() === ".json") {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      fail(`Manifest is not valid JSON: ${e.message}`);
+    }
+    rows = Array.isArray(data) ? data : data && data.rows;
+    if (!Array.isArray(rows)) {
+      fail("JSON manifest must be an array of rows or { rows: [...] }");
+    }
+  } else {
+    rows = parseCsv(text);
+  }
+
+  if (rows.length === 0) fail("Manifest has no rows");
+  if (rows.length > BATCH_MAX_ROWS) {
+    fail(`Manifest has ${rows.length} rows; the limit is ${BATCH_MAX_ROWS}`);
+  }
+  rows.forEach((row, i) => {
+    if (!row || typeof row !== "object" || !row.filename) {
+      fail(`Manifest row ${i + 1} has no filename`);
+    }
+  });
+  return rows;
+}
+
+/**
+ * Number of manifest rows in a batch upload, for the rate limiter (1 when
+ * the manifest is missing or unusable; the request is refused later)
+ * @param {object} req - Express request, after multer
+ * @returns {number} Rows to verify
+ */
+function manifestRowCount(req) {
+  const manifestFile = ((req.files || {}).manifest || [])[0];
+  if (!manifestFile) return 1;
+  try {
+    return parseManifest(manifestFile).length;
+  } catch (err) {
+    if (err.code !== "BAD_MANIFEST") throw err;
+    return 1;
+  }
+}
+
+/**
+ * Gather the uploaded images by file name, from individual uploads and the
+ * ZIP archive. Only archive entries named in the manifest are extracted.
+ * @param {object} files - req.files from multer
+ * @param {object[]} rows - Manifest rows, from parseManifest()
+ * @returns {Map<string, object>} Lowercased base name -> { buffer, filename,
+ *   mimetype } or { filename, error }
+ */
+function collectImages(files, rows) {
+  const images = new Map();
+  const referenced = new Set(
+    rows.map((row) => path.posix.basename(row.filename).toLowerCase())
+  );
+  const add = (filename, image) =>
+    images.set(path.posix.basename(filename).toLowerCase(), {
+      filename: path.posix.basename(filename),
+      ...image,
+    });
+
+  (files.images || []).forEach((file) => {
+    add(file.originalname, {
+      buffer: file.buffer,
+      mimetype: file.mimetype,
+      error: file.size > UPLOAD_MAX_BYTES ? TOO_LARGE : null,
+    });
+  });
+
+  (files.archive || []).forEach((file) => {
+    const include = (entryName) => {
+      const name = entryName.replace(/\\/g, "/");
+      const base = path.posix.basename(name);
+      // Skip macOS resource forks and other hidden files
+      if (base.startsWith(".") || name.startsWith("__MACOSX/")) return false;
+      return (
+        Boolean(MIME_TYPES[path.extname(base).toLowerCase()]) &&
+        referenced.has(base.toLowerCase())
+      );
+    };
+    readZip(file.buffer, {
+      maxEntrySize: UPLOAD_MAX_BYTES,
+      maxEntries: BATCH_ZIP_MAX_ENTRIES,
+      maxTotalSize: BATCH_ZIP_MAX_MB * 1024 * 1024,
+      include,
+    }).forEach((entry) => {
+      const name = entry.name.replace(/\\/g, "/");
+      add(name, {
+        buffer: entry.buffer,
+        mimetype: MIME_TYPES[path.extname(name).toLowerCase()],
+        error: entry.buffer ? null : TOO_LARGE,
+      });
+    });
+  });
+
+  return images;
+}
+
+/**
+ * Run an async worker over items with at most `limit` in flight
+ * @returns {Promise<any[]>} Results in item order
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const run = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await worker(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  return results;
+}
+
+/**
+ * Verify one manifest row
+ * @param {object} row - Manifest row
+ * @param {number} index - Zero-based row index
+ * @param {Map} images - From collectImages()
+ * @param {object} defaults - Values applied to rows that leave them blank
+ * @param {object} options - { tenant, log }: the tenant the batch runs for
+ *   and the logger for the request
+ * @returns {Promise<object>} Row result
+ */
+async function verifyRow(row, index, images, defaults, options) {
+  const values = { ...defaults };
+  Object.entries(row).forEach(([key, value]) => {
+    if (value !== "" && value !== null && value !== undefined) {
+      values[key] = String(value);
+    }
+  });
+  const requestData = extractRequestData(values);
+  const result = {
+    row: index + 1,
+    filename: row.filename,
+    brandName: requestData.brandName,
+    productClass: requestData.productClass,
+    alcoholContent: requestData.alcoholContent,
+    netContents: requestData.netContents,
+    commodity: requestData.commodity,
+  };
+
+  const image = images.get(path.posix.basename(row.filename).toLowerCase());
+  if (!image || image.error) {
+    return {
+      ...result,
+      success: false,
+      verdict: "error",
+      reason: image ? image.error : "Image not found in upload",
+    };
+  }
+
+  try {
+    const { status, body } = await verifySubmission(image, requestData, {
+      tenant: options.tenant,
+      log: options.log.child({ batchRow: index + 1 }),
+    });
+    const labelChecks = body.labelChecks;
+    return {
+      ...result,
+      success: Boolean(body.success),
+      verdict: status === 200 ? (body.success ? "pass" : "fail") : "error",
+      reason: body.reason || null,
+      found: labelChecks ? labelChecks.found : [],
+      missing: labelChecks ? labelChecks.missing : [],
+      failedRules: labelChecks
+        ? failedRules(labelChecks.rules).map((r) => r.id)
+        : [],
+      submissionId: body.submissionId || null,
+      imageHash: body.imageHash || null,
+    };
+  } catch (err) {
+    options.log.error("Unexpected error in batch row", {
+      batchRow: index + 1,
+      err,
+    });
+    return {
+      ...result,
+      success: false,
+      verdict: "error",
+      reason: "Internal server error",
+    };
+  }
+}
+
+/**
+ * Count verdicts across row results
+ */
+function summarizeResults(results) {
+  const summary = { total: results.length, pass: 0, fail: 0, error: 0 };
+  results.forEach((r) => {
+    summary[r.verdict] += 1;
+  });
+  return summary;
+}
+
+/**
+ * Format batch results as CSV, one line per manifest row
+ * @param {object[]} results - Row results from a batch
+ * @returns {string} CSV text
+ */
+function resultsToCsv(results) {
+  return toCsv(
+    results.map((r) => ({
+      ...r,
+      found: (r.found || []).join(";"),
+      missing: (r.missing || []).join(";"),
+      failedRules: (r.failedRules || []).join(";"),
+    })),
+    RESULT_COLUMNS
+  );
+}
+
+/**
+ * POST /batch - verify every row of a manifest against its image
+ */
+async function processBatchResponse(req, res) {
+  const files = req.files || {};
+  const manifestFile = files.manifest && files.manifest[0];
+  if (!manifestFile) {
+    return res.status(400).json({
+      success: false,
+      reason: "Please upload a CSV or JSON manifest.",
+    });
+  }
+  if (!files.images && !files.archive) {
+    return res.status(400).json({
+      success: false,
+      reason: "Please upload the label images or a ZIP of them.",
+    });
+  }
+
+  let rows;
+  let images;
+  try {
+    rows = parseManifest(manifestFile);
+    images = collectImages(files, rows);
+  } catch (err) {
+    if (err.code === "BAD_MANIFEST" || err.code === "BAD_ZIP") {
+      return res.status(400).json({ success: false, reason: err.message });
+    }
+    throw err;
+  }
+
+  // Form values (e.g. commodity) apply to rows that leave them blank
+  const defaults = { ...(req.body || {}) };
+  const results = await mapWithConcurrency(rows, BATCH_CONCURRENCY, (row, i) =>
+    verifyRow(row, i, images, defaults, { tenant: req.tenant, log: req.log })
+  );
+  const summary = summarizeResults(results);
+
+  const batch = await submissionStore.saveBatch({
+    tenant: tenantId(req),
+    manifest: manifestFile.originalname,
+    summary,
+    results,
+  });
+
+  if (req.query.format === "csv") {
+    return sendResultsCsv(res, batch);
+  }
+  return res.status(200).json({
+    success: summary.error === 0 && summary.fail === 0,
+    reason: `Verified ${summary.total} labels: ${summary.pass} passed, ${summary.fail} failed, ${summary.error} could not be checked`,
+    batchId: batch.id,
+    requestId: req.id,
+    summary,
+    results,
+  });
+}
+
+/**
+ * Send a batch's results as a CSV download
+ */
+function sendResultsCsv(res, batch) {
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.set(
+    "Content-Disposition",
+    `attachment; filename="batch-${batch.id}.csv"`
+  );
+  return res.status(200).send(resultsToCsv(batch.results));
+}
+
+/**
+ * GET /batches/:id - a stored batch run (?format=csv for the CSV download)
+ */
+async function getBatch(req, res) {
+  const batch = await submissionStore.getBatch(req.params.id);
+  if (!batch || !canAccess(req, batch)) {
+    return res.status(404).json({
+      success: false,
+      reason: "Batch not found",
+    });
+  }
+  if (req.query.format === "csv") {
+    return sendResultsCsv(res, batch);
+  }
+  return res.status(200).json({ success: true, batch });
+}
+
+module.exports = {
+  BATCH_FIELDS,
+  parseManifest,
+  manifestRowCount,
+  mapWithConcurrency,
+  processBatchResponse,
+  getBatch,
+};
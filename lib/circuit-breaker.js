@@ -0,0 +1,112 @@
+/**
+ * Circuit Breaker Module
+ * Stops calling a failing dependency for a while instead of letting every
+ * request wait out its retries. After failureThreshold consecutive failures
+ * the circuit opens and calls are refused at once; after resetTimeoutMs one
+ * probe call is let through (half-open), and its result closes the circuit
+ * again or keeps it open for another period.
+ */
+
+const STATES = ["closed", "open", "half-open"];
+
+/**
+ * Create a circuit breaker
+ * @param {object} [options] - { failureThreshold, resetTimeoutMs, now,
+ *   onStateChange } where now() returns the current time in ms and
+ *   onStateChange(state, previous) is told of every transition
+ * @returns {object} Breaker with allow, recordSuccess, recordFailure,
+ *   retryAfterMs, status
+ */
+function createCircuitBreaker(options = {}) {
+  const failureThreshold = options.failureThreshold || 5;
+  const resetTimeoutMs = options.resetTimeoutMs || 30_000;
+  const now = options.now || Date.now;
+  const onStateChange = options.onStateChange || (() => {});
+
+  let state = "closed";
+  let failures = 0;
+  let openedAt = null;
+  let probing = false;
+
+  /**
+   * Move to a new state
+   */
+  function transition(next) {
+    if (next === state) return;
+    const previous = state;
+    state = next;
+    onStateChange(next, previous);
+  }
+
+  /**
+   * Whether a call may go ahead now. In the half-open state only one probe
+   * is let through; the caller must report its result.
+   */
+  function allow() {
+    if (state === "open" && now() - openedAt >= resetTimeoutMs) {
+      transition("half-open");
+      probing = false;
+    }
+    if (state === "closed") return true;
+    if (state === "half-open" && !probing) {
+      probing = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Report a call that reached the dependency and got a usable answer
+   */
+  function recordSuccess() {
+    failures = 0;
+    probing = false;
+    openedAt = null;
+    transition("closed");
+  }
+
+  /**
+   * Report a failed call (timeout, network error, server error)
+   */
+  function recordFailure() {
+    failures += 1;
+    probing = false;
+    if (state === "half-open" || failures >= failureThreshold) {
+      openedAt = now();
+      transition("open");
+    }
+  }
+
+  /**
+   * Time until an open circuit lets a probe through (0 when not open)
+   */
+  function retryAfterMs() {
+    if (state !== "open") return 0;
+    return Math.max(openedAt + resetTimeoutMs - now(), 0);
+  }
+
+  /**
+   * Current state for reporting
+   * @returns {object} { state, consecutiveFailures, failureThreshold,
+   *   openedAt, retryAfterSeconds }
+   */
+  function status() {
+    // An expired open period reports as half-open before the next call
+    const current =
+      state === "open" && retryAfterMs() === 0 ? "half-open" : state;
+    return {
+      state: current,
+      consecutiveFailures: failures,
+      failureThreshold,
+      openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+      retryAfterSeconds: Math.ceil(retryAfterMs() / 1000),
+    };
+  }
+
+  return { allow, recordSuccess, recordFailure, retryAfterMs, status };
+}
+
+module.exports = {
+  createCircuitBreaker,
+  STATES,
+};
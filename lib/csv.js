@@ -0,0 +1,97 @@
+/**
+ * CSV Module
+ * Minimal RFC 4180 reader and writer for batch manifests and results
+ */
+
+/**
+ * Parse CSV text into rows of cells
+ * @param {string} text - CSV text; quoted cells may contain commas,
+ *   doubled quotes and line breaks
+ * @returns {string[][]} Rows, blank lines skipped
+ */
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const source = String(text || "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+    if (quoted) {
+      if (c === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cell += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && source[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += c;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+/**
+ * Parse CSV text with a header row into objects
+ * @param {string} text - CSV text
+ * @returns {object[]} One object per data row, keyed by trimmed header
+ */
+function parseCsv(text) {
+  const [header, ...rows] = parseRows(text);
+  if (!header) return [];
+  const keys = header.map((h) => h.trim());
+  return rows.map((cells) => {
+    const record = {};
+    keys.forEach((key, i) => {
+      if (key) record[key] = (cells[i] || "").trim();
+    });
+    return record;
+  });
+}
+
+/**
+ * Quote a cell when it contains a delimiter, quote or line break. Text that
+ * a spreadsheet would run as a formula (starting with =, +, -, @, tab or
+ * carriage return) is prefixed with ' so it opens as plain text.
+ */
+function formatCell(value) {
+  let s = value === null || value === undefined ? "" : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Format objects as CSV
+ * @param {object[]} records - Rows to write
+ * @param {string[]} columns - Column order; also the header row
+ * @returns {string} CSV text with CRLF line endings
+ */
+function toCsv(records, columns) {
+  const lines = [columns.map(formatCell).join(",")];
+  records.forEach((record) => {
+    lines.push(columns.map((c) => formatCell(record[c])).join(","));
+  });
+  return lines.join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  parseCsv,
+  toCsv,
+};
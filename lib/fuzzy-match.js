@@ -0,0 +1,146 @@
+/**
+ * Fuzzy Match Module
+ * OCR-aware approximate string matching: weighted edit distance over a
+ * sliding window of tokens
+ */
+
+// Characters OCR commonly mistakes for each other; substituting one for the
+// other costs CONFUSION_COST instead of a full edit
+const OCR_CONFUSIONS = [
+  ["0", "o"],
+  ["0", "d"],
+  ["1", "l"],
+  ["1", "i"],
+  ["l", "i"],
+  ["5", "s"],
+  ["8", "b"],
+  ["2", "z"],
+  ["6", "g"],
+  ["e", "c"],
+  ["u", "v"],
+  ["n", "h"],
+];
+const CONFUSION_COST = 0.3;
+
+// Inserting or dropping punctuation (e.g. the apostrophe in "Old Tom's")
+const PUNCTUATION_COST = 0.3;
+const PUNCTUATION_RE = /[\s'’`".,:;!?\-_/()&]/;
+
+const confusable = new Set();
+OCR_CONFUSIONS.forEach(([a, b]) => {
+  confusable.add(a + b);
+  confusable.add(b + a);
+});
+
+/**
+ * Lowercase, strip accents and collapse whitespace
+ * @param {string} s - String to fold
+ * @returns {string} Folded string
+ */
+function fold(s) {
+  return (s || "")
+    .toString()
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Cost of replacing one character with another
+ */
+function substitutionCost(a, b) {
+  if (a === b) return 0;
+  if (confusable.has(a + b)) return CONFUSION_COST;
+  if (PUNCTUATION_RE.test(a) && PUNCTUATION_RE.test(b)) return PUNCTUATION_COST;
+  return 1;
+}
+
+/**
+ * Cost of inserting or deleting a character
+ */
+function indelCost(c) {
+  return PUNCTUATION_RE.test(c) ? PUNCTUATION_COST : 1;
+}
+
+/**
+ * Weighted Levenshtein distance between two folded strings
+ */
+function editDistance(a, b) {
+  let prev = [0];
+  for (let j = 1; j <= b.length; j++)
+    prev[j] = prev[j - 1] + indelCost(b[j - 1]);
+
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [prev[0] + indelCost(a[i - 1])];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(
+        prev[j] + indelCost(a[i - 1]),
+        cur[j - 1] + indelCost(b[j - 1]),
+        prev[j - 1] + substitutionCost(a[i - 1], b[j - 1])
+      );
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Similarity of two strings in [0, 1], 1 being identical after folding
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity score
+ */
+function similarity(a, b) {
+  const fa = fold(a);
+  const fb = fold(b);
+  const longest = Math.max(fa.length, fb.length);
+  if (longest === 0) return 1;
+  return Math.max(0, 1 - editDistance(fa, fb) / longest);
+}
+
+/**
+ * Find the run of tokens that best matches a phrase. Windows of the phrase's
+ * token count, plus and minus one, are compared so split or merged words
+ * still line up.
+ * @param {string[]} tokens - Text tokens in reading order
+ * @param {string} phrase - Phrase to look for
+ * @returns {{score: number, match: string, start: number, end: number}|null}
+ *   Best window (end exclusive), or null when there is nothing to compare
+ */
+function bestMatch(tokens, phrase) {
+  const target = fold(phrase);
+  if (!target || tokens.length === 0) return null;
+
+  const size = target.split(" ").length;
+  let best = null;
+  for (let n = Math.max(1, size - 1); n <= size + 1; n++) {
+    for (let start = 0; start + n <= tokens.length; start++) {
+      const window = tokens.slice(start, start + n).join(" ");
+      const score = similarity(window, target);
+      if (!best || score > best.score) {
+        best = { score, match: window, start, end: start + n };
+      }
+    }
+  }
+  if (best) best.score = Math.round(best.score * 1000) / 1000;
+  return best;
+}
+
+/**
+ * Split text into whitespace-separated tokens
+ * @param {string} text - Text to split
+ * @returns {string[]} Tokens
+ */
+function tokenize(text) {
+  return (text || "").toString().split(/\s+/).filter(Boolean);
+}
+
+module.exports = {
+  OCR_CONFUSIONS,
+  fold,
+  similarity,
+  bestMatch,
+  tokenize,
+};
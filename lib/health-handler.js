@@ -0,0 +1,113 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  getProvider,
+  providerConfigProblems,
+  OCR_PROVIDER,
+} = require("./ocr-providers");
+const { ocrBudget } = require("./ocr-budget");
+const { tenantStore } = require("./tenant-store");
+const { SUBMISSIONS_DIR } = require("./submission-store");
+const { RULES_DIR } = require("./rule-engine");
+
+/**
+ * Health Handler Module
+ * Liveness and readiness endpoints for load balancers and on-call staff:
+ * the state of the OCR circuit breaker and whether the configuration lets
+ * the server do its job
+ */
+
+/**
+ * Circuit breaker state of the OCR provider, or null when it has none
+ */
+function circuitStatus() {
+  let provider;
+  try {
+    provider = getProvider(OCR_PROVIDER);
+  } catch (e) {
+    return null;
+  }
+  return provider.breaker ? provider.breaker.status() : null;
+}
+
+/**
+ * Whether a directory (or, before it is created, its nearest existing
+ * parent) is writable
+ */
+async function writable(dir) {
+  let current = dir;
+  for (;;) {
+    try {
+      await fs.promises.access(current, fs.constants.W_OK);
+      return true;
+    } catch (e) {
+      const parent = path.dirname(current);
+      if (e.code !== "ENOENT" || parent === current) return false;
+      current = parent;
+    }
+  }
+}
+
+/**
+ * GET /healthz - liveness: answers 200 while the process is serving
+ * requests, reporting the OCR circuit state (an OCR outage is not a reason
+ * to restart the server)
+ */
+async function getHealth(req, res) {
+  return res.status(200).json({
+    success: true,
+    status: "ok",
+    uptimeSeconds: Math.round(process.uptime()),
+    ocr: { provider: OCR_PROVIDER, circuit: circuitStatus() },
+  });
+}
+
+/**
+ * GET /readyz - readiness: 200 when uploads can be verified, otherwise 503
+ * listing what is wrong (configuration, storage, OCR circuit open). File
+ * paths are left out since the endpoint needs no sign-in.
+ */
+async function getReadiness(req, res) {
+  const configProblems = [...providerConfigProblems()];
+  if (!tenantStore.readable()) {
+    configProblems.push("The tenants file cannot be read");
+  }
+  if (!fs.existsSync(RULES_DIR)) {
+    configProblems.push("RULES_DIR does not exist");
+  }
+  const storageOk = await writable(SUBMISSIONS_DIR);
+  const circuit = circuitStatus();
+  const circuitOk = !circuit || circuit.state !== "open";
+
+  const checks = {
+    config: { ok: configProblems.length === 0, problems: configProblems },
+    storage: { ok: storageOk },
+    ocr: { ok: circuitOk, provider: OCR_PROVIDER, circuit },
+    // Reported only: cached images can still be verified
+    ocrBudget: ocrBudget.status(),
+  };
+  const problems = [
+    ...configProblems,
+    ...(storageOk ? [] : ["SUBMISSIONS_DIR is not writable"]),
+    ...(circuitOk
+      ? []
+      : [
+          `OCR service unavailable (circuit open, next probe in ${circuit.retryAfterSeconds} seconds)`,
+        ]),
+  ];
+
+  if (problems.length > 0) {
+    return res.status(503).json({
+      success: false,
+      status: "not ready",
+      reason: problems.join("; "),
+      checks,
+    });
+  }
+  return res.status(200).json({ success: true, status: "ready", checks });
+}
+
+module.exports = {
+  getHealth,
+  getReadiness,
+};
@@ -0,0 +1,213 @@
+const { fold, similarity } = require("./fuzzy-match");
+
+/**
+ * Health Warning Module
+ * Verifies the Government Health Warning Statement required by 27 CFR Part 16
+ */
+
+const HEADING = "GOVERNMENT WARNING";
+
+// Statutory wording (27 CFR 16.21), split so the report can name the part
+const STATEMENT_PARTS = [
+  {
+    name: "Sentence (1)",
+    text:
+      "(1) According to the Surgeon General, women should not drink " +
+      "alcoholic beverages during pregnancy because of the risk of birth defects.",
+  },
+  {
+    name: "Sentence (2)",
+    text:
+      "(2) Consumption of alcoholic beverages impairs your ability to drive " +
+      "a car or operate machinery, and may cause health problems.",
+  },
+];
+
+// Word similarity at or above which a difference is put down to OCR noise
+const WORD_MATCH = 0.9;
+// Word similarity at or above which a word counts as altered rather than missing
+const WORD_ALTERED = 0.6;
+// Share of a sentence's words that must line up for it to count as present
+const SENTENCE_PRESENT = 0.5;
+
+/**
+ * Split text into comparable words: folded, without punctuation, with words
+ * hyphenated across OCR line breaks joined back together
+ */
+function words(text) {
+  return fold(String(text || "").replace(/-\s*\r?\n\s*/g, ""))
+    .split(" ")
+    .map((w) => w.replace(/[^\p{L}\p{N}]/gu, ""))
+    .filter(Boolean);
+}
+
+/**
+ * Align statute words against label words (edit-distance alignment where
+ * near-identical words count as equal)
+ * @returns {object[]} Steps: { op: "match"|"altered"|"missing"|"extra", expected, found }
+ */
+function align(expected, found) {
+  const n = expected.length;
+  const m = found.length;
+  const cost = [];
+  for (let i = 0; i <= n; i++) {
+    cost.push(new Array(m + 1).fill(0));
+    cost[i][0] = i;
+  }
+  for (let j = 0; j <= m; j++) cost[0][j] = j;
+
+  const sim = (i, j) => similarity(expected[i - 1], found[j - 1]);
+  const subCost = (s) => (s >= WORD_MATCH ? 0 : s >= WORD_ALTERED ? 0.5 : 2);
+
+  for (let i = 1; i <= n; i++) {
+    for (let j = 1; j <= m; j++) {
+      cost[i][j] = Math.min(
+        cost[i - 1][j] + 1,
+        cost[i][j - 1] + 1,
+        cost[i - 1][j - 1] + subCost(sim(i, j))
+      );
+    }
+  }
+
+  const steps = [];
+  let i = n;
+  let j = m;
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0) {
+      const s = sim(i, j);
+      if (cost[i][j] === cost[i - 1][j - 1] + subCost(s)) {
+        steps.push({
+          op:
+            s >= WORD_MATCH
+              ? "match"
+              : s >= WORD_ALTERED
+              ? "altered"
+              : "missing",
+          expected: expected[i - 1],
+          found: found[j - 1],
+        });
+        i -= 1;
+        j -= 1;
+        continue;
+      }
+    }
+    if (i > 0 && cost[i][j] === cost[i - 1][j] + 1) {
+      steps.push({ op: "missing", expected: expected[i - 1] });
+      i -= 1;
+    } else {
+      steps.push({ op: "extra", found: found[j - 1] });
+      j -= 1;
+    }
+  }
+  return steps.reverse();
+}
+
+/**
+ * Locate one statement sentence in the label words and compare it word by word
+ */
+function checkPart(part, labelWords) {
+  const expected = words(part.text);
+
+  // Align from every position where the sentence plausibly starts (or from
+  // the top when none does) and keep the alignment with the most matches
+  const anchorText = expected.slice(0, 3).join(" ");
+  let starts = labelWords
+    .map((w, i) => i)
+    .filter(
+      (i) => similarity(labelWords.slice(i, i + 3).join(" "), anchorText) >= 0.5
+    );
+  if (starts.length === 0) starts = [0];
+
+  let best = null;
+  for (const start of starts) {
+    const window = labelWords.slice(start, start + expected.length + 3);
+    const steps = align(expected, window);
+    // Trailing label words after the sentence are not part of it
+    while (steps.length && steps[steps.length - 1].op === "extra") steps.pop();
+    const matched = steps.filter((s) => s.op === "match").length;
+    if (!best || matched > best.matched) best = { steps, matched };
+  }
+
+  const steps = best ? best.steps : [];
+  const matched = best ? best.matched : 0;
+  const missingWords = steps
+    .filter((s) => s.op === "missing")
+    .map((s) => s.expected);
+  const alteredWords = steps
+    .filter((s) => s.op === "altered")
+    .map((s) => ({ expected: s.expected, found: s.found }));
+
+  return {
+    part: part.name,
+    present: matched / expected.length >= SENTENCE_PRESENT,
+    matched,
+    total: expected.length,
+    missingWords,
+    alteredWords,
+  };
+}
+
+/**
+ * Describe the problems with one sentence
+ */
+function describePart(result) {
+  if (!result.present) return `${result.part} is missing`;
+  const problems = [];
+  if (result.missingWords.length > 0) {
+    problems.push(
+      `missing words: ${result.missingWords.map((w) => `"${w}"`).join(", ")}`
+    );
+  }
+  if (result.alteredWords.length > 0) {
+    problems.push(
+      "altered words: " +
+        result.alteredWords
+          .map((w) => `"${w.expected}" reads "${w.found}"`)
+          .join(", ")
+    );
+  }
+  return `${result.part} has ${problems.join("; ")}`;
+}
+
+/**
+ * Check the label text for the mandatory health warning statement
+ * @param {string} parsedText - Extracted OCR text
+ * @returns {object} { found, score, heading, sentences, issues, explanation }
+ */
+function checkHealthWarning(parsedText) {
+  const text = String(parsedText || "");
+  const issues = [];
+
+  // The heading must appear in capital letters
+  let heading = "missing";
+  if (new RegExp(HEADING.replace(" ", "\\s+")).test(text)) {
+    heading = "ok";
+  } else if (new RegExp(HEADING.replace(" ", "\\s+"), "i").test(text)) {
+    heading = "not-capitalized";
+    issues.push(`"${HEADING}" must appear in capital letters`);
+  } else {
+    issues.push(`"${HEADING}" heading is missing`);
+  }
+
+  const labelWords = words(text);
+  const sentences = STATEMENT_PARTS.map((part) => checkPart(part, labelWords));
+  sentences.forEach((s) => {
+    if (!s.present || s.missingWords.length > 0 || s.alteredWords.length > 0) {
+      issues.push(describePart(s));
+    }
+  });
+
+  const matched = sentences.reduce((sum, s) => sum + s.matched, 0);
+  const total = sentences.reduce((sum, s) => sum + s.total, 0);
+
+  return {
+    found: issues.length === 0,
+    score: Math.round((matched / total) * 1000) / 1000,
+    heading,
+    sentences,
+    issues,
+    explanation: issues.length ? `Health warning: ${issues.join(". ")}` : null,
+  };
+}
+
+module.exports = { checkHealthWarning, STATEMENT_PARTS };
@@ -0,0 +1,17 @@
+const crypto = require("crypto");
+
+/**
+ * Image Hash Module
+ * Content hashes used to key recorded and cached OCR results
+ */
+
+/**
+ * Hash an image buffer
+ * @param {Buffer} buffer - Image file buffer
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+function hashImage(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+module.exports = { hashImage };
@@ -0,0 +1,280 @@
+const path = require("path");
+const sharp = require("sharp");
+const { hashImage } = require("./image-hash");
+
+/**
+ * Image Normalizer Module
+ * Prepares uploads for the OCR provider: applies EXIF orientation, converts
+ * formats the provider does not read, flattens multi-page images and
+ * downscales / recompresses to fit the provider's size limit
+ */
+
+// Configuration from environment
+const UPLOAD_MAX_MB = parseInt(process.env.UPLOAD_MAX_MB, 10) || 20;
+const OCR_MAX_BYTES =
+  parseInt(process.env.OCR_MAX_BYTES, 10) || 1 * 1024 * 1024; // OCR.space free tier
+
+const UPLOAD_MAX_BYTES = UPLOAD_MAX_MB * 1024 * 1024;
+
+// Formats the provider takes as they are (sharp format names / MIME types)
+const PROVIDER_FORMATS = ["jpeg", "png", "gif", "tiff"];
+const PROVIDER_TYPES = ["image/jpeg", "image/png", "image/gif", "image/tiff"];
+
+// Longest edge after normalization; larger photos gain no legibility
+const MAX_DIMENSION = 4000;
+// Never shrink the longest edge below this, or small print becomes unreadable
+const MIN_DIMENSION = 1200;
+const JPEG_QUALITY = 85;
+const MIN_JPEG_QUALITY = 65;
+
+// Upload MIME types by file extension, for clients that send a generic type
+const MIME_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".bmp": "image/bmp",
+  ".tif": "image/tiff",
+  ".tiff": "image/tiff",
+  ".webp": "image/webp",
+  ".heic": "image/heic",
+  ".heif": "image/heif",
+  ".avif": "image/avif",
+  ".svg": "image/svg+xml",
+  ".pdf": "application/pdf",
+};
+
+// Raster formats normalizeImage() reads (MIME types / sharp format names)
+const RASTER_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/tiff",
+  "image/webp",
+  "image/avif",
+];
+const RASTER_FORMATS = ["jpeg", "png", "gif", "tiff", "webp", "heif"];
+
+// Formats the installed image library cannot decode, by MIME type. They are
+// recognized only to be refused with a clear message.
+const UNREADABLE_FORMATS = {
+  "image/heic": "HEIC",
+  "image/heif": "HEIC",
+  "image/bmp": "BMP",
+  "image/svg+xml": "SVG",
+  "application/pdf": "PDF",
+};
+
+/**
+ * Whether an upload is a raster image, or a format normalizeImage() refuses
+ * with a clear message
+ * @param {object} file - { originalname, mimetype }
+ * @returns {boolean} True for RASTER_TYPES and UNREADABLE_FORMATS
+ */
+function isSupportedUpload(file) {
+  const type = uploadType(file);
+  return RASTER_TYPES.includes(type) || Boolean(UNREADABLE_FORMATS[type]);
+}
+
+/**
+ * MIME type of an upload, falling back to its extension
+ */
+function uploadType(file) {
+  const declared = file.mimetype || "";
+  if (declared && declared !== "application/octet-stream") return declared;
+  return (
+    MIME_TYPES[path.extname(file.originalname || "").toLowerCase()] || declared
+  );
+}
+
+/**
+ * Readable file size
+ */
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024
+    ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+    : `${Math.round(bytes / 1024)} KB`;
+}
+
+/**
+ * Error carrying the HTTP status for an image that cannot be prepared
+ */
+function normalizeError(status, message) {
+  const err = new Error(message);
+  err.code = "BAD_IMAGE";
+  err.status = status;
+  return err;
+}
+
+/**
+ * Replace the extension of a file name
+ */
+function renameTo(filename, ext) {
+  const base = path.basename(filename || "label", path.extname(filename || ""));
+  return `${base}${ext}`;
+}
+
+/**
+ * Prepare an image for OCR
+ * @param {object} image - { buffer, filename, mimetype }
+ * @returns {Promise<{image: object, normalization: object}>} Image to send and
+ *   { changed, changes: string[], original, result } describing what was done;
+ *   original.hash is the SHA-256 of the upload as received
+ * @throws {Error} With code "BAD_IMAGE" and an HTTP status when the image
+ *   cannot be read or brought under the size limit
+ */
+async function normalizeImage(image) {
+  const mimetype = uploadType({
+    mimetype: image.mimetype,
+    originalname: image.filename,
+  });
+  const original = {
+    mimetype,
+    size: image.buffer.length,
+    hash: hashImage(image.buffer),
+  };
+  const unchanged = () => ({
+    image: { ...image, mimetype },
+    normalization: { changed: false, changes: [], original, result: original },
+  });
+
+  if (UNREADABLE_FORMATS[mimetype]) {
+    throw normalizeError(
+      415,
+      `${UNREADABLE_FORMATS[mimetype]} files cannot be read. Please upload a JPEG or PNG photo instead.`
+    );
+  }
+
+  let meta;
+  try {
+    meta = await sharp(image.buffer).metadata();
+  } catch (e) {
+    // Leave files the provider may still read to the provider
+    if (
+      PROVIDER_TYPES.includes(mimetype) &&
+      image.buffer.length <= OCR_MAX_BYTES
+    ) {
+      return unchanged();
+    }
+    throw normalizeError(
+      415,
+      `Could not read this image (${
+        mimetype || "unknown type"
+      }). Please upload a JPEG or PNG.`
+    );
+  }
+  // The declared type is the client's word; the content decides
+  if (!RASTER_FORMATS.includes(meta.format)) {
+    throw normalizeError(
+      415,
+      `${String(
+        meta.format
+      ).toUpperCase()} files cannot be read. Please upload a JPEG or PNG photo instead.`
+    );
+  }
+
+  const pages = meta.pages || 1;
+  const multiPage = pages > 1 && meta.format !== "gif";
+  const oriented = meta.orientation && meta.orientation !== 1;
+  const convert = !PROVIDER_FORMATS.includes(meta.format);
+  const oversized = image.buffer.length > OCR_MAX_BYTES;
+  if (!multiPage && !oriented && !convert && !oversized) return unchanged();
+
+  const changes = [];
+  if (oriented) {
+    changes.push(`Rotated upright (EXIF orientation ${meta.orientation})`);
+  }
+  if (multiPage) changes.push(`Combined ${pages} pages into one image`);
+  if (convert) changes.push(`Converted ${meta.format.toUpperCase()} to JPEG`);
+
+  // Pages are stacked top to bottom when all of them are read
+  const source = () =>
+    sharp(image.buffer, multiPage ? { pages: -1 } : {})
+      .rotate()
+      .flatten({ background: "#ffffff" });
+
+  // Dimensions after stacking pages and auto-orient (orientations 5-8 swap
+  // width and height)
+  const stacked = multiPage
+    ? await sharp(image.buffer, { pages: -1 }).metadata()
+    : meta;
+  const swap = meta.orientation >= 5;
+  const width = swap ? stacked.height : stacked.width;
+  const height = swap ? stacked.width : stacked.height;
+
+  // Lower the quality when slightly over the limit, otherwise shrink by the
+  // ratio the size is over (JPEG size grows roughly with pixel count)
+  let scale = Math.min(1, MAX_DIMENSION / Math.max(width, height));
+  let quality = JPEG_QUALITY;
+  let output;
+  for (;;) {
+    const pipeline = source();
+    if (scale < 1) {
+      pipeline.resize(Math.round(width * scale), Math.round(height * scale), {
+        fit: "fill",
+      });
+    }
+    output = await pipeline.jpeg({ quality, mozjpeg: true }).toBuffer();
+    if (output.length <= OCR_MAX_BYTES) break;
+
+    const over = output.length / OCR_MAX_BYTES;
+    if (over < 1.5 && quality > MIN_JPEG_QUALITY) {
+      quality -= 10;
+      continue;
+    }
+    const next = scale * Math.min(0.9, Math.sqrt(1 / over) * 0.95);
+    if (Math.max(width, height) * next < MIN_DIMENSION) {
+      throw normalizeError(
+        413,
+        `Image could not be reduced under ${formatBytes(
+          OCR_MAX_BYTES
+        )} without making the text unreadable. Please upload a closer or smaller photo.`
+      );
+    }
+    scale = next;
+  }
+
+  const resultWidth = Math.round(width * scale);
+  const resultHeight = Math.round(height * scale);
+  if (scale < 1) {
+    changes.push(
+      `Resized from ${width}x${height} to ${resultWidth}x${resultHeight}`
+    );
+  }
+  if (oversized || meta.format !== "jpeg") {
+    changes.push(
+      `Recompressed ${formatBytes(image.buffer.length)} to ${formatBytes(
+        output.length
+      )} (JPEG quality ${quality})`
+    );
+  }
+
+  return {
+    image: {
+      buffer: output,
+      filename: renameTo(image.filename, ".jpg"),
+      mimetype: "image/jpeg",
+    },
+    normalization: {
+      changed: true,
+      changes,
+      original: { ...original, width, height, pages, format: meta.format },
+      result: {
+        mimetype: "image/jpeg",
+        size: output.length,
+        width: resultWidth,
+        height: resultHeight,
+      },
+    },
+  };
+}
+
+module.exports = {
+  normalizeImage,
+  isSupportedUpload,
+  uploadType,
+  MIME_TYPES,
+  RASTER_TYPES,
+  UPLOAD_MAX_BYTES,
+  OCR_MAX_BYTES,
+};
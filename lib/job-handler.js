@@ -0,0 +1,138 @@
+const { jobQueue, FINAL_STATUSES } = require("./job-queue");
+const { tenantId, canAccess } = require("./auth-handler");
+const {
+  extractRequestData,
+  uploadedPanels,
+  verifySubmission,
+} = require("./upload-processor");
+
+/**
+ * Job Handler Module
+ * Asynchronous label verification: start a job, check its status, or
+ * stream its progress as Server-Sent Events. Jobs are only visible to the
+ * tenant that started them.
+ */
+
+// Comment line sent periodically so proxies keep the stream open
+const KEEPALIVE_MS = 15_000;
+
+/**
+ * Public view of a job
+ */
+function describe(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    events: job.events,
+    result: job.result ? job.result.body : null,
+  };
+}
+
+/**
+ * POST /jobs - queue verification of the uploaded label panels; returns at
+ * once
+ */
+async function createJob(req, res) {
+  const panels = uploadedPanels(req);
+  if (panels.length === 0) {
+    return res.status(400).json({
+      success: false,
+      reason: "Please select an image file to upload.",
+    });
+  }
+
+  const requestData = extractRequestData(req.body);
+  const { tenant, log } = req;
+  const job = jobQueue.enqueue(
+    (onProgress) =>
+      verifySubmission(panels, requestData, {
+        onProgress,
+        tenant,
+        log: log.child({ jobId: job.id }),
+      }),
+    { tenant: tenantId(req) }
+  );
+
+  res.set("Location", `/jobs/${job.id}`);
+  return res.status(202).json({
+    success: true,
+    jobId: job.id,
+    requestId: req.id,
+    status: job.status,
+    statusUrl: `/jobs/${job.id}`,
+    eventsUrl: `/jobs/${job.id}/events`,
+  });
+}
+
+/**
+ * GET /jobs/:id - job status, progress so far and, once done, the result
+ */
+async function getJob(req, res) {
+  const job = jobQueue.get(req.params.id);
+  if (!job || !canAccess(req, job)) {
+    return res.status(404).json({
+      success: false,
+      reason: "Job not found or expired",
+    });
+  }
+  return res.status(200).json({ success: true, job: describe(job) });
+}
+
+/**
+ * GET /jobs/:id/events - Server-Sent Events stream of progress events.
+ * Past events are replayed first (after Last-Event-ID on reconnect); the
+ * stream ends once the job is done or failed.
+ */
+async function streamJobEvents(req, res) {
+  const job = jobQueue.get(req.params.id);
+  if (!job || !canAccess(req, job)) {
+    return res.status(404).json({
+      success: false,
+      reason: "Job not found or expired",
+    });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    res.write(
+      `id: ${event.id}\nevent: ${event.stage}\ndata: ${JSON.stringify(
+        event
+      )}\n\n`
+    );
+  };
+
+  const lastId = parseInt(req.get("Last-Event-ID"), 10);
+  job.events.filter((e) => Number.isNaN(lastId) || e.id > lastId).forEach(send);
+  if (FINAL_STATUSES.includes(job.status)) return res.end();
+
+  const unsubscribe = jobQueue.subscribe(job.id, (event) => {
+    send(event);
+    if (FINAL_STATUSES.includes(event.stage)) {
+      stop();
+      res.end();
+    }
+  });
+  const keepalive = setInterval(
+    () => res.write(": keepalive\n\n"),
+    KEEPALIVE_MS
+  );
+  function stop() {
+    clearInterval(keepalive);
+    unsubscribe();
+  }
+  req.on("close", stop);
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  streamJobEvents,
+};
@@ -0,0 +1,161 @@
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { logger } = require("./logger");
+
+/**
+ * Job Queue Module
+ * Runs slow verifications in the background so the request that starts one
+ * returns immediately; clients poll the job or stream its progress events
+ */
+
+// Configuration from environment
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MS, 10) || 60 * 60 * 1000; // 1 hour after finishing
+
+const FINAL_STATUSES = ["done", "failed"];
+
+/**
+ * Create an in-memory job queue
+ * @param {object} [options] - { concurrency, ttlMs }
+ * @returns {object} Queue with enqueue, get, subscribe
+ */
+function createJobQueue(options = {}) {
+  const concurrency = options.concurrency || JOB_CONCURRENCY;
+  const ttlMs = options.ttlMs || JOB_TTL_MS;
+  const jobs = new Map();
+  const waiting = [];
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+  let running = 0;
+
+  /**
+   * Append a progress event to a job and notify subscribers
+   */
+  function publish(job, event) {
+    const entry = {
+      id: job.events.length,
+      at: new Date().toISOString(),
+      ...event,
+    };
+    job.events.push(entry);
+    job.updatedAt = entry.at;
+    events.emit(job.id, entry);
+  }
+
+  /**
+   * Forget finished jobs older than the TTL
+   */
+  function prune() {
+    const cutoff = Date.now() - ttlMs;
+    for (const [id, job] of jobs) {
+      if (
+        FINAL_STATUSES.includes(job.status) &&
+        Date.parse(job.updatedAt) < cutoff
+      ) {
+        jobs.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Start waiting jobs while there is capacity
+   */
+  function drain() {
+    while (running < concurrency && waiting.length > 0) {
+      const { job, task } = waiting.shift();
+      running += 1;
+      job.status = "running";
+      publish(job, { stage: "running", message: "Processing started" });
+
+      Promise.resolve()
+        .then(() => task((event) => publish(job, event)))
+        .then(
+          (result) => {
+            job.result = result;
+            // A task that answers with an error status (bad image, OCR
+            // unavailable, ...) failed, and its reason is the message
+            if (result && result.status >= 400) {
+              job.status = "failed";
+              publish(job, {
+                stage: "failed",
+                message: (result.body && result.body.reason) || "Failed",
+                status: result.status,
+              });
+              return;
+            }
+            job.status = "done";
+            publish(job, { stage: "done", message: "Finished" });
+          },
+          (err) => {
+            logger.error("Unexpected error in job", { jobId: job.id, err });
+            job.status = "failed";
+            job.result = {
+              status: 500,
+              body: { success: false, reason: "Internal server error" },
+            };
+            publish(job, { stage: "failed", message: "Internal server error" });
+          }
+        )
+        .finally(() => {
+          running -= 1;
+          drain();
+        });
+    }
+  }
+
+  /**
+   * Queue a task
+   * @param {function} task - (progress) => Promise<{ status, body }>; call
+   *   progress({ stage, message, ... }) to report progress. A 4xx or 5xx
+   *   status marks the job failed.
+   * @param {object} [fields] - { tenant }, the tenant the job belongs to
+   * @returns {object} The new job
+   */
+  function enqueue(task, fields = {}) {
+    prune();
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomBytes(12).toString("hex"),
+      tenant: fields.tenant,
+      status: "queued",
+      createdAt: now,
+      updatedAt: now,
+      events: [],
+      result: null,
+    };
+    jobs.set(job.id, job);
+    publish(job, { stage: "queued", message: "Waiting to start" });
+    waiting.push({ job, task });
+    drain();
+    return job;
+  }
+
+  /**
+   * Look up a job
+   * @returns {object|null} Job, or null when unknown or expired
+   */
+  function get(id) {
+    return jobs.get(String(id)) || null;
+  }
+
+  /**
+   * Receive a job's progress events as they happen
+   * @param {string} id - Job id
+   * @param {function} listener - (event) => void
+   * @returns {function} Unsubscribe
+   */
+  function subscribe(id, listener) {
+    events.on(id, listener);
+    return () => events.off(id, listener);
+  }
+
+  return { enqueue, get, subscribe };
+}
+
+const jobQueue = createJobQueue();
+
+module.exports = {
+  createJobQueue,
+  jobQueue,
+  FINAL_STATUSES,
+};
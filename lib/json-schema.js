@@ -0,0 +1,183 @@
+/**
+ * JSON Schema Module
+ * Validates values against the JSON Schema subset the OpenAPI document
+ * uses: type (a name or a list of names), properties, required,
+ * additionalProperties, items, minItems, maxItems, enum, minLength,
+ * maxLength, pattern, minimum, maximum, oneOf and local $refs
+ * (#/components/schemas/...)
+ */
+
+/**
+ * JSON type name of a value ("integer" values are also "number")
+ */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+/**
+ * Whether a value has one of the allowed types
+ */
+function hasType(value, types) {
+  const actual = typeOf(value);
+  return types.some(
+    (t) =>
+      t === actual ||
+      (t === "integer" && actual === "number" && Number.isInteger(value))
+  );
+}
+
+/**
+ * Resolve a local $ref against the root document
+ */
+function resolveRef(ref, root) {
+  if (!ref.startsWith("#/")) throw new Error(`Unsupported $ref ${ref}`);
+  const target = ref
+    .slice(2)
+    .split("/")
+    .reduce((node, key) => (node ? node[key] : undefined), root);
+  if (!target) throw new Error(`Unresolved $ref ${ref}`);
+  return target;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {object} schema - JSON Schema (the subset described above)
+ * @param {*} value - Value to check, e.g. a parsed request body
+ * @param {object} [root] - Document that $refs point into (defaults to the
+ *   schema itself)
+ * @param {string} [path] - Location of value, used in messages
+ * @returns {{path: string, message: string}[]} Problems found, empty when
+ *   the value is valid
+ */
+function validate(schema, value, root = schema, path = "") {
+  if (schema.$ref)
+    return validate(resolveRef(schema.$ref, root), value, root, path);
+  const at = path || "(body)";
+  const problems = [];
+
+  if (schema.oneOf) {
+    const matching = schema.oneOf.filter(
+      (option) => validate(option, value, root, path).length === 0
+    );
+    if (matching.length === 0) {
+      // Report against the option the value was evidently meant to be
+      const meant = schema.oneOf.filter((option) => {
+        const target = option.$ref ? resolveRef(option.$ref, root) : option;
+        return (
+          typeOf(value) === "object" &&
+          (target.required || []).every((key) => value[key] !== undefined)
+        );
+      });
+      if (meant.length === 1) return validate(meant[0], value, root, path);
+    }
+    if (matching.length !== 1) {
+      const options = schema.oneOf.map((o) =>
+        o.$ref ? o.$ref.split("/").pop() : o.title || "schema"
+      );
+      problems.push({
+        path: at,
+        message: `must match exactly one of ${options.join(", ")}`,
+      });
+    }
+    return problems;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!hasType(value, types)) {
+      return [{ path: at, message: `must be ${types.join(" or ")}` }];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push({
+      path: at,
+      message: `must be one of ${schema.enum.join(", ")}`,
+    });
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      problems.push({
+        path: at,
+        message:
+          schema.minLength === 1
+            ? "must not be empty"
+            : `must be at least ${schema.minLength} characters`,
+      });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      problems.push({
+        path: at,
+        message: `must be at most ${schema.maxLength} characters`,
+      });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      problems.push({
+        path: at,
+        message: "is not in the expected format",
+      });
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      problems.push({
+        path: at,
+        message: `must be at least ${schema.minimum}`,
+      });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      problems.push({ path: at, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      problems.push({
+        path: at,
+        message: `must have at least ${schema.minItems} items`,
+      });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      problems.push({
+        path: at,
+        message: `must have at most ${schema.maxItems} items`,
+      });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => {
+        problems.push(...validate(schema.items, item, root, `${path}[${i}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+    const child = (key) => (path ? `${path}.${key}` : key);
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        problems.push({ path: child(key), message: "is required" });
+      }
+    });
+    Object.keys(value).forEach((key) => {
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        problems.push(
+          ...validate(properties[key], value[key], root, child(key))
+        );
+      } else if (schema.additionalProperties === false) {
+        problems.push({ path: child(key), message: "is not allowed" });
+      } else if (typeof schema.additionalProperties === "object") {
+        problems.push(
+          ...validate(schema.additionalProperties, value[key], root, child(key))
+        );
+      }
+    });
+  }
+
+  return problems;
+}
+
+module.exports = { validate };
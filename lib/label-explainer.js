@@ -0,0 +1,97 @@
+const { extractFields } = require("./label-extractor");
+
+/**
+ * Label Explainer Module
+ * Turns missing fields into readable discrepancies: what the label actually
+ * says next to what was entered
+ */
+
+// Fuzzy matches scoring below this are too far off to present as "the" value
+const CANDIDATE_MIN_SCORE = 0.5;
+
+/**
+ * Pick the closest value on the label for a missing field
+ * @param {string} key - Field name
+ * @param {object} check - labelChecks.fields[key] from verifyLabels()
+ * @param {object} extracted - Result of extractFields()
+ * @returns {string|null} Candidate value
+ */
+function closestCandidate(key, check, extracted) {
+  const guess = extracted[key] && extracted[key].value;
+  const fuzzy =
+    check && check.match && check.score >= CANDIDATE_MIN_SCORE
+      ? check.match
+      : null;
+
+  // The class designation and ABV are recognized by pattern, which beats a
+  // fragment that merely resembles what was typed
+  if (key === "brandName") return fuzzy || guess || null;
+  return guess || fuzzy || null;
+}
+
+/**
+ * A percentage without its sign, so "45%" and "45" read the same once the
+ * sign is added back
+ */
+function withoutPercent(value) {
+  return String(value).trim().replace(/\s*%$/, "");
+}
+
+/**
+ * Readable explanation for a missing field
+ */
+function explain(key, entered, detected) {
+  switch (key) {
+    case "brandName":
+      return detected
+        ? `Brand detected as "${detected}" but "${entered}" was entered`
+        : `Brand name "${entered}" was not found on the label`;
+    case "productClass":
+      return detected
+        ? `Class detected as "${detected}", entered "${entered}"`
+        : `Class/type "${entered}" was not found on the label`;
+    case "alcoholContent":
+      return detected
+        ? `Alcohol content on label is ${withoutPercent(
+            detected
+          )}% but ${withoutPercent(entered)}% was entered`
+        : "No alcohol content statement was found on the label";
+    case "netContents":
+      return detected
+        ? `Net contents on label is "${detected}" but "${entered}" was entered`
+        : `Net contents "${entered}" was not found on the label`;
+    default:
+      return `${key} "${entered}" was not found on the label`;
+  }
+}
+
+/**
+ * Add the closest label candidate and an explanation to each missing field
+ * @param {object} labelChecks - Result from verifyLabels()
+ * @param {string} parsedText - Extracted OCR text
+ * @param {object} fields - Submitted fields
+ * @returns {object} labelChecks with fields[key].detected / .explanation set for missing fields
+ */
+function explainDiscrepancies(labelChecks, parsedText, fields) {
+  if (labelChecks.missing.length === 0) return labelChecks;
+
+  const extracted = extractFields(parsedText);
+  const explained = { ...labelChecks, fields: { ...labelChecks.fields } };
+
+  labelChecks.missing.forEach((key) => {
+    const check = labelChecks.fields[key] || {};
+    // Checks like the health warning explain themselves
+    if (check.explanation) return;
+    const entered = String(fields[key] ?? "").trim();
+    const detected = closestCandidate(key, check, extracted);
+    explained.fields[key] = {
+      ...check,
+      detected,
+      explanation: explain(key, entered, detected),
+    };
+  });
+
+  return explained;
+}
+
+module.exports = { explainDiscrepancies };
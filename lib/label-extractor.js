@@ -0,0 +1,224 @@
+/**
+ * Label Extractor Module
+ * Infers best-guess label field values directly from OCR text
+ */
+
+// Common class/type designations (longest first so specific names win)
+const CLASS_KEYWORDS = [
+  "straight bourbon whiskey",
+  "straight rye whiskey",
+  "tennessee whiskey",
+  "bourbon whiskey",
+  "rye whiskey",
+  "malt whisky",
+  "scotch whisky",
+  "irish whiskey",
+  "whiskey",
+  "whisky",
+  "bourbon",
+  "london dry gin",
+  "gin",
+  "vodka",
+  "rum",
+  "tequila",
+  "mezcal",
+  "brandy",
+  "cognac",
+  "liqueur",
+  "cordial",
+  "red wine",
+  "white wine",
+  "table wine",
+  "sparkling wine",
+  "wine",
+  "champagne",
+  "cider",
+  "mead",
+  "ale",
+  "lager",
+  "stout",
+  "porter",
+  "pilsner",
+  "ipa",
+  "beer",
+  "malt beverage",
+];
+
+// Lines that are never a brand name (statutory text, contents, addresses)
+const NON_BRAND_PATTERNS = [
+  /government warning/i,
+  /surgeon general/i,
+  /\b(?:ml|cl|fl\.?\s*oz|liters?|litres?)\b/i,
+  /\b(?:distilled|bottled|produced|imported|brewed)\s+by\b/i,
+  /\bproof\b/i,
+  /%/,
+];
+
+const { parseQuantities } = require("./net-contents");
+const { parseAlcoholStatements } = require("./alcohol-content");
+
+/**
+ * Split OCR text into trimmed, non-empty lines
+ * @param {string} parsedText - Extracted OCR text
+ * @returns {string[]} Lines in reading order
+ */
+function splitLines(parsedText) {
+  return (parsedText || "")
+    .toString()
+    .split(/\r?\n/)
+    .map((l) => l.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+}
+
+/**
+ * Round a confidence score to two decimals and clamp it to [0, 1]
+ */
+function score(n) {
+  return Math.round(Math.max(0, Math.min(1, n)) * 100) / 100;
+}
+
+/**
+ * Find the alcohol content stated on the label
+ * @param {string[]} lines - OCR lines
+ * @returns {object|null} { value, confidence, line }
+ */
+function extractAlcoholContent(lines) {
+  const statements = lines.map((line) => ({
+    line,
+    statements: parseAlcoholStatements(line),
+  }));
+  for (const { line, statements: found } of statements) {
+    const abv = found.find((s) => s.kind === "abv" && s.abv !== null);
+    if (abv) {
+      // An explicit "alc" / "vol" qualifier makes the match unambiguous
+      const qualified = /alc|vol|abv/i.test(abv.text);
+      return {
+        value: String(abv.abv),
+        confidence: score(qualified ? 0.95 : 0.8),
+        line,
+      };
+    }
+  }
+  for (const { line, statements: found } of statements) {
+    const proof = found.find((s) => s.kind === "proof");
+    if (proof) {
+      return { value: String(proof.abv), confidence: score(0.7), line };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the net contents statement on the label
+ * @param {string[]} lines - OCR lines
+ * @returns {object|null} { value, confidence, line }
+ */
+function extractNetContents(lines) {
+  for (const line of lines) {
+    const [quantity] = parseQuantities(line);
+    if (quantity) {
+      // Metric statements are the primary statement on most labels
+      const metric = ["ml", "cl", "l"].includes(quantity.unit);
+      return {
+        value: quantity.text,
+        confidence: score(metric ? 0.9 : 0.75),
+        line,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the class/type designation on the label
+ * @param {string[]} lines - OCR lines
+ * @returns {object|null} { value, confidence, line }
+ */
+function extractProductClass(lines) {
+  let best = null;
+  for (const line of lines) {
+    const lower = line.toLowerCase();
+    for (const keyword of CLASS_KEYWORDS) {
+      const re = new RegExp("\\b" + keyword + "\\b", "i");
+      if (!re.test(lower)) continue;
+      // Prefer lines made up mostly of the designation itself
+      const coverage = keyword.length / lower.length;
+      const confidence = score(0.5 + 0.45 * coverage);
+      if (!best || confidence > best.confidence) {
+        best = {
+          value: coverage > 0.6 ? line : titleCase(keyword),
+          confidence,
+          line,
+        };
+      }
+      break;
+    }
+  }
+  return best;
+}
+
+/**
+ * Pick the most likely brand name line
+ * @param {string[]} lines - OCR lines
+ * @param {string[]} exclude - Lines already attributed to other fields
+ * @returns {object|null} { value, confidence, line }
+ */
+function extractBrandName(lines, exclude) {
+  const candidates = lines.filter(
+    (l) =>
+      !exclude.includes(l) &&
+      /[a-z]/i.test(l) &&
+      l.length >= 2 &&
+      l.length <= 40 &&
+      !NON_BRAND_PATTERNS.some((re) => re.test(l))
+  );
+  if (candidates.length === 0) return null;
+
+  // Brand names are usually near the top and set in capitals
+  const ranked = candidates.map((line, index) => {
+    const letters = line.replace(/[^a-z]/gi, "");
+    const upperRatio = letters
+      ? letters.replace(/[^A-Z]/g, "").length / letters.length
+      : 0;
+    const position = 1 - index / candidates.length;
+    return { line, rank: 0.6 * position + 0.4 * upperRatio };
+  });
+  ranked.sort((a, b) => b.rank - a.rank);
+
+  const top = ranked[0];
+  return {
+    value: top.line,
+    confidence: score(0.3 + 0.5 * top.rank),
+    line: top.line,
+  };
+}
+
+/**
+ * Capitalize the first letter of each word
+ */
+function titleCase(s) {
+  return s.replace(/\b[a-z]/g, (c) => c.toUpperCase());
+}
+
+/**
+ * Extract best-guess values for the label fields from OCR text
+ * @param {string} parsedText - Extracted OCR text
+ * @returns {object} { brandName, productClass, alcoholContent, netContents } each
+ *   { value, confidence, line } or null
+ */
+function extractFields(parsedText) {
+  const lines = splitLines(parsedText);
+  const alcoholContent = extractAlcoholContent(lines);
+  const productClass = extractProductClass(lines);
+  const netContents = extractNetContents(lines);
+  const used = [alcoholContent, productClass, netContents]
+    .filter(Boolean)
+    .map((f) => f.line);
+  const brandName = extractBrandName(lines, used);
+
+  return { brandName, productClass, alcoholContent, netContents };
+}
+
+module.exports = {
+  extractFields,
+};
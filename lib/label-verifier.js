@@ -3,6 +3,12 @@
  * Handles extraction and verification of OCR text against submitted fields
  */
 
+const { bestMatch, tokenize } = require("./fuzzy-match");
+const { checkHealthWarning } = require("./health-warning");
+const { checkNetContents } = require("./net-contents");
+const { checkAlcoholContent, commodityForClass } = require("./alcohol-content");
+const { runRules, requiresField, failedRules } = require("./rule-engine");
+
 /**
  * Extract parsed text from OCR API response (handles multiple response shapes)
  * @param {object} apiData - Response data from OCR API
@@ -52,73 +58,270 @@ function normalize(s) {
     .toLowerCase();
 }
 
+/**
+ * Bounding boxes for a list of OCR words
+ */
+function wordBoxes(words) {
+  return words
+    .filter((w) => w.box)
+    .map((w) => ({ ...w.box, page: w.page || 0, text: w.text }));
+}
+
+/**
+ * Parse "field=threshold,..." pass thresholds from config
+ */
+function parseThresholds(value) {
+  const thresholds = {};
+  String(value || "")
+    .split(",")
+    .map((pair) => pair.split("="))
+    .forEach(([key, n]) => {
+      const threshold = parseFloat(n);
+      if (key && key.trim() && !Number.isNaN(threshold)) {
+        thresholds[key.trim()] = threshold;
+      }
+    });
+  return thresholds;
+}
+
+// Minimum similarity for a text field to count as found,
+// e.g. MATCH_THRESHOLDS="brandName=0.9,productClass=0.8"
+const MATCH_THRESHOLDS = {
+  brandName: 0.85,
+  productClass: 0.85,
+  ...parseThresholds(process.env.MATCH_THRESHOLDS),
+};
+
+// Below this similarity a near-miss is not worth highlighting on the image
+const PARTIAL_MATCH_SCORE = 0.5;
+
 /**
  * Verify that submitted fields appear in the parsed OCR text
  * @param {string} parsedText - Extracted OCR text
- * @param {object} fields - Fields to verify: { brandName, productClass, alcoholContent }
- * @returns {object} { found: [], missing: [] }
+ * @param {object} fields - Fields to verify: { brandName, productClass, alcoholContent,
+ *   netContents, healthWarning } where healthWarning is a flag requesting the 27 CFR Part 16 check
+ * @param {object[]} [words] - OCR words with boxes; when given, the boxes of the
+ *   words that matched (or partially matched) each field are returned
+ * @param {object} [options] - { thresholds, commodity, rules }
+ *   thresholds: { field: number } overrides MATCH_THRESHOLDS
+ *   commodity: spirits | wine | malt, selects the alcohol content tolerance
+ *   (inferred from productClass when omitted)
+ *   rules: rule set from loadRules(); its tolerances apply and each rule's
+ *   outcome is reported
+ * @returns {object} { found: [], missing: [],
+ *   fields: { field: { found, score, threshold, match } },
+ *   boxes: { field: [{ left, top, width, height, page, text }] },
+ *   commodity, rules: [{ id, severity, passed, detail, ... }] (with rules) }
  */
-function verifyLabels(parsedText, fields) {
-  const labelChecks = { found: [], missing: [] };
+function verifyLabels(parsedText, fields, words = [], options = {}) {
+  const labelChecks = checkFields(parsedText, fields, words, options);
+
+  // Run the commodity's rule file over the field results
+  if (options.rules) {
+    labelChecks.commodity = options.rules.commodity;
+    labelChecks.rules = runRules(options.rules, { parsedText, labelChecks });
+  }
+
+  return labelChecks;
+}
+
+/**
+ * Check the submitted fields against one text (verifyLabels() without the
+ * rule run)
+ */
+function checkFields(parsedText, fields, words, options) {
+  const labelChecks = { found: [], missing: [], fields: {}, boxes: {} };
   const normalizedParsed = normalize(parsedText);
+  const textTokens = tokenize(parsedText);
+  const thresholds = { ...MATCH_THRESHOLDS, ...options.thresholds };
+
+  // Record where on the label a field matched, or nearly matched
+  const locateBoxes = (key, phrase) => {
+    const located = bestMatch(
+      words.map((w) => w.text),
+      phrase
+    );
+    if (located && located.score >= PARTIAL_MATCH_SCORE) {
+      labelChecks.boxes[key] = wordBoxes(
+        words.slice(located.start, located.end)
+      );
+    }
+  };
+
+  // Score a free-text field against the best-matching run of label text
+  const checkTextField = (key, value) => {
+    const n = normalize(value);
+    const best = bestMatch(textTokens, value);
+    const score = n && normalizedParsed.includes(n) ? 1 : best ? best.score : 0;
+    const threshold = thresholds[key];
+    const found = Boolean(n) && score >= threshold;
+
+    (found ? labelChecks.found : labelChecks.missing).push(key);
+    labelChecks.fields[key] = {
+      found,
+      score,
+      threshold,
+      match: best ? best.match : null,
+    };
+
+    locateBoxes(key, value);
+  };
 
   // Check brand name
   if (fields.brandName) {
-    const n = normalize(fields.brandName);
-    if (n && normalizedParsed.includes(n)) {
-      labelChecks.found.push("brandName");
-    } else {
-      labelChecks.missing.push("brandName");
-    }
+    checkTextField("brandName", fields.brandName);
   }
 
   // Check product class
   if (fields.productClass) {
-    const n = normalize(fields.productClass);
-    if (n && normalizedParsed.includes(n)) {
-      labelChecks.found.push("productClass");
-    } else {
-      labelChecks.missing.push("productClass");
-    }
+    checkTextField("productClass", fields.productClass);
   }
 
-  // Check alcohol content (with special numeric matching)
+  // Tolerances and standards of fill depend on the product type
+  const commodity = options.commodity || commodityForClass(fields.productClass);
+
+  // Check alcohol content (ABV or proof, within the product type's tolerance)
   if (fields.alcoholContent) {
-    const raw = fields.alcoholContent.toString().trim();
-    const numeric = parseFloat(raw);
-    let alcoholFound = false;
-
-    if (!Number.isNaN(numeric)) {
-      // Try to match numeric token with optional % / percent / abv suffix
-      const token = String(numeric).replace(".", "\\.");
-      const re = new RegExp(
-        "\\b" + token + "(?:\\.0)?\\s*(?:%|percent|abv)",
-        "i"
-      );
-      alcoholFound = re.test(parsedText);
-    }
+    const abv = checkAlcoholContent(parsedText, fields.alcoholContent, {
+      commodity,
+      tolerances: options.rules && options.rules.tolerances.alcoholContent,
+    });
+    (abv.found ? labelChecks.found : labelChecks.missing).push(
+      "alcoholContent"
+    );
+    labelChecks.fields.alcoholContent = { ...abv, threshold: 1 };
+    if (abv.match) locateBoxes("alcoholContent", abv.match);
+  }
+
+  // Check net contents (unit-aware, so 750 mL matches "75 cL")
+  if (fields.netContents) {
+    const net = checkNetContents(parsedText, fields.netContents, {
+      commodity,
+    });
+    (net.found ? labelChecks.found : labelChecks.missing).push("netContents");
+    labelChecks.fields.netContents = { ...net, threshold: 1 };
+  }
+
+  // Check the mandatory government health warning statement
+  if (fields.healthWarning || requiresField(options.rules, "healthWarning")) {
+    const warning = checkHealthWarning(parsedText);
+    (warning.found ? labelChecks.found : labelChecks.missing).push(
+      "healthWarning"
+    );
+    labelChecks.fields.healthWarning = {
+      found: warning.found,
+      score: warning.score,
+      threshold: 1,
+      match: null,
+      heading: warning.heading,
+      sentences: warning.sentences,
+      issues: warning.issues,
+      explanation: warning.explanation,
+    };
+  }
 
-    if (alcoholFound) {
-      labelChecks.found.push("alcoholContent");
-    } else {
-      labelChecks.missing.push("alcoholContent");
+  return labelChecks;
+}
+
+/**
+ * Verify submitted fields across several label panels (front, back, neck...)
+ * OCR'd separately. Each field counts as found when any one panel shows it,
+ * and is reported with the panel it was found on.
+ * @param {object[]} panels - [{ panel, parsedText, words }]
+ * @param {object} fields - As for verifyLabels()
+ * @param {object} [options] - As for verifyLabels(); rules may be limited to
+ *   one panel with their "panel" property
+ * @returns {object} verifyLabels() result where fields[key] also has
+ *   panel (where the best match was) and foundOn (panels showing the field),
+ *   boxes carry their panel, and panels lists the panels checked
+ */
+function verifyPanels(panels, fields, options = {}) {
+  const perPanel = panels.map((p) => ({
+    panel: p.panel,
+    parsedText: p.parsedText,
+    checks: checkFields(p.parsedText, fields, p.words || [], options),
+  }));
+  const labelChecks = {
+    found: [],
+    missing: [],
+    fields: {},
+    boxes: {},
+    panels: panels.map((p) => p.panel),
+  };
+
+  // Every panel checks the same fields, in the same order
+  const keys =
+    perPanel.length > 0 ? Object.keys(perPanel[0].checks.fields) : [];
+  keys.forEach((key) => {
+    const foundOn = perPanel
+      .filter((p) => p.checks.fields[key].found)
+      .map((p) => p.panel);
+    // Prefer a panel where the field was found, then the closest match
+    const best = perPanel.reduce((a, b) => {
+      const fa = a.checks.fields[key];
+      const fb = b.checks.fields[key];
+      if (fa.found !== fb.found) return fa.found ? a : b;
+      return (fb.score || 0) > (fa.score || 0) ? b : a;
+    });
+
+    const found = foundOn.length > 0;
+    (found ? labelChecks.found : labelChecks.missing).push(key);
+    labelChecks.fields[key] = {
+      ...best.checks.fields[key],
+      panel: best.panel,
+      foundOn,
+    };
+    if (best.checks.boxes[key]) {
+      labelChecks.boxes[key] = best.checks.boxes[key].map((b) => ({
+        ...b,
+        panel: best.panel,
+      }));
     }
+  });
+
+  if (options.rules) {
+    labelChecks.commodity = options.rules.commodity;
+    labelChecks.rules = runRules(options.rules, {
+      parsedText: combinePanelText(panels),
+      labelChecks,
+      panels: perPanel.map((p) => ({
+        panel: p.panel,
+        parsedText: p.parsedText,
+        labelChecks: p.checks,
+      })),
+    });
   }
 
   return labelChecks;
 }
 
 /**
- * Check if all submitted fields were successfully verified
+ * Text of all panels as one document
+ * @param {object[]} panels - [{ parsedText }]
+ * @returns {string} Panel texts separated by blank lines
+ */
+function combinePanelText(panels) {
+  return panels.map((p) => p.parsedText || "").join("\n\n");
+}
+
+/**
+ * Check if all submitted fields were successfully verified and no
+ * error-severity rule failed
  * @param {object} labelChecks - Result from verifyLabels()
  * @returns {boolean} True if all fields found, false otherwise
  */
 function isVerificationComplete(labelChecks) {
-  return labelChecks.missing.length === 0 && labelChecks.found.length > 0;
+  return (
+    labelChecks.missing.length === 0 &&
+    labelChecks.found.length > 0 &&
+    failedRules(labelChecks.rules).length === 0
+  );
 }
 
 module.exports = {
   extractParsedText,
   verifyLabels,
+  verifyPanels,
+  combinePanelText,
   isVerificationComplete,
 };
@@ -0,0 +1,85 @@
+/**
+ * Logger Module
+ * Structured logging: one JSON object per line with time, level, message
+ * and context fields such as the request id. Debug and info lines go to
+ * stdout, warnings and errors to stderr.
+ */
+
+// Configuration from environment
+const LOG_LEVEL = process.env.LOG_LEVEL || "info"; // debug | info | warn | error
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * Log-friendly form of an error
+ */
+function errorFields(err) {
+  if (!(err instanceof Error)) return { message: String(err) };
+  return {
+    message: err.message,
+    ...(err.code && { code: err.code }),
+    stack: err.stack,
+  };
+}
+
+/**
+ * Create a logger
+ * @param {object} [context] - Fields added to every line, e.g. { requestId }
+ * @param {object} [options] - { level, write } where write(level, line)
+ *   outputs a finished line
+ * @returns {object} Logger with debug, info, warn, error and child
+ */
+function createLogger(context = {}, options = {}) {
+  const level = options.level || LOG_LEVEL;
+  const minimum = LEVELS[level] || LEVELS.info;
+  const write =
+    options.write ||
+    ((lineLevel, line) =>
+      (LEVELS[lineLevel] >= LEVELS.warn
+        ? process.stderr
+        : process.stdout
+      ).write(line + "\n"));
+
+  /**
+   * Write one line at a level; an err field is expanded into message, code
+   * and stack
+   */
+  function log(lineLevel, msg, fields = {}) {
+    if (LEVELS[lineLevel] < minimum) return;
+    const { err, ...rest } = fields;
+    const entry = {
+      time: new Date().toISOString(),
+      level: lineLevel,
+      msg,
+      ...context,
+      ...rest,
+      ...(err !== undefined && { err: errorFields(err) }),
+    };
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch (e) {
+      line = JSON.stringify({ time: entry.time, level: lineLevel, msg });
+    }
+    write(lineLevel, line);
+  }
+
+  return {
+    debug: (msg, fields) => log("debug", msg, fields),
+    info: (msg, fields) => log("info", msg, fields),
+    warn: (msg, fields) => log("warn", msg, fields),
+    error: (msg, fields) => log("error", msg, fields),
+    /**
+     * Logger that adds more context fields to every line
+     */
+    child: (fields) =>
+      createLogger({ ...context, ...fields }, { level, write }),
+  };
+}
+
+const logger = createLogger();
+
+module.exports = {
+  createLogger,
+  logger,
+};
@@ -0,0 +1,232 @@
+/**
+ * Metrics Module
+ * In-process counters and histograms rendered in the Prometheus text
+ * format, plus the metrics the app records: HTTP requests, OCR latency,
+ * retries, timeouts and circuit breaker refusals, verification outcomes
+ * per field and webhook deliveries
+ */
+
+// Seconds; OCR.space answers in well under a second or takes up to a minute
+const OCR_BUCKETS = [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60, 120];
+const HTTP_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+/**
+ * Escape a label value for the text format
+ */
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+}
+
+/**
+ * Render label pairs, e.g. {engine="1",outcome="ok"}
+ */
+function formatLabels(names, values, extra = "") {
+  const pairs = names.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * Create a metrics registry
+ * @returns {object} Registry with counter, histogram, gauge and render
+ */
+function createRegistry() {
+  const metrics = [];
+
+  /**
+   * Series for a label set, created on first use
+   */
+  function seriesFor(metric, labels, create) {
+    const values = metric.labelNames.map((n) =>
+      labels && labels[n] !== undefined && labels[n] !== null
+        ? String(labels[n])
+        : ""
+    );
+    const key = JSON.stringify(values);
+    if (!metric.series.has(key)) {
+      metric.series.set(key, { values, ...create() });
+    }
+    return metric.series.get(key);
+  }
+
+  /**
+   * Register a counter
+   * @param {object} spec - { name, help, labelNames }
+   * @returns {object} { inc(labels, value = 1) }
+   */
+  function counter({ name, help, labelNames = [] }) {
+    const metric = { type: "counter", name, help, labelNames };
+    metric.series = new Map();
+    metrics.push(metric);
+    return {
+      inc(labels, value = 1) {
+        seriesFor(metric, labels, () => ({ value: 0 })).value += value;
+      },
+    };
+  }
+
+  /**
+   * Register a histogram
+   * @param {object} spec - { name, help, labelNames, buckets } where
+   *   buckets are ascending upper bounds
+   * @returns {object} { observe(labels, value) }
+   */
+  function histogram({ name, help, labelNames = [], buckets }) {
+    const metric = { type: "histogram", name, help, labelNames, buckets };
+    metric.series = new Map();
+    metrics.push(metric);
+    return {
+      observe(labels, value) {
+        const series = seriesFor(metric, labels, () => ({
+          counts: buckets.map(() => 0),
+          sum: 0,
+          count: 0,
+        }));
+        buckets.forEach((bound, i) => {
+          if (value <= bound) series.counts[i] += 1;
+        });
+        series.sum += value;
+        series.count += 1;
+      },
+    };
+  }
+
+  /**
+   * Register a gauge whose value is read when metrics are rendered
+   * @param {object} spec - { name, help, collect } where collect() returns
+   *   a number
+   */
+  function gauge({ name, help, collect }) {
+    metrics.push({ type: "gauge", name, help, collect });
+  }
+
+  /**
+   * All metrics in the Prometheus text exposition format
+   */
+  function render() {
+    const lines = [];
+    metrics.forEach((metric) => {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      if (metric.type === "gauge") {
+        lines.push(`${metric.name} ${metric.collect()}`);
+        return;
+      }
+      for (const series of metric.series.values()) {
+        if (metric.type === "counter") {
+          lines.push(
+            `${metric.name}${formatLabels(metric.labelNames, series.values)} ${
+              series.value
+            }`
+          );
+          continue;
+        }
+        metric.buckets.forEach((bound, i) => {
+          lines.push(
+            `${metric.name}_bucket${formatLabels(
+              metric.labelNames,
+              series.values,
+              `le="${bound}"`
+            )} ${series.counts[i]}`
+          );
+        });
+        lines.push(
+          `${metric.name}_bucket${formatLabels(
+            metric.labelNames,
+            series.values,
+            'le="+Inf"'
+          )} ${series.count}`
+        );
+        const labels = formatLabels(metric.labelNames, series.values);
+        lines.push(`${metric.name}_sum${labels} ${series.sum}`);
+        lines.push(`${metric.name}_count${labels} ${series.count}`);
+      }
+    });
+    return lines.join("\n") + "\n";
+  }
+
+  return { counter, histogram, gauge, render };
+}
+
+const registry = createRegistry();
+
+const metrics = {
+  httpRequests: registry.counter({
+    name: "http_requests_total",
+    help: "HTTP requests by route and status code",
+    labelNames: ["method", "route", "status"],
+  }),
+  httpDuration: registry.histogram({
+    name: "http_request_duration_seconds",
+    help: "HTTP request duration",
+    labelNames: ["method", "route"],
+    buckets: HTTP_BUCKETS,
+  }),
+  ocrAttemptDuration: registry.histogram({
+    name: "ocr_attempt_duration_seconds",
+    help: "Duration of each call to the OCR API",
+    labelNames: ["engine", "outcome"],
+    buckets: OCR_BUCKETS,
+  }),
+  ocrEngineDuration: registry.histogram({
+    name: "ocr_engine_duration_seconds",
+    help: "Time spent on one OCR engine tier for an image, retries included (cached results excluded)",
+    labelNames: ["engine", "outcome"],
+    buckets: OCR_BUCKETS,
+  }),
+  ocrRetries: registry.counter({
+    name: "ocr_retries_total",
+    help: "OCR API calls retried, by the reason for the retry",
+    labelNames: ["engine", "reason"],
+  }),
+  ocrTimeouts: registry.counter({
+    name: "ocr_timeouts_total",
+    help: "OCR API calls that timed out",
+    labelNames: ["engine"],
+  }),
+  ocrCircuitRejections: registry.counter({
+    name: "ocr_circuit_rejections_total",
+    help: "OCR API calls refused at once because the circuit breaker was open",
+    labelNames: ["engine"],
+  }),
+  verifications: registry.counter({
+    name: "label_verifications_total",
+    help: "Completed label verifications by verdict",
+    labelNames: ["commodity", "verdict"],
+  }),
+  fieldChecks: registry.counter({
+    name: "label_field_checks_total",
+    help: "Submitted fields found or missing on the label",
+    labelNames: ["field", "result"],
+  }),
+  webhookDeliveries: registry.counter({
+    name: "webhook_delivery_attempts_total",
+    help: "Webhook delivery attempts by event and outcome",
+    labelNames: ["event", "outcome"],
+  }),
+  ruleFailures: registry.counter({
+    name: "label_rule_failures_total",
+    help: "Commodity rules a label did not meet",
+    labelNames: ["commodity", "rule", "severity"],
+  }),
+};
+
+registry.gauge({
+  name: "process_start_time_seconds",
+  help: "Start time of the process since the Unix epoch",
+  collect: () => Math.round(Date.now() / 1000 - process.uptime()),
+});
+registry.gauge({
+  name: "process_resident_memory_bytes",
+  help: "Resident memory size",
+  collect: () => process.memoryUsage().rss,
+});
+
+module.exports = {
+  createRegistry,
+  registry,
+  metrics,
+};
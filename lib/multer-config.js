@@ -1,11 +1,12 @@
 const multer = require("multer");
+const { isSupportedUpload, UPLOAD_MAX_BYTES } = require("./image-normalizer");
 
+// Larger photos are accepted and shrunk to the OCR limit before OCR
 const upload = multer({
   storage: multer.memoryStorage(),
-  limits: { fileSize: 1 * 1024 * 1024 }, // 1MB limit
+  limits: { fileSize: UPLOAD_MAX_BYTES },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype && file.mimetype.startsWith("image/"))
-      return cb(null, true);
+    if (isSupportedUpload(file)) return cb(null, true);
     const err = new Error("Uploaded file is not an image");
     err.code = "NOT_IMAGE";
     cb(err);
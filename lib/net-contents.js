@@ -0,0 +1,189 @@
+/**
+ * Net Contents Module
+ * Parses net contents statements in metric and US units and checks them
+ * against the TTB standards of fill
+ */
+
+const ML_PER_UNIT = {
+  ml: 1,
+  cl: 10,
+  l: 1000,
+  floz: 29.5735,
+  pt: 473.176,
+  qt: 946.353,
+  gal: 3785.41,
+};
+
+// Unit spellings found on labels, mapped to ML_PER_UNIT keys
+const UNIT_PATTERNS = [
+  ["ml", "m\\.?\\s?l\\.?|milli-?lit(?:er|re)s?"],
+  ["cl", "c\\.?\\s?l\\.?|centi-?lit(?:er|re)s?"],
+  ["l", "lit(?:er|re)s?|l\\.?|ltr\\.?"],
+  ["floz", "fl\\.?\\s*oz\\.?|fluid\\s+ounces?|oz\\.?|ounces?"],
+  ["pt", "pints?|pt\\.?"],
+  ["qt", "quarts?|qt\\.?"],
+  ["gal", "gallons?|gal\\.?"],
+];
+
+const QUANTITY_RE = new RegExp(
+  "(\\d+(?:[.,]\\d+)?)\\s*(" +
+    UNIT_PATTERNS.map(([, p]) => `(?:${p})`).join("|") +
+    ")(?![a-z])",
+  "gi"
+);
+
+// Authorized container sizes in mL (27 CFR 5.203 distilled spirits,
+// 27 CFR 4.72 wine). Wine may also use any even liter size above 3 L.
+// Malt beverages have no standards of fill.
+const STANDARDS_OF_FILL = {
+  spirits: [
+    50, 100, 200, 250, 331, 350, 355, 375, 475, 500, 570, 700, 710, 720, 750,
+    900, 945, 1000, 1750, 1800,
+  ],
+  wine: [
+    50, 100, 180, 187, 200, 250, 300, 330, 355, 360, 375, 400, 450, 473, 500,
+    550, 568, 600, 620, 700, 720, 750, 1000, 1500, 1800, 2250, 3000,
+  ],
+};
+
+// How warnings name each commodity with standards of fill
+const COMMODITY_NAMES = {
+  spirits: "distilled spirits",
+  wine: "wine",
+};
+
+// Quantities within this relative difference are treated as the same size,
+// which absorbs the rounding in converted statements (750 mL = 25.4 fl oz)
+const MATCH_TOLERANCE = 0.005;
+
+/**
+ * Resolve a unit spelling to a ML_PER_UNIT key
+ */
+function unitKey(text) {
+  const unit = text.toLowerCase();
+  const match = UNIT_PATTERNS.find(([, p]) =>
+    new RegExp(`^(?:${p})$`, "i").test(unit)
+  );
+  return match ? match[0] : null;
+}
+
+/**
+ * Find every quantity stated in a piece of text
+ * @param {string} text - Label text or a typed value such as "750 mL"
+ * @returns {object[]} [{ text, value, unit, milliliters }]
+ */
+function parseQuantities(text) {
+  const quantities = [];
+  const source = String(text || "");
+  for (const m of source.matchAll(QUANTITY_RE)) {
+    const unit = unitKey(m[2].trim());
+    if (!unit) continue;
+    const value = parseFloat(m[1].replace(",", "."));
+    if (!(value > 0)) continue;
+    quantities.push({
+      text: m[0].trim(),
+      value,
+      unit,
+      milliliters: Math.round(value * ML_PER_UNIT[unit] * 100) / 100,
+    });
+  }
+  return quantities;
+}
+
+/**
+ * Parse a single net contents value
+ * @param {string} text - e.g. "750 mL", "1.75 L", "12 FL. OZ."
+ * @returns {object|null} { text, value, unit, milliliters }
+ */
+function parseNetContents(text) {
+  return parseQuantities(text)[0] || null;
+}
+
+/**
+ * Whether two volumes are the same container size
+ */
+function sameVolume(a, b) {
+  return Math.abs(a - b) <= Math.max(a, b) * MATCH_TOLERANCE;
+}
+
+/**
+ * Check a volume against the standards of fill
+ * @param {number} milliliters - Container size
+ * @returns {{spirits: boolean, wine: boolean}} Whether each commodity allows it
+ */
+function standardOfFill(milliliters) {
+  const onList = (list) => list.some((size) => sameVolume(size, milliliters));
+  const evenLiters =
+    milliliters > 3000 &&
+    sameVolume(Math.round(milliliters / 1000) * 1000, milliliters);
+  return {
+    spirits: onList(STANDARDS_OF_FILL.spirits),
+    wine: onList(STANDARDS_OF_FILL.wine) || evenLiters,
+  };
+}
+
+/**
+ * Warning for a container size that is not a standard of fill
+ * @param {object} expected - Parsed net contents
+ * @param {object} fill - From standardOfFill()
+ * @param {string} [commodity] - spirits, wine or malt; when absent the size
+ *   only has to suit one of them
+ * @returns {string|null} Warning, or null when the size is allowed
+ */
+function fillWarning(expected, fill, commodity) {
+  if (commodity) {
+    // Malt beverages (and unknown commodities) have no standards of fill
+    if (!COMMODITY_NAMES[commodity] || fill[commodity]) return null;
+    return `${expected.text} is not a standard of fill for ${COMMODITY_NAMES[commodity]}`;
+  }
+  return fill.spirits || fill.wine
+    ? null
+    : `${expected.text} is not a standard of fill for distilled spirits or wine`;
+}
+
+/**
+ * Verify an entered net contents value against the label text
+ * @param {string} parsedText - Extracted OCR text
+ * @param {string} entered - Net contents as entered
+ * @param {object} [options] - { commodity }: the product type whose
+ *   standards of fill the size is checked against
+ * @returns {object} { found, score, match, detected, milliliters, standardOfFill, warning, explanation }
+ */
+function checkNetContents(parsedText, entered, options = {}) {
+  const expected = parseNetContents(entered);
+  const onLabel = parseQuantities(parsedText);
+
+  if (!expected) {
+    return {
+      found: false,
+      score: 0,
+      match: null,
+      detected: onLabel[0] ? onLabel[0].text : null,
+      explanation: `Could not understand net contents "${entered}". Use a value such as "750 mL" or "12 fl oz".`,
+    };
+  }
+
+  const match = onLabel.find((q) =>
+    sameVolume(q.milliliters, expected.milliliters)
+  );
+  const fill = standardOfFill(expected.milliliters);
+  const warning = fillWarning(expected, fill, options.commodity);
+
+  return {
+    found: Boolean(match),
+    score: match ? 1 : 0,
+    match: match ? match.text : null,
+    detected: match ? match.text : onLabel[0] ? onLabel[0].text : null,
+    milliliters: expected.milliliters,
+    standardOfFill: fill,
+    warning,
+  };
+}
+
+module.exports = {
+  parseQuantities,
+  parseNetContents,
+  standardOfFill,
+  checkNetContents,
+  STANDARDS_OF_FILL,
+};
@@ -0,0 +1,80 @@
+const crypto = require("crypto");
+const { logger } = require("./logger");
+const { registry, metrics } = require("./metrics");
+
+/**
+ * Observability Handler Module
+ * Request ids, access logs and HTTP metrics for every request, and the
+ * Prometheus /metrics endpoint
+ */
+
+// Configuration from environment: when set, /metrics needs
+// Authorization: Bearer <METRICS_TOKEN>
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+
+// A request id passed in by a proxy is kept when it looks like one
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Middleware giving each request an id (req.id, echoed as X-Request-ID) and
+ * a logger carrying it (req.log), and logging and measuring the request
+ * once the response is sent
+ */
+function requestContext(req, res, next) {
+  const incoming = req.get("X-Request-ID");
+  req.id =
+    incoming && REQUEST_ID_PATTERN.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set("X-Request-ID", req.id);
+
+  const started = process.hrtime.bigint();
+  res.on("close", () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    // Route patterns (not raw paths) keep the metric labels bounded
+    const route = req.route ? req.baseUrl + req.route.path : "other";
+    metrics.httpRequests.inc({
+      method: req.method,
+      route,
+      status: res.statusCode,
+    });
+    metrics.httpDuration.observe({ method: req.method, route }, seconds);
+    req.log.info("request", {
+      method: req.method,
+      path: req.path,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      tenant: req.tenant ? req.tenant.id : undefined,
+    });
+  });
+  next();
+}
+
+/**
+ * GET /metrics - Prometheus text format
+ */
+async function getMetrics(req, res) {
+  if (METRICS_TOKEN) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get("Authorization") || "");
+    const given = Buffer.from(match ? match[1] : "");
+    const expected = Buffer.from(METRICS_TOKEN);
+    if (
+      given.length !== expected.length ||
+      !crypto.timingSafeEqual(given, expected)
+    ) {
+      return res.status(401).json({
+        success: false,
+        reason: "Invalid metrics token",
+      });
+    }
+  }
+  res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  return res.status(200).send(registry.render());
+}
+
+module.exports = {
+  requestContext,
+  getMetrics,
+};
@@ -0,0 +1,205 @@
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+/**
+ * OCR Budget Module
+ * Counts every call made to the OCR provider against daily and monthly
+ * limits, warns as usage crosses configured thresholds and refuses calls
+ * once a limit is reached. Counts are kept in a small JSON file so they
+ * survive restarts.
+ */
+
+// Configuration from environment (0 = no limit)
+const OCR_BUDGET_DAILY = parseInt(process.env.OCR_BUDGET_DAILY, 10) || 0;
+const OCR_BUDGET_MONTHLY = parseInt(process.env.OCR_BUDGET_MONTHLY, 10) || 0;
+// Fractions of a limit at which a warning is logged, e.g. "0.8,0.95"
+const OCR_BUDGET_WARN_AT = String(process.env.OCR_BUDGET_WARN_AT || "0.8,0.95")
+  .split(",")
+  .map((v) => parseFloat(v))
+  .filter((v) => v > 0 && v < 1)
+  .sort((a, b) => a - b);
+// What happens once the budget is spent: "refuse" new uploads, or keep
+// accepting them and verify only images with a "cache"d OCR result
+const OCR_BUDGET_EXHAUSTED = process.env.OCR_BUDGET_EXHAUSTED || "refuse";
+const OCR_BUDGET_FILE = path.resolve(
+  process.env.OCR_BUDGET_FILE ||
+    path.join(__dirname, "..", "data", "ocr-budget.json")
+);
+
+// Budget periods, in UTC: the key of the current period and when it ends
+const PERIODS = {
+  day: {
+    key: (d) => d.toISOString().slice(0, 10),
+    resetAt: (d) =>
+      Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1),
+  },
+  month: {
+    key: (d) => d.toISOString().slice(0, 7),
+    resetAt: (d) => Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1),
+  },
+};
+
+/**
+ * Create an OCR call budget
+ * @param {object} [options] - { daily, monthly, warnAt, file, now } where
+ *   file is where counts are kept (null keeps them in memory) and now()
+ *   returns the current Date
+ * @returns {object} Budget with consume, exhausted, retryAfterSeconds, status
+ */
+function createOcrBudget(options = {}) {
+  const limits = {
+    day: options.daily ?? OCR_BUDGET_DAILY,
+    month: options.monthly ?? OCR_BUDGET_MONTHLY,
+  };
+  const warnAt = options.warnAt || OCR_BUDGET_WARN_AT;
+  const file = options.file === undefined ? OCR_BUDGET_FILE : options.file;
+  const now = options.now || (() => new Date());
+
+  // { day: { period, used, warned }, month: { ... } }
+  const usage = load();
+  let writing = Promise.resolve();
+
+  /**
+   * Read saved counts; a missing or unreadable file starts from zero
+   */
+  function load() {
+    if (file) {
+      try {
+        return JSON.parse(fs.readFileSync(file, "utf8"));
+      } catch (e) {
+        if (e.code !== "ENOENT") {
+          logger.error("Ignoring unreadable OCR budget file", {
+            file,
+            err: e,
+          });
+        }
+      }
+    }
+    return {};
+  }
+
+  /**
+   * Save counts in the background, one write at a time
+   */
+  function persist() {
+    if (!file) return;
+    const data = JSON.stringify(usage, null, 2);
+    writing = writing
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, data);
+        await fs.promises.rename(tmp, file);
+      })
+      .catch((err) => logger.error("Failed to save OCR budget", { err }));
+  }
+
+  /**
+   * Usage of a period, starting a new count when the period has rolled over
+   */
+  function current(name, date) {
+    const period = PERIODS[name].key(date);
+    if (!usage[name] || usage[name].period !== period) {
+      usage[name] = { period, used: 0, warned: 0 };
+    }
+    return usage[name];
+  }
+
+  /**
+   * Log each warning threshold, and the limit itself, the first time usage
+   * crosses it
+   */
+  function warn(name, entry) {
+    const limit = limits[name];
+    const crossed = [...warnAt, 1].filter((f) => entry.used >= limit * f);
+    const highest = crossed.length ? crossed[crossed.length - 1] : 0;
+    if (highest > entry.warned) {
+      entry.warned = highest;
+      logger.warn(highest === 1 ? "OCR budget used up" : "OCR budget warning", {
+        period: name === "day" ? "daily" : "monthly",
+        used: entry.used,
+        limit,
+        threshold: highest,
+      });
+    }
+  }
+
+  /**
+   * Periods whose limit has been reached
+   */
+  function spent(date) {
+    return Object.keys(PERIODS).filter(
+      (name) => limits[name] > 0 && current(name, date).used >= limits[name]
+    );
+  }
+
+  /**
+   * Count one OCR call
+   * @returns {boolean} True when the call may go ahead, false when the
+   *   budget is spent (nothing is counted then)
+   */
+  function consume() {
+    const date = now();
+    if (spent(date).length > 0) return false;
+    Object.keys(PERIODS).forEach((name) => {
+      const entry = current(name, date);
+      entry.used += 1;
+      if (limits[name] > 0) warn(name, entry);
+    });
+    persist();
+    return true;
+  }
+
+  /**
+   * Whether no further OCR calls are allowed in the current period
+   */
+  function exhausted() {
+    return spent(now()).length > 0;
+  }
+
+  /**
+   * Seconds until the spent budget resets (0 when not spent)
+   */
+  function retryAfterSeconds() {
+    const date = now();
+    const resets = spent(date).map((name) => PERIODS[name].resetAt(date));
+    if (resets.length === 0) return 0;
+    return Math.ceil((Math.max(...resets) - date.getTime()) / 1000);
+  }
+
+  /**
+   * Current usage for reporting
+   * @returns {object} { exhausted, retryAfterSeconds, day: { period, used,
+   *   limit, remaining, resetsAt }, month: { ... } }
+   */
+  function status() {
+    const date = now();
+    const report = {
+      exhausted: exhausted(),
+      retryAfterSeconds: retryAfterSeconds(),
+    };
+    Object.keys(PERIODS).forEach((name) => {
+      const entry = current(name, date);
+      const limit = limits[name] || null;
+      report[name] = {
+        period: entry.period,
+        used: entry.used,
+        limit,
+        remaining: limit ? Math.max(limit - entry.used, 0) : null,
+        resetsAt: new Date(PERIODS[name].resetAt(date)).toISOString(),
+      };
+    });
+    return report;
+  }
+
+  return { consume, exhausted, retryAfterSeconds, status };
+}
+
+const ocrBudget = createOcrBudget();
+
+module.exports = {
+  createOcrBudget,
+  ocrBudget,
+  OCR_BUDGET_EXHAUSTED,
+};
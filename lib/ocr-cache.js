@@ -0,0 +1,156 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * OCR Cache Module
+ * Caches normalized OCR results by image hash and engine settings so
+ * re-submitting the same image does not call the OCR API again
+ */
+
+// Configuration from environment
+const OCR_CACHE_BACKEND = process.env.OCR_CACHE_BACKEND || "memory"; // memory | disk | off
+const OCR_CACHE_TTL_MS =
+  parseInt(process.env.OCR_CACHE_TTL_MS, 10) || 60 * 60 * 1000; // 1 hour
+const OCR_CACHE_MAX_ENTRIES =
+  parseInt(process.env.OCR_CACHE_MAX_ENTRIES, 10) || 500;
+const OCR_CACHE_DIR = path.resolve(
+  process.env.OCR_CACHE_DIR || path.join(__dirname, "..", "data", "ocr-cache")
+);
+
+/**
+ * Build the cache key for an image and the settings that affect OCR output
+ * @param {string} imageHash - Hash of the image buffer
+ * @param {object} settings - { provider, engine, tenant } where tenant is
+ *   the id of the tenant the result is kept for, so one tenant cannot read
+ *   or re-verify another's results by hash
+ * @returns {string} Cache key
+ */
+function cacheKey(imageHash, settings) {
+  return [
+    imageHash,
+    settings.provider,
+    settings.engine || "default",
+    settings.tenant || "",
+  ].join(":");
+}
+
+/**
+ * In-memory LRU backend
+ */
+function createMemoryBackend({ ttlMs, maxEntries }) {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      // Re-insert so the most recently used entry is evicted last
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+  };
+}
+
+/**
+ * File-per-entry disk backend; survives restarts
+ */
+function createDiskBackend({ ttlMs, maxEntries, dir }) {
+  const fileFor = (key) =>
+    path.join(
+      dir,
+      crypto.createHash("sha256").update(key).digest("hex") + ".json"
+    );
+
+  async function evictOldest() {
+    const names = (await fs.promises.readdir(dir)).filter((n) =>
+      n.endsWith(".json")
+    );
+    if (names.length <= maxEntries) return;
+    const files = await Promise.all(
+      names.map(async (n) => {
+        const file = path.join(dir, n);
+        const stat = await fs.promises.stat(file);
+        return { file, mtimeMs: stat.mtimeMs };
+      })
+    );
+    files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    for (const { file } of files.slice(0, files.length - maxEntries)) {
+      await fs.promises.rm(file, { force: true });
+    }
+  }
+
+  return {
+    async get(key) {
+      const file = fileFor(key);
+      let entry;
+      try {
+        entry = JSON.parse(await fs.promises.readFile(file, "utf8"));
+      } catch (e) {
+        return null;
+      }
+      if (entry.key !== key || entry.expiresAt <= Date.now()) {
+        await fs.promises.rm(file, { force: true });
+        return null;
+      }
+      // Touch the file so eviction treats it as recently used
+      const now = new Date();
+      await fs.promises.utimes(file, now, now).catch(() => {});
+      return entry.value;
+    },
+
+    async set(key, value) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const entry = { key, expiresAt: Date.now() + ttlMs, value };
+      await fs.promises.writeFile(fileFor(key), JSON.stringify(entry));
+      await evictOldest();
+    },
+  };
+}
+
+/**
+ * Backend that never stores anything
+ */
+function createNullBackend() {
+  return {
+    async get() {
+      return null;
+    },
+    async set() {},
+  };
+}
+
+/**
+ * Create a cache backend
+ * @param {object} [options] - { backend, ttlMs, maxEntries, dir }
+ * @returns {{get: function, set: function}} Cache with async get(key) / set(key, value)
+ */
+function createOcrCache(options = {}) {
+  const config = {
+    backend: options.backend || OCR_CACHE_BACKEND,
+    ttlMs: options.ttlMs || OCR_CACHE_TTL_MS,
+    maxEntries: options.maxEntries || OCR_CACHE_MAX_ENTRIES,
+    dir: options.dir || OCR_CACHE_DIR,
+  };
+  if (config.backend === "disk") return createDiskBackend(config);
+  if (config.backend === "off") return createNullBackend();
+  return createMemoryBackend(config);
+}
+
+module.exports = {
+  cacheKey,
+  createOcrCache,
+};
@@ -0,0 +1,124 @@
+const ocrSpace = require("./ocr-space");
+const replay = require("./replay");
+const { hashImage } = require("../image-hash");
+const { cacheKey, createOcrCache } = require("../ocr-cache");
+const { logger } = require("../logger");
+
+/**
+ * OCR Provider Registry
+ *
+ * Every provider exposes:
+ *   name
+ *   recognize(image, options) -> Promise<{ success, result, raw, attempts }
+ *                                       | { success: false, status, body, attempts }>
+ *   normalize(raw) (optional) -> result, for providers whose raw responses can be replayed
+ *   checkConfig() (optional) -> [problem], configuration that stops it working
+ *   breaker (optional) -> circuit breaker guarding its API, from createCircuitBreaker()
+ *
+ * where result is the normalized shape
+ *   { text, lines: [{ text, words, box, page }],
+ *     words: [{ text, box: { left, top, width, height }, page, confidence }],
+ *     confidence }
+ * and confidence is a number in [0, 1] or null when the provider does not report one.
+ */
+
+const OCR_PROVIDER = process.env.OCR_PROVIDER || "ocrspace";
+
+// When set, every successful live response is saved here for the replay provider
+const OCR_RECORD_DIR = process.env.OCR_RECORD_DIR;
+
+const ocrCache = createOcrCache();
+
+const providers = {
+  [ocrSpace.name]: ocrSpace,
+  [replay.name]: replay,
+};
+
+/**
+ * Look up a provider by name
+ * @param {string} name - Provider name
+ * @returns {object} Provider
+ */
+function getProvider(name) {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown OCR provider: ${name}`);
+  }
+  return provider;
+}
+
+/**
+ * Recognize text with the configured provider, serving repeat images from the
+ * OCR cache and recording live responses when enabled
+ * @param {object} image - { buffer, filename, mimetype } or { hash } when cacheOnly
+ * @param {object} [options] - { engine, cacheOnly, onAttempt, tenant, log }
+ *   where onAttempt is called with the attempt number before each provider
+ *   call, tenant ({ id }) keeps cached results apart per tenant and log is
+ *   the logger for the request
+ * @returns {Promise<object>} Provider outcome plus { imageHash, cached }; with
+ *   cacheOnly a miss returns { success: false, cacheMiss: true }
+ */
+async function recognize(image, options = {}) {
+  const provider = getProvider(OCR_PROVIDER);
+  const imageHash = image.hash || hashImage(image.buffer);
+  const key = cacheKey(imageHash, {
+    provider: provider.name,
+    engine: options.engine,
+    tenant: options.tenant && options.tenant.id,
+  });
+
+  const cached = await ocrCache.get(key);
+  if (cached) {
+    return { success: true, ...cached, attempts: 0, imageHash, cached: true };
+  }
+  if (options.cacheOnly) {
+    return {
+      success: false,
+      cacheMiss: true,
+      status: 404,
+      body: {
+        success: false,
+        reason: "No cached OCR result for this image. Please upload it again.",
+      },
+      attempts: 0,
+      imageHash,
+    };
+  }
+
+  const outcome = await provider.recognize(image, options);
+
+  if (outcome.success) {
+    await ocrCache.set(key, { result: outcome.result, raw: outcome.raw });
+  }
+
+  if (outcome.success && OCR_RECORD_DIR && provider !== replay) {
+    try {
+      replay.recordFixture(OCR_RECORD_DIR, image.buffer, {
+        provider: provider.name,
+        engine: options.engine,
+        response: outcome.raw,
+      });
+    } catch (err) {
+      (options.log || logger).error("Failed to record OCR response", { err });
+    }
+  }
+
+  return { ...outcome, imageHash, cached: false };
+}
+
+/**
+ * Configuration problems of the configured provider, for readiness checks
+ * @returns {string[]} Problems, empty when ready
+ */
+function providerConfigProblems() {
+  const provider = providers[OCR_PROVIDER];
+  if (!provider) return [`Unknown OCR provider: ${OCR_PROVIDER}`];
+  return provider.checkConfig ? provider.checkConfig() : [];
+}
+
+module.exports = {
+  recognize,
+  getProvider,
+  providerConfigProblems,
+  OCR_PROVIDER,
+};
@@ -0,0 +1,215 @@
+const {
+  postToExternalApi,
+  ocrBreaker,
+  EXTERNAL_API_KEY,
+} = require("../ocr-service");
+const { extractParsedText } = require("../label-verifier");
+const { ocrBudget } = require("../ocr-budget");
+
+/**
+ * OCR.space Provider
+ * Adapts OCR.space's ParsedResults / TextOverlay shape to the normalized result
+ */
+
+const name = "ocrspace";
+
+/**
+ * Stringify API response data
+ */
+function stringifyApiData(apiData) {
+  try {
+    return typeof apiData === "string" ? apiData : JSON.stringify(apiData);
+  } catch (e) {
+    return String(apiData);
+  }
+}
+
+/**
+ * Convert an OCR.space response body into a normalized OCR result
+ * @param {object} apiData - OCR.space response body
+ * @returns {object} { text, lines, words, confidence }
+ */
+function normalize(apiData) {
+  const text = extractParsedText(apiData, stringifyApiData(apiData));
+  const lines = [];
+  const words = [];
+
+  const results =
+    apiData && Array.isArray(apiData.ParsedResults)
+      ? apiData.ParsedResults
+      : [];
+  results.forEach((result, page) => {
+    const overlay = result && result.TextOverlay;
+    const overlayLines =
+      overlay && Array.isArray(overlay.Lines) ? overlay.Lines : [];
+    overlayLines.forEach((l) => {
+      const lineWords = (Array.isArray(l.Words) ? l.Words : []).map((w) => ({
+        text: w.WordText || "",
+        box: {
+          left: w.Left,
+          top: w.Top,
+          width: w.Width,
+          height: w.Height,
+        },
+        page,
+        // OCR.space does not report per-word confidence
+        confidence: null,
+      }));
+      words.push(...lineWords);
+      lines.push({
+        text: l.LineText || lineWords.map((w) => w.text).join(" "),
+        words: lineWords,
+        box: boundingBox(lineWords.map((w) => w.box)),
+        page,
+      });
+    });
+  });
+
+  return { text, lines, words, confidence: null };
+}
+
+/**
+ * Smallest box that contains all the given boxes
+ */
+function boundingBox(boxes) {
+  if (boxes.length === 0) return null;
+  const left = Math.min(...boxes.map((b) => b.left));
+  const top = Math.min(...boxes.map((b) => b.top));
+  const right = Math.max(...boxes.map((b) => b.left + b.width));
+  const bottom = Math.max(...boxes.map((b) => b.top + b.height));
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Check an OCR.space HTTP response for transport and payload errors
+ * @returns {{status: number, body: object}|null} Error response, or null when usable
+ */
+function checkResponse(resp) {
+  if (!resp || resp.status < 200 || resp.status >= 300) {
+    const body = resp && resp.data;
+    const exitCode = body && typeof body === "object" ? body.OCRExitCode : null;
+    return {
+      status: 502,
+      body: {
+        success: false,
+        reason: "External API returned an error status",
+        apiStatus: resp ? resp.status : null,
+        apiErrorCode: exitCode,
+        apiBody: body,
+      },
+    };
+  }
+
+  // Check for API error codes (OCRExitCode 1-2 = success, others = error)
+  const exitCode =
+    resp.data && typeof resp.data === "object" ? resp.data.OCRExitCode : null;
+  if (exitCode && exitCode !== 1 && exitCode !== 2) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        reason: "External API returned an error code in payload",
+        apiErrorCode: exitCode,
+      },
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Recognize text in an image with OCR.space
+ * @param {object} image - { buffer, filename, mimetype }
+ * @param {object} [options] - { engine, onAttempt, log }
+ * @returns {Promise<object>} { success, result, raw, attempts } or { success: false, status, body, attempts }
+ *   (with budgetExhausted: true when the OCR budget is spent, unavailable:
+ *   true when the circuit breaker is open)
+ */
+async function recognize(image, options = {}) {
+  const result = await postToExternalApi(
+    image.buffer,
+    image.filename,
+    image.mimetype,
+    {
+      engine: options.engine,
+      overlay: true,
+      onAttempt: options.onAttempt,
+      log: options.log,
+    }
+  );
+
+  if (!result.success && result.error.code === "OCR_BUDGET_EXHAUSTED") {
+    return {
+      success: false,
+      budgetExhausted: true,
+      status: 503,
+      body: {
+        success: false,
+        reason:
+          "The OCR budget for this period is used up. Only previously read images can be verified until it resets.",
+        retryAfterSeconds: ocrBudget.retryAfterSeconds(),
+      },
+      attempts: result.attempts,
+    };
+  }
+
+  if (!result.success && result.error.code === "OCR_UNAVAILABLE") {
+    const retryAfterSeconds = Math.max(
+      Math.ceil(ocrBreaker.retryAfterMs() / 1000),
+      1
+    );
+    return {
+      success: false,
+      unavailable: true,
+      status: 503,
+      body: {
+        success: false,
+        reason: `OCR service unavailable: it failed repeatedly and will be tried again in ${retryAfterSeconds} seconds.`,
+        retryAfterSeconds,
+      },
+      attempts: result.attempts,
+    };
+  }
+
+  if (!result.success) {
+    const isTimeout = result.error && result.error.code === "ECONNABORTED";
+    const msg = isTimeout
+      ? "External API timed out"
+      : `Failed to call external API: ${result.error && result.error.message}`;
+    return {
+      success: false,
+      status: 502,
+      body: { success: false, reason: msg },
+      attempts: result.attempts,
+    };
+  }
+
+  const failure = checkResponse(result.response);
+  if (failure) {
+    return { success: false, ...failure, attempts: result.attempts };
+  }
+
+  const raw = result.response.data;
+  return {
+    success: true,
+    result: normalize(raw),
+    raw,
+    attempts: result.attempts,
+  };
+}
+
+/**
+ * Configuration problems that stop this provider from working
+ * @returns {string[]} Problems, empty when configured
+ */
+function checkConfig() {
+  return EXTERNAL_API_KEY ? [] : ["EXTERNAL_API_KEY is not set"];
+}
+
+module.exports = {
+  name,
+  recognize,
+  normalize,
+  checkConfig,
+  breaker: ocrBreaker,
+};
@@ -0,0 +1,100 @@
+const fs = require("fs");
+const path = require("path");
+
+const { hashImage } = require("../image-hash");
+
+/**
+ * Replay Provider
+ * Serves OCR responses recorded on disk, keyed by image hash, so the whole
+ * flow can run offline without an API key
+ */
+
+const name = "replay";
+
+const OCR_REPLAY_DIR = path.resolve(
+  process.env.OCR_REPLAY_DIR ||
+    path.join(__dirname, "..", "..", "fixtures", "ocr")
+);
+
+/**
+ * Fixture file paths to look for, most specific first
+ */
+function fixturePaths(dir, hash, engine) {
+  const paths = [];
+  if (engine) paths.push(path.join(dir, `${hash}.engine${engine}.json`));
+  paths.push(path.join(dir, `${hash}.json`));
+  return paths;
+}
+
+/**
+ * Save a provider response so it can be replayed later
+ * @param {string} dir - Directory to write to
+ * @param {Buffer} buffer - Image file buffer
+ * @param {object} recording - { provider, engine, response }
+ * @returns {string} Path of the written fixture
+ */
+function recordFixture(dir, buffer, recording) {
+  const hash = hashImage(buffer);
+  fs.mkdirSync(dir, { recursive: true });
+  const file = fixturePaths(dir, hash, recording.engine)[0];
+  const fixture = {
+    provider: recording.provider,
+    engine: recording.engine || null,
+    recordedAt: new Date().toISOString(),
+    response: recording.response,
+  };
+  fs.writeFileSync(file, JSON.stringify(fixture, null, 2));
+  return file;
+}
+
+/**
+ * Recognize text by looking up a recorded response for the image
+ * @param {object} image - { buffer, filename, mimetype }
+ * @param {object} [options] - { engine }
+ * @returns {Promise<object>} { success, result, raw, attempts } or { success: false, status, body, attempts }
+ */
+async function recognize(image, options = {}) {
+  // Required lazily: the registry requires this module
+  const { getProvider } = require("./index");
+  const hash = hashImage(image.buffer);
+  const file = fixturePaths(OCR_REPLAY_DIR, hash, options.engine).find((p) =>
+    fs.existsSync(p)
+  );
+
+  if (!file) {
+    return {
+      success: false,
+      status: 502,
+      body: {
+        success: false,
+        reason: `No recorded OCR response for image ${hash}`,
+      },
+      attempts: 1,
+    };
+  }
+
+  const fixture = JSON.parse(fs.readFileSync(file, "utf8"));
+  const source = getProvider(fixture.provider || "ocrspace");
+  return {
+    success: true,
+    result: source.normalize(fixture.response),
+    raw: fixture.response,
+    attempts: 1,
+  };
+}
+
+/**
+ * Configuration problems that stop this provider from working
+ * @returns {string[]} Problems, empty when configured
+ */
+function checkConfig() {
+  return fs.existsSync(OCR_REPLAY_DIR) ? [] : ["OCR_REPLAY_DIR does not exist"];
+}
+
+module.exports = {
+  name,
+  recognize,
+  recordFixture,
+  checkConfig,
+  OCR_REPLAY_DIR,
+};
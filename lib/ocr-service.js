@@ -1,5 +1,9 @@
 const axios = require("axios");
 const FormData = require("form-data");
+const { ocrBudget } = require("./ocr-budget");
+const { logger } = require("./logger");
+const { registry, metrics } = require("./metrics");
+const { createCircuitBreaker, STATES } = require("./circuit-breaker");
 
 /**
  * OCR Service Module
@@ -10,25 +14,97 @@ const FormData = require("form-data");
 const EXTERNAL_API_URL =
   process.env.EXTERNAL_API_URL || "https://api.ocr.space/parse/image";
 const EXTERNAL_API_KEY = process.env.EXTERNAL_API_KEY;
-const EXTERNAL_OCR_ENGINE = process.env.EXTERNAL_OCR_ENGINE || "2";
+
+// Engines to try in order, fastest first (e.g. "1,2"). EXTERNAL_OCR_ENGINE
+// still pins a single engine when no tier list is configured.
+const EXTERNAL_OCR_ENGINES = parseList(
+  process.env.EXTERNAL_OCR_ENGINES || process.env.EXTERNAL_OCR_ENGINE || "1,2"
+);
+
+// When to move on to the next engine: "empty" (no text parsed),
+// "missing" (required fields not found), "error" (engine call failed)
+const OCR_ESCALATE_ON = parseList(
+  process.env.OCR_ESCALATE_ON || "empty,missing"
+);
 
 const MAX_RETRIES = 3;
 const INITIAL_BACKOFF_MS = 1000; // 1s, then exponential
 
+// Circuit breaker: after OCR_BREAKER_FAILURES failed calls in a row the API
+// is not called for OCR_BREAKER_RESET_MS, then one probe call is let through
+const OCR_BREAKER_FAILURES =
+  parseInt(process.env.OCR_BREAKER_FAILURES, 10) || 5;
+const OCR_BREAKER_RESET_MS =
+  parseInt(process.env.OCR_BREAKER_RESET_MS, 10) || 30_000;
+
+const ocrBreaker = createCircuitBreaker({
+  failureThreshold: OCR_BREAKER_FAILURES,
+  resetTimeoutMs: OCR_BREAKER_RESET_MS,
+  onStateChange: (state, previous) => {
+    const fields = { state, previous, resetTimeoutMs: OCR_BREAKER_RESET_MS };
+    if (state === "open") {
+      logger.warn("OCR circuit opened", fields);
+    } else {
+      logger.info("OCR circuit state changed", fields);
+    }
+  },
+});
+
+registry.gauge({
+  name: "ocr_circuit_state",
+  help: "OCR circuit breaker state (0 closed, 1 open, 2 half-open)",
+  collect: () => STATES.indexOf(ocrBreaker.status().state),
+});
+
+/**
+ * Split a comma-separated config value into trimmed, non-empty entries
+ */
+function parseList(value) {
+  return String(value)
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
 /**
- * Post image to external OCR API with retries on timeout
+ * Post image to external OCR API with retries on timeout. Every attempt is
+ * counted against the OCR budget; none is made once it is spent, or while
+ * the circuit breaker is open after repeated failures.
  * @param {Buffer} fileBuffer - Image file buffer
  * @param {string} filename - Original filename
  * @param {string} mimetype - MIME type (e.g., 'image/jpeg')
+ * @param {object} [options] - { engine, overlay, onAttempt, log } OCR engine
+ *   to use (defaults to the first tier), whether to request word coordinates,
+ *   a callback invoked with the attempt number before each try and the
+ *   logger for the request
  * @returns {Promise<{success: boolean, response?: object, error?: Error, attempts: number}>}
+ *   error has code "OCR_BUDGET_EXHAUSTED" when the budget ran out, or
+ *   "OCR_UNAVAILABLE" when the circuit breaker refused the call
  */
-async function postToExternalApi(fileBuffer, filename, mimetype) {
+async function postToExternalApi(fileBuffer, filename, mimetype, options = {}) {
+  const engine = options.engine || EXTERNAL_OCR_ENGINES[0];
+  const log = options.log || logger;
   let attempt = 0;
   let lastErr = null;
   const axiosTimeout = 60_000; // 1 minute timeout
 
   while (attempt < MAX_RETRIES) {
+    if (ocrBudget.exhausted()) {
+      lastErr = new Error("OCR budget exhausted");
+      lastErr.code = "OCR_BUDGET_EXHAUSTED";
+      break;
+    }
+    if (!ocrBreaker.allow()) {
+      metrics.ocrCircuitRejections.inc({ engine });
+      lastErr = new Error("OCR circuit open");
+      lastErr.code = "OCR_UNAVAILABLE";
+      break;
+    }
+    ocrBudget.consume();
     attempt += 1;
+    if (options.onAttempt) options.onAttempt(attempt);
+    const started = process.hrtime.bigint();
+    const elapsed = () => Number(process.hrtime.bigint() - started) / 1e9;
     try {
       const form = new FormData();
       form.append("file", fileBuffer, { filename, contentType: mimetype });
@@ -43,8 +119,13 @@ async function postToExternalApi(fileBuffer, filename, mimetype) {
       }
 
       // Include OCR engine selection
-      if (EXTERNAL_OCR_ENGINE) {
-        form.append("OCREngine", EXTERNAL_OCR_ENGINE);
+      if (engine) {
+        form.append("OCREngine", engine);
+      }
+
+      // Ask for word bounding boxes
+      if (options.overlay) {
+        form.append("isOverlayRequired", "true");
       }
 
       const resp = await axios.post(EXTERNAL_API_URL, form, {
@@ -55,6 +136,21 @@ async function postToExternalApi(fileBuffer, filename, mimetype) {
         validateStatus: null, // we'll handle statuses ourselves
       });
 
+      // A server error counts against the breaker; other answers show the
+      // API is up
+      if (resp.status >= 500) {
+        ocrBreaker.recordFailure();
+      } else {
+        ocrBreaker.recordSuccess();
+      }
+      const seconds = elapsed();
+      metrics.ocrAttemptDuration.observe({ engine, outcome: "ok" }, seconds);
+      log.debug("OCR attempt", {
+        engine,
+        attempt,
+        apiStatus: resp.status,
+        durationMs: Math.round(seconds * 1000),
+      });
       return { success: true, response: resp, attempts: attempt };
     } catch (err) {
       lastErr = err;
@@ -62,8 +158,33 @@ async function postToExternalApi(fileBuffer, filename, mimetype) {
       const isTimeout = err.code === "ECONNABORTED";
       // network/server errors may have no response
       const isServerErr = err.response && err.response.status >= 500;
-      if (isTimeout || isServerErr) {
-        // retryable
+      const outcome = isTimeout
+        ? "timeout"
+        : isServerErr
+        ? "server_error"
+        : "error";
+      if (err.response && err.response.status < 500) {
+        ocrBreaker.recordSuccess();
+      } else {
+        ocrBreaker.recordFailure();
+      }
+      const seconds = elapsed();
+      metrics.ocrAttemptDuration.observe({ engine, outcome }, seconds);
+      if (isTimeout) metrics.ocrTimeouts.inc({ engine });
+      log.warn("OCR attempt failed", {
+        engine,
+        attempt,
+        outcome,
+        durationMs: Math.round(seconds * 1000),
+        err,
+      });
+      // retryable, unless this failure has just opened the circuit
+      if (
+        (isTimeout || isServerErr) &&
+        attempt < MAX_RETRIES &&
+        ocrBreaker.status().state !== "open"
+      ) {
+        metrics.ocrRetries.inc({ engine, reason: outcome });
         const backoff = INITIAL_BACKOFF_MS * Math.pow(2, attempt - 1);
         await new Promise((r) => setTimeout(r, backoff));
         continue;
@@ -78,4 +199,8 @@ async function postToExternalApi(fileBuffer, filename, mimetype) {
 
 module.exports = {
   postToExternalApi,
+  ocrBreaker,
+  EXTERNAL_API_KEY,
+  EXTERNAL_OCR_ENGINES,
+  OCR_ESCALATE_ON,
 };
@@ -0,0 +1,379 @@
+const { PANELS } = require("./upload-processor");
+
+/**
+ * OpenAPI Module
+ * The contract of the versioned JSON API (/api/v1). The same document is
+ * served at /api/v1/openapi.json and used to validate requests, so the two
+ * cannot drift apart.
+ */
+
+const API_VERSION = "1.0.0";
+
+const PANEL_NAMES = PANELS.map(({ panel }) => panel);
+
+// Reused field descriptions
+const nullableString = (description) => ({
+  type: ["string", "null"],
+  description,
+});
+
+const schemas = {
+  LabelFields: {
+    type: "object",
+    description: "Values the label must show, as entered on the web form",
+    required: ["brandName", "productClass"],
+    additionalProperties: false,
+    properties: {
+      brandName: { type: "string", minLength: 1, maxLength: 200 },
+      productClass: {
+        type: "string",
+        minLength: 1,
+        maxLength: 200,
+        description: "Class / type, e.g. Kentucky Straight Bourbon Whiskey",
+      },
+      alcoholContent: {
+        type: ["string", "number"],
+        maxLength: 50,
+        description: 'Percent alcohol by volume, e.g. 45 or "45%"',
+      },
+      netContents: {
+        type: "string",
+        maxLength: 50,
+        description: "e.g. 750 mL",
+      },
+      healthWarning: {
+        type: "boolean",
+        description: "Check the government health warning statement",
+      },
+      commodity: {
+        type: "string",
+        pattern: "^[a-z][a-z0-9-]*$",
+        description:
+          "Rule file to apply (spirits, wine, malt); defaults to the tenant's commodity setting",
+      },
+    },
+  },
+  Base64Image: {
+    type: "object",
+    description: "Image bytes in the request",
+    required: ["base64"],
+    additionalProperties: false,
+    properties: {
+      base64: {
+        type: "string",
+        minLength: 1,
+        pattern: "^(data:[\\w.+-]+/[\\w.+-]+;base64,)?[A-Za-z0-9+/=\\s]+$",
+        description: "Base64 image, optionally as a data: URL",
+      },
+      filename: { type: "string", maxLength: 255 },
+      mimetype: {
+        type: "string",
+        maxLength: 100,
+        description:
+          "Defaults to the data: URL type, then the filename extension",
+      },
+    },
+  },
+  FileImage: {
+    type: "object",
+    description:
+      "Image already on the server: a path under API_FILES_DIR (or its <tenant id> subdirectory when the key belongs to a tenant)",
+    required: ["file"],
+    additionalProperties: false,
+    properties: {
+      file: { type: "string", minLength: 1, maxLength: 500 },
+      mimetype: { type: "string", maxLength: 100 },
+    },
+  },
+  ImageInput: {
+    oneOf: [
+      { $ref: "#/components/schemas/Base64Image" },
+      { $ref: "#/components/schemas/FileImage" },
+    ],
+  },
+  VerifyRequest: {
+    type: "object",
+    required: ["fields", "images"],
+    additionalProperties: false,
+    properties: {
+      fields: { $ref: "#/components/schemas/LabelFields" },
+      images: {
+        type: "object",
+        description: "Label panels; front is the main label",
+        required: ["front"],
+        additionalProperties: false,
+        properties: Object.fromEntries(
+          PANEL_NAMES.map((panel) => [
+            panel,
+            { $ref: "#/components/schemas/ImageInput" },
+          ])
+        ),
+      },
+    },
+  },
+  FieldCheck: {
+    type: "object",
+    required: [
+      "field",
+      "found",
+      "score",
+      "threshold",
+      "matchedText",
+      "detected",
+      "panel",
+      "foundOn",
+      "explanation",
+    ],
+    additionalProperties: false,
+    properties: {
+      field: {
+        type: "string",
+        enum: [
+          "brandName",
+          "productClass",
+          "alcoholContent",
+          "netContents",
+          "healthWarning",
+        ],
+      },
+      found: { type: "boolean" },
+      score: {
+        type: ["number", "null"],
+        description: "Similarity to the best match on the label, 0-1",
+      },
+      threshold: {
+        type: ["number", "null"],
+        description: "Score needed to count as found",
+      },
+      matchedText: nullableString("Label text that best matched"),
+      detected: nullableString(
+        "What the label shows instead, when the field was not found"
+      ),
+      panel: nullableString("Panel with the best match"),
+      foundOn: {
+        type: "array",
+        items: { type: "string" },
+        description: "Panels where the field was found",
+      },
+      explanation: nullableString("Why the field was not found"),
+    },
+  },
+  RuleResult: {
+    type: "object",
+    required: [
+      "id",
+      "type",
+      "description",
+      "citation",
+      "severity",
+      "passed",
+      "detail",
+    ],
+    additionalProperties: false,
+    properties: {
+      id: { type: "string" },
+      type: {
+        type: "string",
+        description:
+          "requiredField, pattern, mandatoryWording, forbiddenWording or sameFieldOfVision",
+      },
+      description: nullableString("What the rule checks"),
+      citation: nullableString("Regulation the rule comes from"),
+      severity: {
+        type: "string",
+        enum: ["error", "warning"],
+        description: "error fails the label, warning is only reported",
+      },
+      passed: { type: "boolean" },
+      detail: { type: "string" },
+    },
+  },
+  PanelResult: {
+    type: "object",
+    required: ["panel", "imageHash", "uploadHash", "attempts", "normalization"],
+    additionalProperties: false,
+    properties: {
+      panel: { type: "string", enum: PANEL_NAMES },
+      imageHash: {
+        type: "string",
+        description: "SHA-256 of the image sent to OCR",
+      },
+      uploadHash: nullableString(
+        "SHA-256 of the image as uploaded (differs from imageHash when it was rotated, converted or resized; null when re-verified by hash)"
+      ),
+      attempts: { type: "integer", description: "OCR API calls made" },
+      normalization: {
+        type: "array",
+        items: { type: "string" },
+        description:
+          "What was done to the image before OCR (rotated, converted, resized)",
+      },
+    },
+  },
+  VerifyResponse: {
+    type: "object",
+    required: [
+      "success",
+      "apiVersion",
+      "requestId",
+      "verdict",
+      "reason",
+      "submissionId",
+      "commodity",
+      "fields",
+      "rules",
+      "panels",
+      "ocr",
+    ],
+    additionalProperties: false,
+    properties: {
+      success: {
+        type: "boolean",
+        enum: [true],
+        description: "The label was checked; whether it passed is in verdict",
+      },
+      apiVersion: { type: "string" },
+      requestId: { type: "string" },
+      verdict: { type: "string", enum: ["pass", "fail"] },
+      reason: { type: "string" },
+      submissionId: nullableString("Id in the submission store"),
+      commodity: nullableString("Rule file applied"),
+      fields: {
+        type: "array",
+        items: { $ref: "#/components/schemas/FieldCheck" },
+      },
+      rules: {
+        type: "array",
+        items: { $ref: "#/components/schemas/RuleResult" },
+      },
+      panels: {
+        type: "array",
+        items: { $ref: "#/components/schemas/PanelResult" },
+      },
+      ocr: {
+        type: "object",
+        required: ["provider", "attempts", "cached"],
+        additionalProperties: false,
+        properties: {
+          provider: { type: "string" },
+          attempts: { type: "integer" },
+          cached: {
+            type: "boolean",
+            description: "Every panel was read from the OCR cache",
+          },
+        },
+      },
+    },
+  },
+  Problem: {
+    type: "object",
+    required: ["path", "message"],
+    additionalProperties: false,
+    properties: {
+      path: { type: "string", description: "e.g. images.front.base64" },
+      message: { type: "string" },
+    },
+  },
+  Error: {
+    type: "object",
+    required: ["success", "reason"],
+    properties: {
+      success: { type: "boolean", enum: [false] },
+      reason: { type: "string" },
+      requestId: { type: "string" },
+      problems: {
+        type: "array",
+        items: { $ref: "#/components/schemas/Problem" },
+        description: "Where the request does not match VerifyRequest",
+      },
+      panel: nullableString("Panel the error came from"),
+      retryAfterSeconds: { type: "integer" },
+    },
+  },
+};
+
+/**
+ * Response pointing at the Error schema
+ */
+function errorResponse(description) {
+  return {
+    description,
+    content: {
+      "application/json": { schema: { $ref: "#/components/schemas/Error" } },
+    },
+  };
+}
+
+const openApiDocument = {
+  openapi: "3.1.0",
+  info: {
+    title: "OCR Label Verification API",
+    version: API_VERSION,
+    description:
+      "Checks that an alcohol beverage label shows the values submitted for it. Once API keys exist every call except this document needs one.",
+  },
+  security: [{ apiKey: [] }, { bearer: [] }],
+  paths: {
+    "/api/v1/verify": {
+      post: {
+        operationId: "verifyLabel",
+        summary: "Verify a label against the submitted fields",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/VerifyRequest" },
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: "The label was checked (see verdict)",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/VerifyResponse" },
+              },
+            },
+          },
+          400: errorResponse(
+            "Invalid request body, unknown commodity or unreadable image"
+          ),
+          401: errorResponse("Missing, invalid or revoked API key"),
+          404: errorResponse("Referenced file not found"),
+          413: errorResponse("Request body or image too large"),
+          415: errorResponse("Image format not supported"),
+          429: errorResponse("Rate limit exceeded (see Retry-After)"),
+          502: errorResponse("The OCR service failed"),
+          503: errorResponse(
+            "OCR budget used up or OCR service unavailable (see Retry-After)"
+          ),
+        },
+      },
+    },
+    "/api/v1/openapi.json": {
+      get: {
+        operationId: "getOpenApi",
+        summary: "This document",
+        security: [],
+        responses: {
+          200: {
+            description: "OpenAPI 3.1 document",
+            content: { "application/json": {} },
+          },
+        },
+      },
+    },
+  },
+  components: {
+    schemas,
+    securitySchemes: {
+      apiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+      bearer: { type: "http", scheme: "bearer" },
+    },
+  },
+};
+
+module.exports = {
+  API_VERSION,
+  openApiDocument,
+};
@@ -0,0 +1,109 @@
+const { clientKey, rateLimits, createRateLimiter } = require("./rate-limiter");
+const { ocrBudget, OCR_BUDGET_EXHAUSTED } = require("./ocr-budget");
+
+/**
+ * Quota Handler Module
+ * Express middleware enforcing per-client rate limits and the global OCR
+ * budget, and the endpoint reporting OCR usage
+ */
+
+/**
+ * Create rate limiting for the routes that call OCR. Each route is charged
+ * for the label images it reads, so a batch or multi-panel upload uses as
+ * much of the limit as the same labels sent one at a time. Over the limit
+ * the answer is 429 with Retry-After. Tenants whose settings set
+ * rateLimitPerMinute or rateLimitPerDay are counted by a limiter of their
+ * own.
+ * @param {object} limiter - From createRateLimiter(), for everyone else
+ * @returns {function} (cost) => middleware, where cost(req) is the number
+ *   of label images the request reads (run it after the body is parsed)
+ */
+function createRateLimitMiddleware(limiter) {
+  // tenant id -> { limits (as JSON), limiter }
+  const tenantLimiters = new Map();
+
+  /**
+   * Limiter that applies to the request's client
+   */
+  function limiterFor(req) {
+    const settings = req.tenant ? req.tenant.settings : {};
+    if (
+      settings.rateLimitPerMinute === undefined &&
+      settings.rateLimitPerDay === undefined
+    ) {
+      return limiter;
+    }
+    const limits = rateLimits(
+      settings.rateLimitPerMinute,
+      settings.rateLimitPerDay
+    );
+    const signature = JSON.stringify(limits);
+    const cached = tenantLimiters.get(req.tenant.id);
+    if (cached && cached.signature === signature) return cached.limiter;
+    // New or changed settings start a fresh count
+    const created = { signature, limiter: createRateLimiter({ limits }) };
+    tenantLimiters.set(req.tenant.id, created);
+    return created.limiter;
+  }
+
+  return (cost = () => 1) =>
+    (req, res, next) => {
+      const images = Math.max(cost(req), 1);
+      const { allowed, limit, remaining, retryAfterMs } = limiterFor(req).hit(
+        clientKey(req),
+        images
+      );
+      if (limit !== null) {
+        res.set("RateLimit-Limit", String(limit));
+        res.set("RateLimit-Remaining", String(remaining));
+      }
+      if (allowed) return next();
+
+      // Waiting would not help a request larger than the limit itself
+      if (images > limit) {
+        return res.status(429).json({
+          success: false,
+          reason: `This request reads ${images} label images and the rate limit is ${limit}. Please send fewer at a time.`,
+        });
+      }
+
+      const retryAfter = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        reason: `Too many requests. Please try again in ${retryAfter} seconds.`,
+        retryAfterSeconds: retryAfter,
+      });
+    };
+}
+
+/**
+ * Refuse new OCR work with 503 while the OCR budget is spent (unless
+ * OCR_BUDGET_EXHAUSTED=cache, where requests go ahead on cached results)
+ */
+function checkOcrBudget(req, res, next) {
+  if (OCR_BUDGET_EXHAUSTED === "cache" || !ocrBudget.exhausted()) {
+    return next();
+  }
+  const retryAfter = ocrBudget.retryAfterSeconds();
+  res.set("Retry-After", String(retryAfter));
+  return res.status(503).json({
+    success: false,
+    reason:
+      "The OCR budget for this period is used up. Please try again later.",
+    retryAfterSeconds: retryAfter,
+  });
+}
+
+/**
+ * GET /ocr-budget - OCR calls used and remaining today and this month
+ */
+async function getOcrBudget(req, res) {
+  return res.status(200).json({ success: true, budget: ocrBudget.status() });
+}
+
+module.exports = {
+  createRateLimitMiddleware,
+  checkOcrBudget,
+  getOcrBudget,
+};
@@ -0,0 +1,124 @@
+/**
+ * Rate Limiter Module
+ * Fixed-window limits per client on the label images read, so a single
+ * client cannot spend the OCR quota on its own. Clients are told apart by tenant when signed
+ * in, otherwise by IP address.
+ */
+
+// Configuration from environment (0 = no limit)
+const RATE_LIMIT_PER_MINUTE = parseInt(
+  process.env.RATE_LIMIT_PER_MINUTE ?? "30",
+  10
+);
+const RATE_LIMIT_PER_DAY = parseInt(process.env.RATE_LIMIT_PER_DAY ?? "0", 10);
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Forget idle clients once this many are tracked
+const PRUNE_AT = 10_000;
+
+/**
+ * Identify the client making a request
+ * @param {object} req - Express request, after authentication
+ * @returns {string} "tenant:<id>" or "ip:<address>"
+ */
+function clientKey(req) {
+  return req.tenant ? `tenant:${req.tenant.id}` : `ip:${req.ip}`;
+}
+
+/**
+ * Limits for createRateLimiter() from per-minute and per-day maximums
+ * (0 = no limit), defaulting to RATE_LIMIT_PER_MINUTE / RATE_LIMIT_PER_DAY
+ */
+function rateLimits(perMinute, perDay) {
+  return [
+    { windowMs: MINUTE_MS, max: perMinute ?? RATE_LIMIT_PER_MINUTE },
+    { windowMs: DAY_MS, max: perDay ?? RATE_LIMIT_PER_DAY },
+  ];
+}
+
+/**
+ * Create an in-memory rate limiter
+ * @param {object} [options] - { limits: [{ windowMs, max }], now } where
+ *   limits default to rateLimits() and now() returns the current time in ms
+ * @returns {object} Limiter with hit(key)
+ */
+function createRateLimiter(options = {}) {
+  const limits = (options.limits || rateLimits()).filter((l) => l.max > 0);
+  const now = options.now || Date.now;
+  // key -> one { start, count } window per limit
+  const clients = new Map();
+
+  /**
+   * Drop clients whose windows have all ended
+   */
+  function prune(time) {
+    for (const [key, windows] of clients) {
+      if (windows.every((w, i) => time - w.start >= limits[i].windowMs)) {
+        clients.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Count a request from a client
+   * @param {string} key - Client key
+   * @param {number} [cost] - How much of the limit the request uses (e.g.
+   *   the number of label images it reads)
+   * @returns {{allowed: boolean, limit: number|null, remaining: number|null, retryAfterMs: number}}
+   *   Whether the request may proceed, and the state of the tightest limit
+   */
+  function hit(key, cost = 1) {
+    if (limits.length === 0) {
+      return { allowed: true, limit: null, remaining: null, retryAfterMs: 0 };
+    }
+    const time = now();
+    if (clients.size >= PRUNE_AT) prune(time);
+
+    const windows =
+      clients.get(key) || limits.map(() => ({ start: time, count: 0 }));
+    clients.set(key, windows);
+    windows.forEach((w, i) => {
+      if (time - w.start >= limits[i].windowMs) {
+        w.start = time;
+        w.count = 0;
+      }
+    });
+
+    // A request over any limit is refused and not counted
+    const blocked = windows
+      .map((w, i) => ({ w, limit: limits[i] }))
+      .filter(({ w, limit }) => w.count + cost > limit.max);
+    if (blocked.length > 0) {
+      const retryAfterMs = Math.max(
+        ...blocked.map(({ w, limit }) => w.start + limit.windowMs - time)
+      );
+      return {
+        allowed: false,
+        limit: blocked[0].limit.max,
+        remaining: 0,
+        retryAfterMs,
+      };
+    }
+
+    windows.forEach((w) => {
+      w.count += cost;
+    });
+    const tightest = windows
+      .map((w, i) => ({
+        limit: limits[i].max,
+        remaining: limits[i].max - w.count,
+      }))
+      .reduce((a, b) => (b.remaining < a.remaining ? b : a));
+    return { allowed: true, ...tightest, retryAfterMs: 0 };
+  }
+
+  return { hit };
+}
+
+module.exports = {
+  clientKey,
+  rateLimits,
+  createRateLimiter,
+};
@@ -0,0 +1,374 @@
+const sharp = require("sharp");
+const { submissionStore, recordImage } = require("./submission-store");
+const { canAccess } = require("./auth-handler");
+const { hashImage } = require("./image-hash");
+const { FIELD_LABELS } = require("./rule-engine");
+
+/**
+ * Report Handler Module
+ * Printable HTML report of a stored verification, for attaching to a
+ * product file: the label images with the matched text boxed, submitted
+ * against detected values, verdict, OCR details and the SHA-256 of each
+ * image checked. The page is self-contained (images inlined), so it can be
+ * saved, mailed or printed to PDF from the browser.
+ */
+
+// Formats a browser can show inline
+const DISPLAYABLE_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+  "image/bmp",
+];
+
+// Same colors as the boxes on the verification page
+const BOX_COLORS = { match: "#3fbf6f", mismatch: "#e0524f" };
+
+const REPORT_STYLES = `
+  body { font-family: Arial, Helvetica, sans-serif; color: #111; margin: 24px; }
+  h1 { font-size: 1.4rem; margin: 0 0 12px; }
+  h2 { font-size: 1.1rem; margin: 24px 0 8px; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+  th, td { border: 1px solid #bbb; padding: 4px 6px; text-align: left; vertical-align: top; }
+  th { background: #eee; }
+  .meta th { width: 180px; }
+  .verdict { font-size: 1.2rem; font-weight: 700; padding: 8px 12px; border: 2px solid; display: inline-block; }
+  .pass { color: #1d7a43; border-color: #1d7a43; }
+  .fail { color: #b3261e; border-color: #b3261e; }
+  .detail { color: #555; font-size: 0.85rem; }
+  code { font-size: 0.85rem; word-break: break-all; }
+  figure { margin: 0 0 16px; page-break-inside: avoid; }
+  svg, figure img { max-width: 100%; max-height: 700px; border: 1px solid #bbb; }
+  @media print { body { margin: 0; } }
+`;
+
+/**
+ * Escape text for HTML content and attributes
+ */
+function htmlEscape(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Table cell text, with a dash for missing values
+ */
+function cell(value) {
+  return value === null || value === undefined || value === ""
+    ? "&ndash;"
+    : htmlEscape(value);
+}
+
+/**
+ * "Back panel" for "back"
+ */
+function panelTitle(panel) {
+  return `${panel.charAt(0).toUpperCase()}${panel.slice(1)} panel`;
+}
+
+/**
+ * Load the stored images of a submission with their hashes and pixel size
+ * @param {object} record - Submission record
+ * @returns {Promise<object[]>} [{ panel, image, buffer, hash, readHash,
+ *   width, height }] where buffer is null when the image file is gone, hash
+ *   is of the upload as received and readHash of the image read by OCR when
+ *   that was rotated, converted or resized (null otherwise)
+ */
+async function loadImages(record) {
+  const panels =
+    record.panels && record.panels.length > 0
+      ? record.panels.map((p) => p.panel)
+      : [null];
+  return Promise.all(
+    panels.map(async (panel) => {
+      const image = recordImage(record, panel) || {};
+      const buffer = await submissionStore.readImage(record, panel);
+      const readHash = buffer ? hashImage(buffer) : image.hash || null;
+      let original = null;
+      if (image.original) {
+        const upload = await submissionStore.readImage(record, panel, {
+          original: true,
+        });
+        original = upload ? hashImage(upload) : image.original.hash || null;
+      }
+      let size = {};
+      if (buffer && DISPLAYABLE_TYPES.includes(image.mimetype)) {
+        try {
+          const meta = await sharp(buffer).metadata();
+          size = { width: meta.width, height: meta.height };
+        } catch (e) {
+          // Shown without boxes
+        }
+      }
+      return {
+        panel: panel || "front",
+        image,
+        buffer,
+        hash: image.original ? original : readHash,
+        readHash: image.original ? readHash : null,
+        ...size,
+      };
+    })
+  );
+}
+
+/**
+ * Label image with the matched (green) and partially matched (red) text
+ * boxed, as inline SVG
+ */
+function renderImage(loaded, labelChecks, multiPanel) {
+  const { image, buffer, width, height } = loaded;
+  if (!buffer) return `<p class="detail">Image file not available.</p>`;
+  if (!DISPLAYABLE_TYPES.includes(image.mimetype)) {
+    return `<p class="detail">${htmlEscape(
+      image.mimetype || "File"
+    )} cannot be shown here; the hash above identifies it.</p>`;
+  }
+  const src = `data:${image.mimetype};base64,${buffer.toString("base64")}`;
+  if (!width || !height) return `<img src="${src}" alt="Label image">`;
+
+  const boxes = labelChecks.boxes || {};
+  const rects = [];
+  Object.keys(boxes).forEach((key) => {
+    const color = labelChecks.found.includes(key)
+      ? BOX_COLORS.match
+      : BOX_COLORS.mismatch;
+    boxes[key]
+      .filter((b) => !b.page && (!multiPanel || b.panel === loaded.panel))
+      .forEach((b) => {
+        rects.push(
+          `<rect x="${b.left}" y="${b.top}" width="${b.width}" height="${
+            b.height
+          }" fill="${color}" fill-opacity="0.2" stroke="${color}" stroke-width="${Math.max(
+            2,
+            Math.round(width / 400)
+          )}"><title>${htmlEscape(
+            `${FIELD_LABELS[key] || key}: ${b.text || ""}`
+          )}</title></rect>`
+        );
+      });
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" role="img" aria-label="Label image with matched text boxed"><image href="${src}" width="${width}" height="${height}"/>${rects.join(
+    ""
+  )}</svg>`;
+}
+
+/**
+ * Submitted value of a field as shown in the report
+ */
+function submittedValue(fields, key) {
+  if (key === "healthWarning") {
+    return fields.healthWarning ? "Checked" : "Required by rules";
+  }
+  return fields[key];
+}
+
+/**
+ * Rows of the field results table
+ */
+function renderFields(record) {
+  const { labelChecks, submittedFields = {}, review } = record;
+  const overrides = (review && review.overrides) || {};
+  const keys = [...labelChecks.found, ...labelChecks.missing].sort(
+    (a, b) =>
+      Object.keys(FIELD_LABELS).indexOf(a) -
+      Object.keys(FIELD_LABELS).indexOf(b)
+  );
+  return keys
+    .map((key) => {
+      const check = labelChecks.fields[key] || {};
+      const override = overrides[key];
+      const passed = override
+        ? override.status === "pass"
+        : labelChecks.found.includes(key);
+      const score =
+        typeof check.score === "number"
+          ? `${Math.round(check.score * 100)}%${
+              typeof check.threshold === "number"
+                ? ` (needs ${Math.round(check.threshold * 100)}%)`
+                : ""
+            }`
+          : null;
+      const notes = [
+        !passed || override ? check.explanation : null,
+        override
+          ? `Set to ${override.status} by human review${
+              override.comment ? `: ${override.comment}` : ""
+            }`
+          : null,
+      ].filter(Boolean);
+      return `<tr><td>${htmlEscape(FIELD_LABELS[key] || key)}</td><td>${cell(
+        submittedValue(submittedFields, key)
+      )}</td><td>${cell(check.match || check.detected)}${notes
+        .map((n) => `<div class="detail">${htmlEscape(n)}</div>`)
+        .join("")}</td><td>${cell(score)}</td><td>${cell(
+        check.panel
+      )}</td><td class="${passed ? "pass" : "fail"}">${
+        passed ? "Pass" : "Fail"
+      }</td></tr>`;
+    })
+    .join("");
+}
+
+/**
+ * Rows of the rules table, with the results after review
+ * @param {object[]} rules - Rule results
+ * @param {object} ruleOverrides - { ruleId: { status, comment } } from review
+ */
+function renderRules(rules, ruleOverrides) {
+  return rules
+    .map((rule) => {
+      const override = ruleOverrides[rule.id];
+      const notes = [
+        rule.citation,
+        override
+          ? `Set to ${override.status} by human review${
+              override.comment ? `: ${override.comment}` : ""
+            }`
+          : null,
+      ].filter(Boolean);
+      return `<tr><td>${cell(rule.description || rule.id)}${notes
+        .map((n) => `<div class="detail">${htmlEscape(n)}</div>`)
+        .join("")}</td><td>${cell(rule.severity)}</td><td>${cell(
+        rule.detail
+      )}</td><td class="${rule.passed ? "pass" : "fail"}">${
+        rule.passed ? "Pass" : "Fail"
+      }</td></tr>`;
+    })
+    .join("");
+}
+
+/**
+ * OCR engine tiers used, e.g. "engine 1: escalated (1 attempt); engine 2:
+ * used (2 attempts, cached)"
+ */
+function describeEngines(engines) {
+  return (engines || [])
+    .map((e) => {
+      const details = [
+        e.attempts !== undefined &&
+          `${e.attempts} attempt${e.attempts === 1 ? "" : "s"}`,
+        e.cached && "cached",
+      ].filter(Boolean);
+      return `${e.panel ? `${e.panel} ` : ""}engine ${e.engine}: ${e.outcome}${
+        details.length ? ` (${details.join(", ")})` : ""
+      }`;
+    })
+    .join("; ");
+}
+
+/**
+ * Render the report page
+ * @param {object} record - Submission record
+ * @param {object[]} images - From loadImages()
+ * @param {Date} [generatedAt] - Time shown as the report date
+ * @returns {string} HTML document
+ */
+function renderReport(record, images, generatedAt = new Date()) {
+  const { labelChecks, review } = record;
+  const ocr = record.ocr || {};
+  const reviewed = review && review.status === "completed";
+  const multiPanel = images.length > 1;
+  const metaRows = [
+    ["Submission", record.id],
+    ["Checked at", record.createdAt],
+    ["Report generated", generatedAt.toISOString()],
+    ["Product type", labelChecks.commodity],
+    ["OCR provider", ocr.provider],
+    ["OCR engines", describeEngines(ocr.engines)],
+    ["OCR attempts", ocr.attempts],
+    ...(reviewed
+      ? [
+          ["Reviewed at", review.reviewedAt],
+          ["Reviewer", review.reviewer],
+          ["Review comment", review.comment],
+        ]
+      : []),
+  ];
+  const rules =
+    (reviewed && review.labelChecks.rules) || labelChecks.rules || [];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Label verification report ${htmlEscape(record.id)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<h1>Label verification report</h1>
+<p><span class="verdict ${record.verdict === "pass" ? "pass" : "fail"}">${
+    record.verdict === "pass" ? "PASS" : "FAIL"
+  }</span> ${htmlEscape(record.reason)}</p>
+<table class="meta">${metaRows
+    .map(
+      ([label, value]) => `<tr><th>${label}</th><td>${cell(value)}</td></tr>`
+    )
+    .join("")}</table>
+<h2>Fields</h2>
+<table>
+<tr><th>Field</th><th>Submitted</th><th>Found on label</th><th>Score</th><th>Panel</th><th>Result</th></tr>
+${renderFields(record)}
+</table>
+${
+  rules.length > 0
+    ? `<h2>Rules</h2>
+<table>
+<tr><th>Rule</th><th>Severity</th><th>Detail</th><th>Result</th></tr>
+${renderRules(rules, (reviewed && review.ruleOverrides) || {})}
+</table>`
+    : ""
+}
+<h2>Label image${multiPanel ? "s" : ""}</h2>
+${images
+  .map(
+    (loaded) => `<figure>
+<p><strong>${htmlEscape(panelTitle(loaded.panel))}</strong>${
+      loaded.image.filename
+        ? ` &ndash; ${htmlEscape(loaded.image.filename)}`
+        : ""
+    }<br>SHA-256 <code>${cell(loaded.hash)}</code>${
+      loaded.readHash
+        ? `<br>Image read by OCR: SHA-256 <code>${cell(loaded.readHash)}</code>`
+        : ""
+    }</p>
+${renderImage(loaded, labelChecks, multiPanel)}
+</figure>`
+  )
+  .join("\n")}
+<p class="detail">Each SHA-256 is of the image file as uploaded. When an upload was rotated, converted or resized before OCR, the SHA-256 of the image that was read (and is shown here) is listed under it. Green boxes mark text that matched a field; red boxes mark a partial match for a field that was not found.</p>
+</body>
+</html>
+`;
+}
+
+/**
+ * GET /submissions/:id/report?download=1 - printable HTML report, sent as
+ * an attachment with download=1
+ */
+async function getSubmissionReport(req, res) {
+  const record = await submissionStore.get(req.params.id);
+  if (!record || !canAccess(req, record)) {
+    return res.status(404).json({
+      success: false,
+      reason: "Submission not found",
+    });
+  }
+  const html = renderReport(record, await loadImages(record));
+  // Stored values are escaped; the policy keeps the saved file inert too
+  res.set(
+    "Content-Security-Policy",
+    "default-src 'none'; img-src data:; style-src 'unsafe-inline'"
+  );
+  if (req.query.download) {
+    res.attachment(`label-report-${record.id}.html`);
+  }
+  res.type("html");
+  return res.status(200).send(html);
+}
+
+module.exports = { getSubmissionReport };
@@ -0,0 +1,252 @@
+const { submissionStore } = require("./submission-store");
+const { isVerificationComplete } = require("./label-verifier");
+const { tenantId, canAccess, requestIdentity } = require("./auth-handler");
+const { webhooks } = require("./webhook-dispatcher");
+
+/**
+ * Review Handler Module
+ * Human review queue: submitters contest failed verifications and reviewers
+ * override individual field and rule results. Rules a reviewer leaves alone
+ * keep their machine result, so a failed error-severity rule still fails
+ * the label. Each tenant reviews its own submissions only; with API keys,
+ * saving a review needs a reviewer key other than the one that asked for
+ * the review, and the key is recorded as the reviewer.
+ */
+
+const REVIEW_STATUSES = ["pending", "completed"];
+const FIELD_STATUSES = ["pass", "fail"];
+
+/**
+ * Apply reviewer overrides to machine label checks
+ * @param {object} labelChecks - { found: [], missing: [], rules: [] } from
+ *   verifyLabels()
+ * @param {object} overrides - { field: { status: "pass"|"fail", comment } }
+ * @param {object} [ruleOverrides] - { ruleId: { status, comment } }
+ * @returns {object} Effective { found: [], missing: [], rules: [] } where a
+ *   requiredField rule follows the override of its field unless the rule
+ *   itself is overridden
+ */
+function applyOverrides(labelChecks, overrides, ruleOverrides = {}) {
+  const found = [];
+  const missing = [];
+  [...labelChecks.found, ...labelChecks.missing].forEach((field) => {
+    const override = overrides[field];
+    const passed = override
+      ? override.status === "pass"
+      : labelChecks.found.includes(field);
+    (passed ? found : missing).push(field);
+  });
+  const rules = (labelChecks.rules || []).map((rule) => {
+    const override =
+      ruleOverrides[rule.id] ||
+      (rule.type === "requiredField" && rule.field && overrides[rule.field]);
+    return override ? { ...rule, passed: override.status === "pass" } : rule;
+  });
+  return { found, missing, rules };
+}
+
+/**
+ * Check reviewer overrides of fields or rules
+ * @param {object} overrides - { name: { status, comment } }
+ * @param {string[]} known - Names that can be overridden
+ * @param {string} kind - "field" or "rule", for messages
+ * @returns {string|null} What is wrong, or null when valid
+ */
+function invalidOverride(overrides, known, kind) {
+  if (typeof overrides !== "object" || Array.isArray(overrides)) {
+    return `${kind} overrides must be an object`;
+  }
+  for (const [name, override] of Object.entries(overrides)) {
+    if (!known.includes(name)) return `Unknown ${kind}: ${name}`;
+    if (!override || !FIELD_STATUSES.includes(override.status)) {
+      return `Override for ${name} must have status "pass" or "fail"`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Overrides as stored: { name: { status, comment } } with trimmed comments
+ */
+function cleanOverrides(overrides) {
+  const clean = {};
+  Object.entries(overrides).forEach(([name, override]) => {
+    clean[name] = {
+      status: override.status,
+      comment: String(override.comment || "").trim() || null,
+    };
+  });
+  return clean;
+}
+
+/**
+ * POST /submissions/:id/review-request - submitter contests a failed result
+ */
+async function requestReview(req, res) {
+  const record = await submissionStore.get(req.params.id);
+  if (!record || !canAccess(req, record)) {
+    return res.status(404).json({
+      success: false,
+      reason: "Submission not found",
+    });
+  }
+  if (record.verdict !== "fail") {
+    return res.status(409).json({
+      success: false,
+      reason: "Only failed verifications can be sent for human review",
+    });
+  }
+  if (record.review) {
+    return res.status(409).json({
+      success: false,
+      reason: "A human review has already been requested",
+      review: record.review,
+    });
+  }
+
+  const comment = String((req.body && req.body.comment) || "").trim();
+  const requester = requestIdentity(req);
+  const updated = await submissionStore.update(record.id, (r) => {
+    r.review = {
+      status: "pending",
+      requestedAt: new Date().toISOString(),
+      requestedBy: requester ? requester.keyId : null,
+      requestComment: comment || null,
+      originalVerdict: r.verdict,
+    };
+  });
+
+  return res.status(200).json({ success: true, review: updated.review });
+}
+
+/**
+ * GET /reviews?status=pending|completed - review queue, oldest request first
+ */
+async function listReviews(req, res) {
+  const status = req.query.status || "pending";
+  if (!REVIEW_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      reason: `status must be one of: ${REVIEW_STATUSES.join(", ")}`,
+    });
+  }
+
+  const { items } = await submissionStore.list({ tenant: tenantId(req) });
+  const reviews = items
+    .filter((r) => r.review && r.review.status === status)
+    .sort((a, b) => a.review.requestedAt.localeCompare(b.review.requestedAt))
+    .map((r) => ({
+      id: r.id,
+      createdAt: r.createdAt,
+      verdict: r.verdict,
+      submittedFields: r.submittedFields,
+      review: r.review,
+    }));
+
+  return res.status(200).json({ success: true, reviews });
+}
+
+/**
+ * POST /submissions/:id/review - reviewer overrides field and rule results
+ * Body: { reviewer, comment, overrides: { field: { status, comment } },
+ *   ruleOverrides: { ruleId: { status, comment } } } where reviewer is only
+ *   used with authentication off; otherwise the signed-in key is recorded
+ */
+async function submitReview(req, res) {
+  const record = await submissionStore.get(req.params.id);
+  if (!record || !canAccess(req, record)) {
+    return res.status(404).json({
+      success: false,
+      reason: "Submission not found",
+    });
+  }
+  if (!record.review) {
+    return res.status(409).json({
+      success: false,
+      reason: "No human review was requested for this submission",
+    });
+  }
+  // A saved review is final; the verdict it set is what webhooks announced
+  if (record.review.status === "completed") {
+    return res.status(409).json({
+      success: false,
+      reason: "This submission has already been reviewed",
+      review: record.review,
+    });
+  }
+  const identity = requestIdentity(req);
+  if (identity && identity.keyId === record.review.requestedBy) {
+    return res.status(403).json({
+      success: false,
+      reason: "A review must be saved by someone other than who asked for it",
+    });
+  }
+
+  const body = req.body || {};
+  const overrides = body.overrides || {};
+  const ruleOverrides = body.ruleOverrides || {};
+  const problem =
+    invalidOverride(
+      overrides,
+      [...record.labelChecks.found, ...record.labelChecks.missing],
+      "field"
+    ) ||
+    invalidOverride(
+      ruleOverrides,
+      (record.labelChecks.rules || []).map((r) => r.id),
+      "rule"
+    );
+  if (problem) {
+    return res.status(400).json({ success: false, reason: problem });
+  }
+
+  const fieldOverrides = cleanOverrides(overrides);
+  const ruleResultOverrides = cleanOverrides(ruleOverrides);
+  const labelChecks = applyOverrides(
+    record.labelChecks,
+    fieldOverrides,
+    ruleResultOverrides
+  );
+  const verdict = isVerificationComplete(labelChecks) ? "pass" : "fail";
+  const previousVerdict = record.verdict;
+
+  const updated = await submissionStore.update(record.id, (r) => {
+    r.review = {
+      ...r.review,
+      status: "completed",
+      reviewedAt: new Date().toISOString(),
+      reviewer: identity
+        ? identity.name
+        : String(body.reviewer || "").trim() || null,
+      reviewerKeyId: identity ? identity.keyId : null,
+      comment: String(body.comment || "").trim() || null,
+      overrides: fieldOverrides,
+      ruleOverrides: ruleResultOverrides,
+      labelChecks,
+    };
+    r.verdict = verdict;
+    r.reason =
+      verdict === "pass"
+        ? "Label approved by human review"
+        : "Label rejected by human review";
+  });
+
+  webhooks.emit(updated.tenant || null, "review.completed", {
+    submissionId: updated.id,
+    verdict,
+    previousVerdict,
+    verdictChanged: verdict !== previousVerdict,
+    reason: updated.reason,
+    reviewer: updated.review.reviewer,
+    comment: updated.review.comment,
+    reviewedAt: updated.review.reviewedAt,
+  });
+  return res.status(200).json({ success: true, submission: updated });
+}
+
+module.exports = {
+  applyOverrides,
+  requestReview,
+  listReviews,
+  submitReview,
+};
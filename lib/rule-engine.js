@@ -0,0 +1,329 @@
+const fs = require("fs");
+const path = require("path");
+const { bestMatch, tokenize } = require("./fuzzy-match");
+
+/**
+ * Rule Engine Module
+ * Loads per-commodity label rules from declarative JSON files and reports
+ * the outcome of each rule, so compliance staff can change requirements
+ * without editing code. A rule with a "panel" property (e.g. "front") is
+ * checked against that label panel alone.
+ */
+
+// Configuration from environment
+const RULES_DIR = path.resolve(
+  process.env.RULES_DIR || path.join(__dirname, "..", "rules")
+);
+
+const RULE_TYPES = [
+  "requiredField",
+  "pattern",
+  "mandatoryWording",
+  "forbiddenWording",
+  "sameFieldOfVision",
+];
+const SEVERITIES = ["error", "warning"];
+
+// Fuzzy score at which label wording counts as present
+const DEFAULT_WORDING_THRESHOLD = 0.85;
+
+const FIELD_LABELS = {
+  brandName: "Brand name",
+  productClass: "Class/type designation",
+  alcoholContent: "Alcohol content",
+  netContents: "Net contents",
+  healthWarning: "Government health warning",
+};
+
+// Parsed rule files by commodity, reloaded when the file changes on disk
+const loaded = new Map();
+
+/**
+ * Validate a rule file and compile its patterns
+ * @param {object} data - Parsed rule file
+ * @param {string} file - File path, for error messages
+ * @returns {object} { commodity, name, regulation, tolerances, rules }
+ */
+function compileRuleSet(data, file) {
+  const fail = (message) => {
+    throw new Error(`Invalid rule file ${file}: ${message}`);
+  };
+  if (!data || !Array.isArray(data.rules)) fail("missing rules list");
+
+  const ids = new Set();
+  const rules = data.rules.map((rule, i) => {
+    const id = rule && rule.id;
+    if (!id) fail(`rule ${i + 1} has no id`);
+    if (ids.has(id)) fail(`duplicate rule id "${id}"`);
+    ids.add(id);
+    if (!RULE_TYPES.includes(rule.type)) {
+      fail(`rule "${id}" has unknown type "${rule.type}"`);
+    }
+    const severity = rule.severity || "error";
+    if (!SEVERITIES.includes(severity)) {
+      fail(`rule "${id}" has unknown severity "${severity}"`);
+    }
+
+    if (
+      rule.panel !== undefined &&
+      !(typeof rule.panel === "string" && rule.panel)
+    ) {
+      fail(`rule "${id}" has an invalid panel`);
+    }
+
+    const compiled = { ...rule, severity };
+    if (rule.type === "requiredField" && !FIELD_LABELS[rule.field]) {
+      fail(`rule "${id}" names unknown field "${rule.field}"`);
+    }
+    if (rule.type === "pattern") {
+      try {
+        compiled.regex = new RegExp(rule.pattern, rule.flags || "i");
+      } catch (e) {
+        fail(`rule "${id}" has an invalid pattern: ${e.message}`);
+      }
+    }
+    if (rule.type === "mandatoryWording" || rule.type === "forbiddenWording") {
+      const phrases = [].concat(rule.text || []).filter(Boolean);
+      if (phrases.length === 0) fail(`rule "${id}" has no text`);
+      compiled.phrases = phrases;
+    }
+    if (rule.type === "sameFieldOfVision") {
+      if (!Array.isArray(rule.fields) || rule.fields.length < 2) {
+        fail(`rule "${id}" needs at least two fields`);
+      }
+      const unknown = rule.fields.find((f) => !FIELD_LABELS[f]);
+      if (unknown) fail(`rule "${id}" names unknown field "${unknown}"`);
+    }
+    return compiled;
+  });
+
+  return {
+    commodity: data.commodity,
+    name: data.name || data.commodity,
+    regulation: data.regulation || null,
+    tolerances: data.tolerances || {},
+    rules,
+  };
+}
+
+/**
+ * Load the rule set for a commodity from RULES_DIR/<commodity>.json
+ * @param {string} commodity - e.g. spirits, wine, malt
+ * @param {object} [options] - { dir } overrides RULES_DIR
+ * @returns {Promise<object|null>} Compiled rule set, or null when the
+ *   commodity has no rule file
+ */
+async function loadRules(commodity, options = {}) {
+  if (!/^[a-z][a-z0-9-]*$/.test(String(commodity || ""))) return null;
+  const file = path.join(options.dir || RULES_DIR, `${commodity}.json`);
+
+  let stat;
+  try {
+    stat = await fs.promises.stat(file);
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  }
+
+  const cached = loaded.get(file);
+  if (cached && cached.mtimeMs === stat.mtimeMs) return cached.ruleSet;
+
+  let data;
+  try {
+    data = JSON.parse(await fs.promises.readFile(file, "utf8"));
+  } catch (e) {
+    throw new Error(`Invalid rule file ${file}: ${e.message}`);
+  }
+  const ruleSet = compileRuleSet({ commodity, ...data }, file);
+  loaded.set(file, { mtimeMs: stat.mtimeMs, ruleSet });
+  return ruleSet;
+}
+
+/**
+ * Whether a phrase appears in normalized label text as whole words, so
+ * "cures" is not found inside "secures"
+ */
+function containsWords(normalizedText, phrase) {
+  const escaped = phrase
+    .replace(/\s+/g, " ")
+    .toLowerCase()
+    .replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(
+    `(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`,
+    "u"
+  ).test(normalizedText);
+}
+
+/**
+ * Best fuzzy match of a phrase anywhere in the label text
+ */
+function findWording(parsedText, normalizedText, phrase) {
+  if (containsWords(normalizedText, phrase)) {
+    return { score: 1, match: phrase };
+  }
+  return bestMatch(tokenize(parsedText), phrase) || { score: 0, match: null };
+}
+
+/**
+ * Evaluate one rule, against a single panel when the rule names one
+ * @returns {{passed: boolean, detail: string}} Outcome
+ */
+function evaluateRule(rule, context) {
+  if (!rule.panel) return evaluateOn(rule, context);
+
+  const panel = panelsOf(context).find((p) => p.panel === rule.panel);
+  if (!panel) {
+    return { passed: false, detail: `No ${rule.panel} panel submitted` };
+  }
+  const outcome = evaluateOn(rule, { ...panel, panels: [panel] });
+  return outcome.detail.includes(`${rule.panel} panel`)
+    ? outcome
+    : { ...outcome, detail: `${outcome.detail} (${rule.panel} panel)` };
+}
+
+/**
+ * Panels of a rule context; a single-text context is one unnamed panel
+ */
+function panelsOf({ parsedText, labelChecks, panels }) {
+  return panels || [{ panel: null, parsedText, labelChecks }];
+}
+
+/**
+ * Evaluate one rule against the given text and field results
+ */
+function evaluateOn(rule, context) {
+  const { parsedText, labelChecks } = context;
+  const normalizedText = String(parsedText || "")
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+
+  switch (rule.type) {
+    case "requiredField": {
+      const label = FIELD_LABELS[rule.field];
+      if (!labelChecks.fields[rule.field]) {
+        return { passed: false, detail: `${label} was not entered` };
+      }
+      const passed = labelChecks.found.includes(rule.field);
+      return {
+        passed,
+        detail: passed
+          ? `${label} verified on label`
+          : `${label} not verified on label`,
+      };
+    }
+
+    case "pattern": {
+      const m = String(parsedText || "").match(rule.regex);
+      return {
+        passed: Boolean(m),
+        detail: m ? `Found "${m[0].trim()}"` : "No matching text on label",
+      };
+    }
+
+    case "mandatoryWording": {
+      const threshold = rule.threshold || DEFAULT_WORDING_THRESHOLD;
+      const missing = rule.phrases.filter(
+        (phrase) =>
+          findWording(parsedText, normalizedText, phrase).score < threshold
+      );
+      return {
+        passed: missing.length === 0,
+        detail:
+          missing.length === 0
+            ? "Required wording present"
+            : `Missing wording: ${missing.map((p) => `"${p}"`).join(", ")}`,
+      };
+    }
+
+    case "forbiddenWording": {
+      const threshold = rule.threshold || DEFAULT_WORDING_THRESHOLD;
+      const present = rule.phrases
+        .map((phrase) => findWording(parsedText, normalizedText, phrase))
+        .filter((m) => m.score >= threshold)
+        .map((m) => m.match);
+      return {
+        passed: present.length === 0,
+        detail:
+          present.length === 0
+            ? "No prohibited wording"
+            : `Prohibited wording: ${present.map((p) => `"${p}"`).join(", ")}`,
+      };
+    }
+
+    case "sameFieldOfVision": {
+      // Only fields that were entered can be located on a panel
+      const fields = rule.fields.filter((f) => labelChecks.fields[f]);
+      const names = fields.map((f) => FIELD_LABELS[f]).join(", ");
+      if (fields.length < 2) {
+        return { passed: true, detail: "Not enough fields entered to compare" };
+      }
+      const together = panelsOf(context).find((p) =>
+        fields.every((f) => p.labelChecks.found.includes(f))
+      );
+      if (!together) {
+        return { passed: false, detail: `${names} not found on one panel` };
+      }
+      return {
+        passed: true,
+        detail: together.panel
+          ? `${names} found together on the ${together.panel} panel`
+          : `${names} found together on the label`,
+      };
+    }
+
+    default:
+      return { passed: false, detail: `Unknown rule type ${rule.type}` };
+  }
+}
+
+/**
+ * Run every rule in a rule set against a verified label
+ * @param {object} ruleSet - From loadRules()
+ * @param {object} context - { parsedText, labelChecks, panels } where
+ *   labelChecks is the field-level result from verifyLabels() and panels,
+ *   for multi-panel labels, is [{ panel, parsedText, labelChecks }] per panel
+ * @returns {object[]} [{ id, type, field, description, citation, severity,
+ *   passed, detail }] where field is set for requiredField rules
+ */
+function runRules(ruleSet, context) {
+  return ruleSet.rules.map((rule) => ({
+    id: rule.id,
+    type: rule.type,
+    ...(rule.field && { field: rule.field }),
+    description: rule.description || null,
+    citation: rule.citation || null,
+    severity: rule.severity,
+    ...evaluateRule(rule, context),
+  }));
+}
+
+/**
+ * Whether a rule set requires a field to be checked
+ * @param {object} ruleSet - From loadRules()
+ * @param {string} field - Field name
+ * @returns {boolean} True when a requiredField rule names the field
+ */
+function requiresField(ruleSet, field) {
+  return Boolean(
+    ruleSet &&
+      ruleSet.rules.some((r) => r.type === "requiredField" && r.field === field)
+  );
+}
+
+/**
+ * Rules that failed with error severity (warnings never fail a label)
+ * @param {object[]} ruleResults - From runRules()
+ * @returns {object[]} Failed rules
+ */
+function failedRules(ruleResults) {
+  return (ruleResults || []).filter((r) => !r.passed && r.severity === "error");
+}
+
+module.exports = {
+  FIELD_LABELS,
+  loadRules,
+  runRules,
+  requiresField,
+  failedRules,
+  RULES_DIR,
+};
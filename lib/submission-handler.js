@@ -0,0 +1,130 @@
+const { submissionStore, recordImage } = require("./submission-store");
+const { tenantId, canAccess } = require("./auth-handler");
+const { RASTER_TYPES } = require("./image-normalizer");
+
+/**
+ * Submission Handler Module
+ * List and detail endpoints for the submission audit trail; a signed-in
+ * tenant only sees its own submissions
+ */
+
+const VERDICTS = ["pass", "fail"];
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Parse an optional date query parameter
+ * @returns {Date|null|undefined} Date, null when absent, undefined when invalid
+ */
+function parseDateParam(value) {
+  if (value === undefined || value === "") return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+/**
+ * Short form of a record for list responses
+ */
+function summarize(record) {
+  return {
+    id: record.id,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+    verdict: record.verdict,
+    submittedFields: record.submittedFields,
+    imageHash: record.image ? record.image.hash : null,
+  };
+}
+
+/**
+ * GET /submissions?verdict=&from=&to=&limit=&offset=
+ */
+async function listSubmissions(req, res) {
+  const { verdict } = req.query;
+  if (verdict && !VERDICTS.includes(verdict)) {
+    return res.status(400).json({
+      success: false,
+      reason: `verdict must be one of: ${VERDICTS.join(", ")}`,
+    });
+  }
+
+  const from = parseDateParam(req.query.from);
+  const to = parseDateParam(req.query.to);
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({
+      success: false,
+      reason: "from and to must be ISO 8601 dates",
+    });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  const { total, items } = await submissionStore.list({
+    tenant: tenantId(req),
+    verdict,
+    from,
+    to,
+    limit,
+    offset,
+  });
+
+  return res.status(200).json({
+    success: true,
+    total,
+    limit,
+    offset,
+    submissions: items.map(summarize),
+  });
+}
+
+/**
+ * GET /submissions/:id
+ */
+async function getSubmission(req, res) {
+  const record = await submissionStore.get(req.params.id);
+  if (!record || !canAccess(req, record)) {
+    return res.status(404).json({
+      success: false,
+      reason: "Submission not found",
+    });
+  }
+  return res.status(200).json({ success: true, submission: record });
+}
+
+/**
+ * GET /submissions/:id/image?panel=&original=1 - the label image, or one
+ * panel's image; original=1 gives the upload as received when it was
+ * rotated, converted or resized before OCR
+ */
+async function getSubmissionImage(req, res) {
+  const panel = req.query.panel ? String(req.query.panel) : null;
+  const original = req.query.original === "1";
+  const record = await submissionStore.get(req.params.id);
+  const image =
+    record &&
+    canAccess(req, record) &&
+    (await submissionStore.readImage(record, panel, { original }));
+  if (!image) {
+    return res.status(404).json({
+      success: false,
+      reason: "Image not found",
+    });
+  }
+  const stored = recordImage(record, panel);
+  const { mimetype } = (original ? stored.original : stored) || {};
+  // Stored types are what the client declared; anything but a raster image
+  // (an SVG or HTML with script, say) is only offered as a download
+  res.set({
+    "X-Content-Type-Options": "nosniff",
+    "Content-Security-Policy": "default-src 'none'; sandbox",
+  });
+  if (RASTER_TYPES.includes(mimetype)) {
+    res.type(mimetype);
+  } else {
+    res.attachment(`label-${record.id}${original ? "-original" : ""}`);
+    res.type("application/octet-stream");
+  }
+  return res.status(200).send(image);
+}
+
+module.exports = { listSubmissions, getSubmission, getSubmissionImage };
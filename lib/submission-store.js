@@ -0,0 +1,341 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Submission Store Module
+ * File-backed audit trail of every verification: image, submitted fields,
+ * raw OCR response, label checks and verdict
+ *
+ * Layout:
+ *   <dir>/records/<id>.json    one record per submission
+ *   <dir>/images/<hash>.<ext>  images, stored once per content hash
+ *   <dir>/originals/<hash>.json the upload an image read by OCR was made from
+ *                              (rotated, converted or resized); the upload
+ *                              itself is in images/
+ *   <dir>/images/<tenant>/..., <dir>/originals/<tenant>/...
+ *                              the same per tenant, so a tenant's submissions
+ *                              never point at another tenant's files
+ *   <dir>/batches/<id>.json    batch runs, listing one result per manifest row
+ */
+
+const SUBMISSIONS_DIR = path.resolve(
+  process.env.SUBMISSIONS_DIR ||
+    path.join(__dirname, "..", "data", "submissions")
+);
+
+const EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/gif": ".gif",
+  "image/bmp": ".bmp",
+  "image/tiff": ".tif",
+  "image/webp": ".webp",
+  "image/avif": ".avif",
+  "application/pdf": ".pdf",
+};
+
+/**
+ * Time-ordered unique submission id
+ */
+function newId() {
+  return (
+    Date.now().toString(36).padStart(9, "0") +
+    "-" +
+    crypto.randomBytes(4).toString("hex")
+  );
+}
+
+/**
+ * Write a file atomically so readers never see a partial record
+ */
+async function writeFileAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.${crypto
+    .randomBytes(4)
+    .toString("hex")}.tmp`;
+  await fs.promises.writeFile(tmp, data);
+  await fs.promises.rename(tmp, file);
+}
+
+/**
+ * Image fields of a submission record
+ * @param {object} record - Submission record
+ * @param {string} [panel] - Label panel; defaults to the main image
+ * @returns {object|null} { file, mimetype, hash, ... }, or null when the
+ *   record has no such image
+ */
+function recordImage(record, panel) {
+  if (!panel) return record.image || null;
+  const match = (record.panels || []).find((p) => p.panel === panel);
+  return match ? match.image : null;
+}
+
+/**
+ * Create a submission store rooted at a directory
+ * @param {object} [options] - { dir }
+ * @returns {object} Store with save, update, get, list, readImage, saveBatch,
+ *   getBatch
+ */
+function createSubmissionStore(options = {}) {
+  const dir = options.dir || SUBMISSIONS_DIR;
+  const recordsDir = path.join(dir, "records");
+  const imagesDir = path.join(dir, "images");
+  const batchesDir = path.join(dir, "batches");
+  const originalsDir = path.join(dir, "originals");
+
+  const recordFile = (id) => path.join(recordsDir, `${id}.json`);
+  const batchFile = (id) => path.join(batchesDir, `${id}.json`);
+  const validId = (id) => /^[a-z0-9]+-[a-f0-9]+$/.test(String(id));
+
+  /**
+   * Save the images (once per hash) and a new submission record
+   * @param {object} submission - Record fields; image: { buffer?, filename,
+   *   mimetype, hash }, and for multi-panel labels panels: [{ panel, image }]
+   * @returns {Promise<object>} Stored record including id and timestamps
+   */
+  async function save(submission) {
+    await fs.promises.mkdir(recordsDir, { recursive: true });
+    await fs.promises.mkdir(imagesDir, { recursive: true });
+
+    const { tenant } = submission;
+    const image = await storeImage(submission.image || {}, tenant);
+    let panels;
+    if (submission.panels) {
+      panels = [];
+      for (const panel of submission.panels) {
+        panels.push({
+          ...panel,
+          image: await storeImage(panel.image || {}, tenant),
+        });
+      }
+    }
+
+    const now = new Date().toISOString();
+    const record = {
+      id: newId(),
+      createdAt: now,
+      updatedAt: now,
+      ...submission,
+      image,
+      ...(panels && { panels }),
+    };
+    await writeFileAtomic(
+      recordFile(record.id),
+      JSON.stringify(record, null, 2)
+    );
+    return record;
+  }
+
+  /**
+   * Write an image file unless one with its hash is already stored
+   * @param {object} submitted - { buffer?, filename, mimetype, hash,
+   *   original? } where original is the upload the image was made from
+   * @param {string} [tenant] - Tenant id; its images are kept apart
+   * @returns {Promise<object>} Image fields for the record (buffer replaced
+   *   by the stored file name, relative to the images directory, and size)
+   */
+  async function storeImage(submitted, tenant) {
+    const { buffer, original, ...image } = submitted;
+    const folder = tenant || "";
+    if (buffer && image.hash) {
+      const ext = EXTENSIONS[image.mimetype] || ".bin";
+      image.file = path.posix.join(folder, `${image.hash}${ext}`);
+      image.size = buffer.length;
+      const imagePath = path.join(imagesDir, image.file);
+      if (!fs.existsSync(imagePath)) {
+        await fs.promises.mkdir(path.dirname(imagePath), { recursive: true });
+        await writeFileAtomic(imagePath, buffer);
+      }
+    } else if (image.hash) {
+      // Re-verification: reuse the image stored by an earlier submission of
+      // the same tenant
+      const names = await fs.promises
+        .readdir(path.join(imagesDir, folder))
+        .catch((e) => {
+          if (e.code === "ENOENT") return [];
+          throw e;
+        });
+      const name = names.find((n) => n.startsWith(image.hash + "."));
+      image.file = name ? path.posix.join(folder, name) : null;
+      if (image.file && !image.mimetype) {
+        const ext = path.extname(image.file);
+        image.mimetype =
+          Object.keys(EXTENSIONS).find((m) => EXTENSIONS[m] === ext) || null;
+      }
+    }
+
+    if (original && original.buffer && image.hash) {
+      image.original = await storeImage(original, tenant);
+      await fs.promises.mkdir(path.join(originalsDir, folder), {
+        recursive: true,
+      });
+      await writeFileAtomic(
+        path.join(originalsDir, folder, `${image.hash}.json`),
+        JSON.stringify(image.original, null, 2)
+      );
+    } else if (!buffer && image.hash) {
+      const known = await readOriginal(image.hash, tenant);
+      if (known) image.original = known;
+    }
+    return image;
+  }
+
+  /**
+   * The upload an earlier submission's image was made from
+   * @param {string} hash - Hash of the image read by OCR
+   * @param {string} [tenant] - Tenant id the image was stored for
+   * @returns {Promise<object|null>} Stored image fields, or null when the
+   *   image was read as uploaded
+   */
+  async function readOriginal(hash, tenant) {
+    try {
+      return JSON.parse(
+        await fs.promises.readFile(
+          path.join(originalsDir, tenant || "", `${hash}.json`),
+          "utf8"
+        )
+      );
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+  }
+
+  /**
+   * Load a submission by id
+   * @returns {Promise<object|null>} Record, or null when not found
+   */
+  async function get(id) {
+    if (!validId(id)) return null;
+    try {
+      return JSON.parse(await fs.promises.readFile(recordFile(id), "utf8"));
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+  }
+
+  /**
+   * Apply changes to a stored submission
+   * @param {string} id - Submission id
+   * @param {function} mutate - (record) => void, edits the record in place
+   * @returns {Promise<object|null>} Updated record, or null when not found
+   */
+  async function update(id, mutate) {
+    const record = await get(id);
+    if (!record) return null;
+    mutate(record);
+    record.updatedAt = new Date().toISOString();
+    await writeFileAtomic(recordFile(id), JSON.stringify(record, null, 2));
+    return record;
+  }
+
+  /**
+   * List submissions, newest first
+   * @param {object} [filter] - { tenant, verdict, from, to, limit, offset };
+   *   from/to are Dates, tenant keeps only that tenant's submissions
+   * @returns {Promise<{total: number, items: object[]}>}
+   */
+  async function list(filter = {}) {
+    let names;
+    try {
+      names = await fs.promises.readdir(recordsDir);
+    } catch (e) {
+      if (e.code === "ENOENT") return { total: 0, items: [] };
+      throw e;
+    }
+
+    // Ids are time-ordered, so sorting names sorts by creation time
+    const ids = names
+      .filter((n) => n.endsWith(".json"))
+      .map((n) => n.slice(0, -5))
+      .sort()
+      .reverse();
+
+    const matches = [];
+    for (const id of ids) {
+      const record = await get(id);
+      if (!record) continue;
+      const created = new Date(record.createdAt);
+      if (filter.tenant !== undefined && record.tenant !== filter.tenant) {
+        continue;
+      }
+      if (filter.verdict && record.verdict !== filter.verdict) continue;
+      if (filter.from && created < filter.from) continue;
+      if (filter.to && created > filter.to) continue;
+      matches.push(record);
+    }
+
+    const offset = filter.offset || 0;
+    const limit = filter.limit || matches.length;
+    return {
+      total: matches.length,
+      items: matches.slice(offset, offset + limit),
+    };
+  }
+
+  /**
+   * Read a stored image file
+   * @param {object} record - Submission record
+   * @param {string} [panel] - Label panel (e.g. "back"); defaults to the
+   *   record's main image
+   * @param {object} [options] - { original }: read the upload the image was
+   *   made from instead of the image read by OCR
+   * @returns {Promise<Buffer|null>} Image bytes, or null when not stored
+   */
+  async function readImage(record, panel, options = {}) {
+    const found = recordImage(record, panel);
+    const image = found && options.original ? found.original : found;
+    if (!image || !image.file) return null;
+    try {
+      return await fs.promises.readFile(path.join(imagesDir, image.file));
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+  }
+
+  /**
+   * Save a batch run
+   * @param {object} batch - Batch fields, e.g. { manifest, results }
+   * @returns {Promise<object>} Stored batch including id and createdAt
+   */
+  async function saveBatch(batch) {
+    await fs.promises.mkdir(batchesDir, { recursive: true });
+    const record = {
+      id: newId(),
+      createdAt: new Date().toISOString(),
+      ...batch,
+    };
+    await writeFileAtomic(
+      batchFile(record.id),
+      JSON.stringify(record, null, 2)
+    );
+    return record;
+  }
+
+  /**
+   * Load a batch run by id
+   * @returns {Promise<object|null>} Batch, or null when not found
+   */
+  async function getBatch(id) {
+    if (!validId(id)) return null;
+    try {
+      return JSON.parse(await fs.promises.readFile(batchFile(id), "utf8"));
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+  }
+
+  return { save, update, get, list, readImage, saveBatch, getBatch };
+}
+
+const submissionStore = createSubmissionStore();
+
+module.exports = {
+  SUBMISSIONS_DIR,
+  createSubmissionStore,
+  submissionStore,
+  recordImage,
+};
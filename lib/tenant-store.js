@@ -0,0 +1,334 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { logger } = require("./logger");
+
+/**
+ * Tenant Store Module
+ * The brand owners (tenants) this server is hosted for, their settings and
+ * their API keys, kept in a local JSON file. Only a SHA-256 digest of each
+ * key is stored; the key itself is shown once when it is created.
+ *
+ * File layout:
+ *   { tenants: { <id>: { name, createdAt, settings } },
+ *     keys: [{ id, tenant, label, role, hash, createdAt, revokedAt }] }
+ */
+
+const TENANTS_FILE = path.resolve(
+  process.env.TENANTS_FILE || path.join(__dirname, "..", "data", "tenants.json")
+);
+
+// Per-tenant settings and how each is checked
+const SETTINGS = {
+  commodity: (v) => typeof v === "string" && /^[a-z0-9_-]+$/i.test(v),
+  matchThresholds: (v) =>
+    v !== null &&
+    typeof v === "object" &&
+    Object.values(v).every((t) => typeof t === "number" && t >= 0 && t <= 1),
+  rateLimitPerMinute: (v) => Number.isInteger(v) && v >= 0,
+  rateLimitPerDay: (v) => Number.isInteger(v) && v >= 0,
+};
+
+// What a key may do: submitter keys verify labels and ask for reviews,
+// reviewer keys may also save human reviews. Keys without a role are
+// submitter keys.
+const KEY_ROLES = ["submitter", "reviewer"];
+
+/**
+ * Error for a request the store cannot carry out
+ */
+function tenantError(message) {
+  const err = new Error(message);
+  err.code = "BAD_TENANT";
+  return err;
+}
+
+/**
+ * Digest under which a key is stored
+ */
+function hashKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+/**
+ * Check a tenant's settings object
+ * @returns {string|null} What is wrong, or null when valid
+ */
+function invalidSettings(settings) {
+  for (const [name, value] of Object.entries(settings || {})) {
+    if (!SETTINGS[name]) return `Unknown setting: ${name}`;
+    if (!SETTINGS[name](value)) return `Invalid value for ${name}`;
+  }
+  return null;
+}
+
+/**
+ * Create a tenant store backed by a JSON file
+ * @param {object} [options] - { file }
+ * @returns {object} Store with authEnabled, authenticate, keyActive,
+ *   getKey, getTenant, listTenants, listKeys, addTenant, createKey,
+ *   revokeKey, readable
+ */
+function createTenantStore(options = {}) {
+  const file = options.file || TENANTS_FILE;
+  let data = { tenants: {}, keys: [] };
+  let loadedMtime = null;
+
+  /**
+   * Re-read the file when it has changed, so keys added or revoked from the
+   * command line apply without a restart
+   */
+  function current() {
+    let mtime;
+    try {
+      mtime = fs.statSync(file).mtimeMs;
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+      mtime = null;
+    }
+    if (mtime === loadedMtime) return data;
+
+    loadedMtime = mtime;
+    data = { tenants: {}, keys: [] };
+    if (mtime === null) return data;
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+      data = {
+        tenants: parsed.tenants || {},
+        keys: Array.isArray(parsed.keys) ? parsed.keys : [],
+      };
+      Object.entries(data.tenants).forEach(([id, tenant]) => {
+        const problem = invalidSettings(tenant.settings);
+        if (problem) {
+          logger.error("Invalid tenant settings", {
+            file,
+            tenant: id,
+            problem,
+          });
+        }
+      });
+    } catch (e) {
+      // Fail closed: with an unreadable file no key is accepted
+      logger.error("Unreadable tenants file", { file, err: e });
+      data = { tenants: {}, keys: [], unreadable: true };
+    }
+    return data;
+  }
+
+  /**
+   * Write the store atomically
+   */
+  function save(next) {
+    if (next.unreadable) {
+      throw tenantError(`${file} is unreadable; fix or remove it first`);
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(next, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, file);
+    data = next;
+    loadedMtime = fs.statSync(file).mtimeMs;
+  }
+
+  /**
+   * Public view of a tenant
+   */
+  function describe(id, tenant) {
+    return {
+      id,
+      name: tenant.name || id,
+      settings: tenant.settings || {},
+    };
+  }
+
+  /**
+   * Whether API keys are required: true once any key has been created (or
+   * when the file cannot be read)
+   */
+  function authEnabled() {
+    const store = current();
+    return Boolean(store.unreadable) || store.keys.length > 0;
+  }
+
+  /**
+   * Public view of a key: { id, tenant, label, role, createdAt, revokedAt }
+   */
+  function describeKey({ hash, ...key }) {
+    return { ...key, role: key.role || "submitter" };
+  }
+
+  /**
+   * Look up the tenant an API key belongs to
+   * @param {string} key - API key as sent by the client
+   * @returns {object|null} { tenant: { id, name, settings }, keyId, key }
+   *   where key is from describeKey(), or null for an unknown or revoked key
+   */
+  function authenticate(key) {
+    if (!key) return null;
+    const { tenants, keys } = current();
+    const digest = Buffer.from(hashKey(key), "hex");
+    const match = keys.find(
+      (k) =>
+        k.hash &&
+        !k.revokedAt &&
+        crypto.timingSafeEqual(Buffer.from(k.hash, "hex"), digest)
+    );
+    if (!match || !tenants[match.tenant]) return null;
+    return {
+      tenant: describe(match.tenant, tenants[match.tenant]),
+      keyId: match.id,
+      key: describeKey(match),
+    };
+  }
+
+  /**
+   * Whether a key is still valid (sessions end when their key is revoked)
+   */
+  function keyActive(keyId) {
+    const { tenants, keys } = current();
+    const key = keys.find((k) => k.id === keyId);
+    return Boolean(key && !key.revokedAt && tenants[key.tenant]);
+  }
+
+  /**
+   * Look up a valid key by id, as sessions do on every request
+   * @returns {object|null} Key from describeKey(), or null when unknown or
+   *   revoked
+   */
+  function getKey(keyId) {
+    if (!keyActive(keyId)) return null;
+    return describeKey(current().keys.find((k) => k.id === keyId));
+  }
+
+  /**
+   * Look up a tenant
+   * @returns {object|null} { id, name, settings }, or null when unknown
+   */
+  function getTenant(id) {
+    const tenant = current().tenants[id];
+    return tenant ? describe(id, tenant) : null;
+  }
+
+  /**
+   * All tenants
+   */
+  function listTenants() {
+    return Object.entries(current().tenants).map(([id, t]) => describe(id, t));
+  }
+
+  /**
+   * All keys, without their digests
+   */
+  function listKeys() {
+    return current().keys.map(describeKey);
+  }
+
+  /**
+   * Add a tenant
+   * @param {string} id - Short id, e.g. "acme"
+   * @param {object} [fields] - { name, settings }
+   * @returns {object} The new tenant
+   * @throws {Error} With code "BAD_TENANT" for an invalid or existing id
+   */
+  function addTenant(id, fields = {}) {
+    if (!/^[a-z0-9][a-z0-9_-]{0,63}$/.test(String(id))) {
+      throw tenantError(
+        "Tenant ids use lowercase letters, digits, - and _ (at most 64)"
+      );
+    }
+    const store = current();
+    if (store.tenants[id]) throw tenantError(`Tenant ${id} already exists`);
+    const problem = invalidSettings(fields.settings);
+    if (problem) throw tenantError(problem);
+
+    const tenant = {
+      name: fields.name || id,
+      createdAt: new Date().toISOString(),
+      settings: fields.settings || {},
+    };
+    save({ ...store, tenants: { ...store.tenants, [id]: tenant } });
+    return describe(id, tenant);
+  }
+
+  /**
+   * Create an API key for a tenant
+   * @param {string} tenant - Tenant id
+   * @param {string} [label] - What the key is for, e.g. "CI pipeline" or
+   *   the name of the person using it
+   * @param {string} [role] - One of KEY_ROLES (default submitter)
+   * @returns {object} { id, tenant, label, role, createdAt, key }; the key
+   *   is not stored and cannot be shown again
+   * @throws {Error} With code "BAD_TENANT" for an unknown tenant or role
+   */
+  function createKey(tenant, label, role = "submitter") {
+    const store = current();
+    if (!store.tenants[tenant]) throw tenantError(`Unknown tenant: ${tenant}`);
+    if (!KEY_ROLES.includes(role)) {
+      throw tenantError(`Key role must be one of: ${KEY_ROLES.join(", ")}`);
+    }
+
+    const id = crypto.randomBytes(4).toString("hex");
+    const key = `olk_${id}_${crypto.randomBytes(24).toString("base64url")}`;
+    const entry = {
+      id,
+      tenant,
+      label: label || null,
+      role,
+      hash: hashKey(key),
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+    };
+    save({ ...store, keys: [...store.keys, entry] });
+    const { hash, ...shown } = entry;
+    return { ...shown, key };
+  }
+
+  /**
+   * Revoke an API key
+   * @param {string} id - Key id (shown by listKeys)
+   * @returns {object|null} The revoked key, or null when unknown
+   */
+  function revokeKey(id) {
+    const store = current();
+    const entry = store.keys.find((k) => k.id === id);
+    if (!entry) return null;
+    const revoked = {
+      ...entry,
+      revokedAt: entry.revokedAt || new Date().toISOString(),
+    };
+    save({
+      ...store,
+      keys: store.keys.map((k) => (k === entry ? revoked : k)),
+    });
+    return describeKey(revoked);
+  }
+
+  /**
+   * Whether the tenants file could be read (false locks everyone out)
+   */
+  function readable() {
+    return !current().unreadable;
+  }
+
+  return {
+    authEnabled,
+    authenticate,
+    keyActive,
+    getKey,
+    getTenant,
+    listTenants,
+    listKeys,
+    addTenant,
+    createKey,
+    revokeKey,
+    readable,
+  };
+}
+
+const tenantStore = createTenantStore();
+
+module.exports = {
+  KEY_ROLES,
+  createTenantStore,
+  tenantStore,
+};
@@ -1,15 +1,34 @@
 /**
  * Create upload middleware with error handling
+ * @param {object} upload - multer instance
+ * @param {object[]} [fields] - multer fields spec for multi-file forms;
+ *   defaults to a single "imageFile"
  */
-function createUploadMiddleware(upload) {
+function createUploadMiddleware(upload, fields) {
+  const receive = fields ? upload.fields(fields) : upload.single("imageFile");
   return (req, res, next) => {
-    upload.single("imageFile")(req, res, (err) => {
+    receive(req, res, (err) => {
       // Handle multer file upload errors
       if (err instanceof require("multer").MulterError) {
         if (err.code === "LIMIT_FILE_SIZE") {
           return res.status(400).json({
             success: false,
-            reason: "Image file is too large. Please select a smaller image.",
+            reason: fields
+              ? "An uploaded file is too large."
+              : "Image file is too large. Please select a smaller image.",
+          });
+        }
+        // A known field over its maxCount also fails as an unexpected file
+        const field = fields && fields.find((f) => f.name === err.field);
+        if (
+          err.code === "LIMIT_FILE_COUNT" ||
+          (field && err.code === "LIMIT_UNEXPECTED_FILE")
+        ) {
+          return res.status(400).json({
+            success: false,
+            reason: field
+              ? `Too many files were uploaded as ${field.name} (limit ${field.maxCount}).`
+              : "Too many files were uploaded.",
           });
         }
         return res.status(400).json({
@@ -17,6 +36,12 @@ function createUploadMiddleware(upload) {
           reason: "File upload error. Please try again.",
         });
       }
+      if (err && ["UNSUPPORTED_FILE", "UPLOAD_TOO_LARGE"].includes(err.code)) {
+        return res.status(400).json({
+          success: false,
+          reason: err.message,
+        });
+      }
       if (err) {
         return res.status(400).json({
           success: false,
@@ -1,107 +1,658 @@
+const { EXTERNAL_OCR_ENGINES, OCR_ESCALATE_ON } = require("./ocr-service");
+const { recognize, OCR_PROVIDER } = require("./ocr-providers");
+const { submissionStore } = require("./submission-store");
 const {
-  postToExternalApi,
-} = require("./ocr-service");
-const {
-  extractParsedText,
   verifyLabels,
+  verifyPanels,
+  combinePanelText,
   isVerificationComplete,
 } = require("./label-verifier");
+const { extractFields } = require("./label-extractor");
+const { explainDiscrepancies } = require("./label-explainer");
+const { loadRules, failedRules } = require("./rule-engine");
+const { webhooks } = require("./webhook-dispatcher");
+const { normalizeImage } = require("./image-normalizer");
+const { logger } = require("./logger");
+const { metrics } = require("./metrics");
+
+// Label panels a submission may carry and the upload field of each; a
+// single-image upload is the front panel
+const PANELS = [
+  { panel: "front", field: "imageFile" },
+  { panel: "back", field: "backImage" },
+  { panel: "neck", field: "neckImage" },
+];
+
+// Multer fields for verification uploads
+const PANEL_FIELDS = PANELS.map(({ field }) => ({ name: field, maxCount: 1 }));
+
+/**
+ * Extract form fields and configuration from a request body (or a batch
+ * manifest row)
+ */
+function extractRequestData(body) {
+  return {
+    brandName: body.brandName ?? null,
+    productClass: body.productClass ?? null,
+    alcoholContent: body.alcoholContent ?? null,
+    netContents: body.netContents || null,
+    healthWarning: isChecked(body.healthWarning),
+    commodity: body.commodity || null,
+  };
+}
+
+/**
+ * Interpret a checkbox / boolean form value
+ */
+function isChecked(value) {
+  return ["on", "true", "1", "yes"].includes(String(value).toLowerCase());
+}
+
+/**
+ * Describe the uploaded file as an OCR provider image
+ */
+function uploadedImage(req) {
+  return imageOf(req.file);
+}
 
 /**
- * Extract form fields and configuration from request
+ * The uploaded label panels, in PANELS order
+ * @param {object} req - Request after multer received PANEL_FIELDS
+ * @returns {{panel: string, image: object}[]} One entry per uploaded panel
  */
-function extractRequestData(req) {
+function uploadedPanels(req) {
+  const files = req.files || {};
+  return PANELS.filter(({ field }) => files[field] && files[field][0]).map(
+    ({ panel, field }) => ({ panel, image: imageOf(files[field][0]) })
+  );
+}
+
+/**
+ * OCR provider image for a multer file
+ */
+function imageOf(file) {
   return {
-    brandName: req.body.brandName ?? null,
-    productClass: req.body.productClass ?? null,
-    alcoholContent: req.body.alcoholContent ?? null,
+    buffer: file.buffer,
+    filename: file.originalname,
+    mimetype: file.mimetype,
   };
 }
 
 /**
- * Stringify API response data
+ * Bring an uploaded image within what the OCR provider accepts
+ * @param {object} image - { buffer, filename, mimetype }, or { hash } for a
+ *   cached re-verification (returned as is)
+ * @returns {Promise<{image: object, normalization: object|null}|{failure: {status: number, body: object}}>}
+ *   Image to OCR, or the error response to send
  */
-function stringifyApiData(apiData) {
+async function prepareImage(image) {
+  if (!image.buffer) return { image, normalization: null };
   try {
-    return typeof apiData === "string" ? apiData : JSON.stringify(apiData);
-  } catch (e) {
-    return String(apiData);
+    return await normalizeImage(image);
+  } catch (err) {
+    if (err.code !== "BAD_IMAGE") throw err;
+    return {
+      failure: {
+        status: err.status,
+        body: { success: false, reason: err.message },
+      },
+    };
   }
 }
 
 /**
- * Process OCR API response and verify labels
+ * Send an image to the OCR provider, escalating through the configured
+ * engine tiers until one produces usable text.
+ * @param {object} image - { buffer, filename, mimetype } or { hash } when cacheOnly
+ * @param {object} [options] - { hasRequiredFields, cacheOnly, onProgress,
+ *   tenant, log }
+ *   hasRequiredFields: (parsedText) => boolean, used by the "missing" rule
+ *   cacheOnly: only use cached OCR results, never call the API
+ *   tenant: the tenant the OCR results are cached for
+ *   onProgress: ({ stage, message, ... }) => void, called per OCR attempt
+ *   log: logger for the request
+ * @returns {Promise<{parsedText: string, ocr: object, raw: object, imageHash: string, attempts: number, ocrEngines: object[]}|{failure: {status: number, body: object}}>}
+ *   OCR result, or the error response to send
  */
-async function processOcrResponse(req, res) {
-  const requestData = extractRequestData(req);
+async function runOcr(image, options = {}) {
+  const { hasRequiredFields, cacheOnly, onProgress, tenant, log } = options;
+  const ocrEngines = [];
+  let attempts = 0;
+  let imageHash = image.hash || null;
+  // Best cached tier seen so far, used when a later tier is not cached
+  let cachedFallback = null;
 
-  const result = await postToExternalApi(
-    req.file.buffer,
-    req.file.originalname,
-    req.file.mimetype
+  for (let i = 0; i < EXTERNAL_OCR_ENGINES.length; i++) {
+    const engine = EXTERNAL_OCR_ENGINES[i];
+    const isLastTier = i === EXTERNAL_OCR_ENGINES.length - 1;
+    const started = Date.now();
+
+    const outcome = await recognize(image, {
+      engine,
+      cacheOnly,
+      tenant,
+      log,
+      onAttempt: (attempt) =>
+        onProgress &&
+        onProgress({
+          stage: "ocr",
+          engine,
+          attempt,
+          message: `OCR attempt ${attempt} (engine ${engine})`,
+        }),
+    });
+    imageHash = outcome.imageHash;
+
+    if (outcome.cacheMiss) {
+      ocrEngines.push({ engine, outcome: "not-cached" });
+      continue;
+    }
+
+    attempts += outcome.attempts;
+    const report = {
+      engine,
+      attempts: outcome.attempts,
+      durationMs: Date.now() - started,
+      cached: Boolean(outcome.cached),
+    };
+    ocrEngines.push(report);
+
+    // Out of OCR budget or the API is down: settle for an earlier tier's
+    // text
+    if ((outcome.budgetExhausted || outcome.unavailable) && cachedFallback) {
+      report.outcome = outcome.budgetExhausted
+        ? "budget-exhausted"
+        : "unavailable";
+      break;
+    }
+
+    const parsedText = outcome.success ? outcome.result.text : "";
+    let escalateReason = null;
+    if (!outcome.success) {
+      escalateReason = OCR_ESCALATE_ON.includes("error") ? "error" : null;
+    } else if (OCR_ESCALATE_ON.includes("empty") && !parsedText.trim()) {
+      escalateReason = "empty";
+    } else if (
+      OCR_ESCALATE_ON.includes("missing") &&
+      hasRequiredFields &&
+      !hasRequiredFields(parsedText)
+    ) {
+      escalateReason = "missing";
+    }
+
+    if (escalateReason && !isLastTier) {
+      report.outcome = "escalated";
+      report.escalateReason = escalateReason;
+      observeEngine(report);
+      if (outcome.success) cachedFallback = { report, parsedText, outcome };
+      continue;
+    }
+
+    if (!outcome.success) {
+      report.outcome = "error";
+      observeEngine(report);
+      return {
+        failure: {
+          status: outcome.status,
+          body: { ...outcome.body, attempts, ocrEngines },
+        },
+      };
+    }
+
+    report.outcome = "used";
+    observeEngine(report);
+    return {
+      parsedText,
+      ocr: outcome.result,
+      raw: outcome.raw,
+      imageHash,
+      attempts,
+      ocrEngines,
+    };
+  }
+
+  // Reached when the remaining tiers were not cached (cacheOnly), the OCR
+  // budget ran out or the OCR service is unavailable
+  if (cachedFallback) {
+    cachedFallback.report.outcome = "used";
+    delete cachedFallback.report.escalateReason;
+    return {
+      parsedText: cachedFallback.parsedText,
+      ocr: cachedFallback.outcome.result,
+      raw: cachedFallback.outcome.raw,
+      imageHash,
+      attempts,
+      ocrEngines,
+    };
+  }
+  return {
+    failure: {
+      status: 404,
+      body: {
+        success: false,
+        reason: "No cached OCR result for this image. Please upload it again.",
+        imageHash,
+        ocrEngines,
+      },
+    },
+  };
+}
+
+/**
+ * Record how long an engine tier took, unless its result came from the cache
+ */
+function observeEngine(report) {
+  if (report.cached) return;
+  metrics.ocrEngineDuration.observe(
+    { engine: report.engine, outcome: report.outcome },
+    report.durationMs / 1000
   );
+}
 
-  if (!result.success) {
-    const isTimeout = result.error && result.error.code === "ECONNABORTED";
-    const msg = isTimeout
-      ? "External API timed out"
-      : `Failed to call external API: ${result.error && result.error.message}`;
-    return res.status(502).json({
+/**
+ * Record the outcome of a verification: verdict, each field found or
+ * missing, and the rules that failed
+ */
+function observeVerification(labelChecks, commodity, verdict) {
+  metrics.verifications.inc({ commodity: commodity || "none", verdict });
+  labelChecks.found.forEach((field) =>
+    metrics.fieldChecks.inc({ field, result: "found" })
+  );
+  labelChecks.missing.forEach((field) =>
+    metrics.fieldChecks.inc({ field, result: "missing" })
+  );
+  (labelChecks.rules || [])
+    .filter((r) => !r.passed)
+    .forEach((r) =>
+      metrics.ruleFailures.inc({
+        commodity: commodity || "none",
+        rule: r.id,
+        severity: r.severity,
+      })
+    );
+}
+
+/**
+ * Process OCR API response and verify labels
+ */
+async function processOcrResponse(req, res) {
+  return verifyImage(uploadedPanels(req), req, res);
+}
+
+/**
+ * Re-verify new field values against the cached OCR result for an image
+ * hash, without uploading the image again
+ */
+async function processReverifyResponse(req, res) {
+  const imageHash = String(req.params.imageHash || "").toLowerCase();
+  if (!/^[a-f0-9]{64}$/.test(imageHash)) {
+    return res.status(400).json({
       success: false,
-      reason: msg,
-      attempts: result.attempts,
+      reason: "Invalid image hash",
     });
   }
+  return verifyImage({ hash: imageHash }, req, res, { cacheOnly: true });
+}
 
-  const { response: resp, attempts } = result;
+/**
+ * OCR an image (or label panels) and send the verification response
+ */
+async function verifyImage(image, req, res, options = {}) {
+  return sendResult(
+    res,
+    await verifySubmission(image, extractRequestData(req.body), {
+      ...options,
+      tenant: req.tenant,
+      log: req.log,
+    }),
+    req
+  );
+}
 
-  if (!resp || resp.status < 200 || resp.status >= 300) {
-    const body = resp && resp.data;
-    const exitCode = body && typeof body === "object" ? body.OCRExitCode : null;
-    return res.status(502).json({
-      success: false,
-      reason: "External API returned an error status",
-      apiStatus: resp ? resp.status : null,
-      apiErrorCode: exitCode,
-      attempts,
-      apiBody: body,
+/**
+ * Send a { status, body } result with the request id, and Retry-After when
+ * the body asks the client to wait
+ */
+function sendResult(res, { status, body }, req) {
+  if (body.retryAfterSeconds) {
+    res.set("Retry-After", String(body.retryAfterSeconds));
+  }
+  return res
+    .status(status)
+    .json(req && req.id ? { ...body, requestId: req.id } : body);
+}
+
+/**
+ * Normalize and OCR each label panel, verify the submitted fields across
+ * their text and save the submission
+ * @param {object|object[]} upload - [{ panel, image }] from uploadedPanels(),
+ *   or a single image (the front panel): { buffer, filename, mimetype } as
+ *   uploaded, or { hash } when cacheOnly
+ * @param {object} requestData - From extractRequestData()
+ * @param {object} [options] - { cacheOnly, onProgress, save, notify, tenant,
+ *   log } where cacheOnly and onProgress are passed to runOcr() (onProgress
+ *   is also told when verification starts), save: false skips the
+ *   submission store, notify: false (implied by save: false) sends no
+ *   webhook events, tenant ({ id, settings } from the tenant store) tags the
+ *   submission and supplies its default commodity and match thresholds, and
+ *   log is the logger for the request
+ * @returns {Promise<{status: number, body: object}>} Response to send
+ */
+async function verifySubmission(upload, requestData, options = {}) {
+  const notify = options.save !== false && options.notify !== false;
+  let result;
+  try {
+    result = await checkSubmission(upload, requestData, options);
+  } catch (err) {
+    if (notify) {
+      notifyVerification(
+        { status: 500, body: { reason: "Internal server error" } },
+        requestData,
+        options.tenant
+      );
+    }
+    throw err;
+  }
+  if (notify) notifyVerification(result, requestData, options.tenant);
+  return result;
+}
+
+/**
+ * Send the verification.completed or verification.failed webhook event for
+ * a verification result
+ * @param {object} result - { status, body } from checkSubmission()
+ * @param {object} requestData - From extractRequestData()
+ * @param {object|null} tenant - Tenant the submission belongs to
+ */
+function notifyVerification({ status, body }, requestData, tenant) {
+  const owner = tenant ? tenant.id : null;
+  if (status !== 200) {
+    webhooks.emit(owner, "verification.failed", {
+      status,
+      reason: body.reason,
+      panel: body.panel || null,
+      submittedFields: body.submittedFields || requestData,
     });
+    return;
   }
+  const { labelChecks } = body;
+  webhooks.emit(owner, "verification.completed", {
+    submissionId: body.submissionId,
+    verdict: body.success ? "pass" : "fail",
+    reason: body.reason,
+    imageHash: body.imageHash,
+    commodity: labelChecks.commodity || null,
+    submittedFields: body.submittedFields,
+    found: labelChecks.found,
+    missing: labelChecks.missing,
+    failedRules: failedRules(labelChecks.rules).map((r) => r.id),
+  });
+}
 
-  const jsonString = stringifyApiData(resp.data);
-  const parsedText = extractParsedText(resp.data, jsonString);
+/**
+ * Verify a submission (verifySubmission() without the webhook events)
+ */
+async function checkSubmission(upload, requestData, options = {}) {
+  // A tenant's default product type applies when none was picked
+  const settings = (options.tenant && options.tenant.settings) || {};
+  if (!requestData.commodity && settings.commodity) {
+    requestData = { ...requestData, commodity: settings.commodity };
+  }
+  const thresholds = settings.matchThresholds;
 
-  // Check for API error codes (OCRExitCode 1-2 = success, others = error)
-  const exitCode = resp.data && typeof resp.data === "object" ? resp.data.OCRExitCode : null;
-  if (exitCode && exitCode !== 1 && exitCode !== 2) {
-    return res.status(400).json({
-      success: false,
-      reason: "External API returned an error code in payload",
-      apiErrorCode: exitCode,
-      attempts,
+  // The chosen commodity's rule file decides which checks apply
+  const rules = requestData.commodity
+    ? await loadRules(requestData.commodity)
+    : null;
+  if (requestData.commodity && !rules) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        reason: `Unknown product type: ${requestData.commodity}`,
+      },
+    };
+  }
+
+  const submitted = Array.isArray(upload)
+    ? upload
+    : [{ panel: "front", image: upload }];
+  const multiPanel = submitted.length > 1;
+
+  // Each panel is read on its own; a failure names the panel it came from
+  const panels = [];
+  for (const { panel, image: original } of submitted) {
+    const failed = (failure) =>
+      multiPanel
+        ? {
+            status: failure.status,
+            body: {
+              ...failure.body,
+              panel,
+              reason: `${panelTitle(panel)}: ${failure.body.reason}`,
+            },
+          }
+        : failure;
+
+    const prepared = await prepareImage(original);
+    if (prepared.failure) return failed(prepared.failure);
+
+    const ocr = await runOcr(prepared.image, {
+      ...options,
+      onProgress:
+        options.onProgress &&
+        ((event) =>
+          options.onProgress(
+            multiPanel
+              ? {
+                  ...event,
+                  panel,
+                  message: `${panelTitle(panel)}: ${event.message}`,
+                }
+              : event
+          )),
+      // Another panel may carry the rest, so one panel only needs to show
+      // something when there are several
+      hasRequiredFields: (text) => {
+        const checks = verifyLabels(text, requestData, [], { thresholds });
+        return multiPanel
+          ? checks.found.length > 0
+          : checks.missing.length === 0;
+      },
+    });
+    if (ocr.failure) return failed(ocr.failure);
+
+    panels.push({
+      panel,
+      upload: original,
+      image: prepared.image,
+      normalization: prepared.normalization,
+      parsedText: ocr.parsedText,
+      words: (ocr.ocr && ocr.ocr.words) || [],
+      raw: ocr.raw,
+      imageHash: ocr.imageHash,
+      attempts: ocr.attempts,
+      ocrEngines: multiPanel
+        ? ocr.ocrEngines.map((report) => ({ ...report, panel }))
+        : ocr.ocrEngines,
     });
   }
+  if (options.onProgress) {
+    options.onProgress({ stage: "verifying", message: "Verifying label" });
+  }
+  const parsedText = combinePanelText(panels);
+  const attempts = panels.reduce((sum, p) => sum + p.attempts, 0);
+  const ocrEngines = [].concat(...panels.map((p) => p.ocrEngines));
+  const [front] = panels;
 
-  const labelChecks = verifyLabels(parsedText, {
+  const submittedFields = {
     brandName: requestData.brandName,
     productClass: requestData.productClass,
     alcoholContent: requestData.alcoholContent,
+    netContents: requestData.netContents,
+    healthWarning: requestData.healthWarning,
+    commodity: requestData.commodity,
+  };
+  const labelChecks = explainDiscrepancies(
+    verifyPanels(panels, submittedFields, {
+      thresholds,
+      commodity: requestData.commodity,
+      rules,
+    }),
+    parsedText,
+    submittedFields
+  );
+  const verified = isVerificationComplete(labelChecks);
+  const failed = failedRules(labelChecks.rules);
+  const reason = verified
+    ? "All labels verified successfully"
+    : labelChecks.missing.length === 0 && failed.length > 0
+    ? `Label does not meet ${failed.length} ${rules.name} rule(s)`
+    : "Could not find required labels in image";
+
+  const record = {
+    ...(options.tenant && { tenant: options.tenant.id }),
+    verdict: verified ? "pass" : "fail",
+    reason,
+    submittedFields,
+    image: storedImage(front),
+    panels: panels.map((p) => ({
+      panel: p.panel,
+      image: storedImage(p),
+      ocr: {
+        engines: p.ocrEngines,
+        attempts: p.attempts,
+        parsedText: p.parsedText,
+        response: p.raw,
+      },
+    })),
+    ocr: {
+      provider: OCR_PROVIDER,
+      engines: ocrEngines,
+      attempts,
+      parsedText,
+    },
+    labelChecks,
+  };
+  const submission =
+    options.save === false ? null : await submissionStore.save(record);
+
+  observeVerification(labelChecks, requestData.commodity, record.verdict);
+  (options.log || logger).info("label verified", {
+    verdict: record.verdict,
+    commodity: requestData.commodity,
+    found: labelChecks.found,
+    missing: labelChecks.missing,
+    failedRules: failed.map((r) => r.id),
+    attempts,
+    panels: panels.length,
+    submissionId: submission ? submission.id : null,
   });
 
   // Return label verification results (always 200 since request was processed successfully)
+  return {
+    status: 200,
+    body: {
+      success: verified,
+      reason,
+      attempts,
+      ocrEngines,
+      imageHash: front.imageHash,
+      submissionId: submission ? submission.id : null,
+      imageNormalization: front.normalization,
+      panels: panels.map((p) => ({
+        panel: p.panel,
+        imageHash: p.imageHash,
+        attempts: p.attempts,
+        ocrEngines: p.ocrEngines,
+        imageNormalization: p.normalization,
+      })),
+      submittedFields,
+      labelChecks,
+    },
+  };
+}
+
+/**
+ * "Back panel" for "back", for messages
+ */
+function panelTitle(panel) {
+  return `${panel.charAt(0).toUpperCase()}${panel.slice(1)} panel`;
+}
+
+/**
+ * Image fields of a submission record for a read panel. When the upload was
+ * rotated, converted or resized before OCR the upload itself is kept as the
+ * original, since that is the artwork the submitter sent.
+ */
+function storedImage(panel) {
+  const { upload, normalization } = panel;
+  return {
+    buffer: panel.image.buffer,
+    filename: panel.image.filename || null,
+    mimetype: panel.image.mimetype || null,
+    hash: panel.imageHash,
+    normalization,
+    ...(normalization &&
+      normalization.changed && {
+        original: {
+          buffer: upload.buffer,
+          filename: upload.filename || null,
+          mimetype: normalization.original.mimetype || null,
+          hash: normalization.original.hash,
+        },
+      }),
+  };
+}
+
+/**
+ * Run OCR and return best-guess field values for the user to confirm
+ */
+async function processExtractResponse(req, res) {
+  const prepared = await prepareImage(uploadedImage(req));
+  if (prepared.failure) {
+    return sendResult(res, prepared.failure, req);
+  }
+
+  const ocr = await runOcr(prepared.image, {
+    tenant: req.tenant,
+    log: req.log,
+    hasRequiredFields: (text) => {
+      const fields = extractFields(text);
+      return Object.keys(fields).every((k) => fields[k]);
+    },
+  });
+  if (ocr.failure) {
+    return sendResult(res, ocr.failure, req);
+  }
+  const { parsedText, imageHash, attempts, ocrEngines } = ocr;
+
+  const fields = extractFields(parsedText);
+  const detected = Object.keys(fields).filter((k) => fields[k]);
+
   return res.status(200).json({
-    success: isVerificationComplete(labelChecks),
-    reason: isVerificationComplete(labelChecks)
-      ? "All labels verified successfully"
-      : "Could not find required labels in image",
+    success: detected.length > 0,
+    reason:
+      detected.length > 0
+        ? "Label fields extracted. Please confirm the values."
+        : "Could not detect any label fields in image",
     attempts,
-    submittedFields: {
-      brandName: requestData.brandName,
-      productClass: requestData.productClass,
-      alcoholContent: requestData.alcoholContent,
-    },
-    labelChecks,
+    ocrEngines,
+    imageHash,
+    imageNormalization: prepared.normalization,
+    fields,
+    requestId: req.id,
   });
 }
 
-module.exports = { processOcrResponse };
+module.exports = {
+  PANELS,
+  PANEL_FIELDS,
+  extractRequestData,
+  uploadedImage,
+  uploadedPanels,
+  verifySubmission,
+  processOcrResponse,
+  processReverifyResponse,
+  processExtractResponse,
+};
@@ -0,0 +1,318 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const axios = require("axios");
+const { webhookStore } = require("./webhook-store");
+const { logger } = require("./logger");
+const { metrics } = require("./metrics");
+
+/**
+ * Webhook Dispatcher Module
+ * Sends events to the webhooks a tenant registered: a JSON payload signed
+ * with HMAC-SHA256 of "<timestamp>.<body>" under the webhook's secret,
+ * retried with growing delays until the receiver answers 2xx. Every attempt
+ * is written to the delivery log.
+ *
+ * Headers: X-Webhook-Id (delivery id, the same on every retry),
+ * X-Webhook-Event, X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC>
+ */
+
+// Configuration from environment
+const WEBHOOK_TIMEOUT_MS =
+  parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10_000;
+// Delays before each retry; the delivery fails once they are used up
+const WEBHOOK_RETRY_DELAYS_MS = (
+  process.env.WEBHOOK_RETRY_DELAYS_MS || "10000,60000,300000,1800000"
+)
+  .split(",")
+  .map((s) => parseInt(s.trim(), 10))
+  .filter((n) => Number.isInteger(n) && n >= 0);
+// Loopback and private network receivers are refused unless allowed (for a
+// receiver on the same machine or network)
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === "true";
+
+// Address ranges that are not on the public internet. The block list checks
+// IPv4-mapped IPv6 addresses (::ffff:0:0/96, in hex or dotted form) against
+// the IPv4 ranges; NAT64 addresses (64:ff9b::/96) are refused outright.
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 3],
+].forEach(([network, prefix]) =>
+  PRIVATE_RANGES.addSubnet(network, prefix, "ipv4")
+);
+[
+  ["::", 96],
+  ["64:ff9b::", 96],
+  ["64:ff9b:1::", 48],
+  ["100::", 64],
+  ["2001:db8::", 32],
+  ["2002::", 16],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) =>
+  PRIVATE_RANGES.addSubnet(network, prefix, "ipv6")
+);
+
+/**
+ * HMAC-SHA256 signature of a payload
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix seconds, also sent in the header
+ * @param {string} body - Exact request body
+ * @returns {string} Hex digest
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+/**
+ * Check an X-Webhook-Signature header, as a receiver does
+ * @param {string} secret - Webhook secret
+ * @param {string} header - Header value, t=<unix seconds>,v1=<hex>
+ * @param {string} body - Raw request body
+ * @param {object} [options] - { toleranceSeconds (default 300), now }
+ *   where deliveries signed longer ago than the tolerance are refused as
+ *   replays
+ * @returns {boolean} True when the signature is valid and recent
+ */
+function verifySignature(secret, header, body, options = {}) {
+  const tolerance = options.toleranceSeconds ?? 300;
+  const now = options.now || Date.now;
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((p) => p.trim().split("="))
+      .filter((p) => p.length === 2)
+  );
+  const timestamp = parseInt(parts.t, 10);
+  if (!Number.isInteger(timestamp) || !/^[a-f0-9]{64}$/.test(parts.v1 || "")) {
+    return false;
+  }
+  if (Math.abs(now() / 1000 - timestamp) > tolerance) return false;
+  return crypto.timingSafeEqual(
+    Buffer.from(parts.v1, "hex"),
+    Buffer.from(signPayload(secret, timestamp, body), "hex")
+  );
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not
+ * a public internet address (anything that is not an IP address counts)
+ * @param {string} address - IPv4 or IPv6 address, in any notation
+ * @returns {boolean} True when a webhook may not be sent there
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return PRIVATE_RANGES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * DNS lookup that answers with an address already resolved and checked, so
+ * the connection goes to that address even if the name now resolves
+ * elsewhere (DNS rebinding)
+ * @param {{address: string, family: number}} pinned - Address to connect to
+ * @returns {function} Lookup in the form of dns.lookup(hostname, options, cb)
+ */
+function pinnedLookup(pinned) {
+  return (hostname, options, callback) => {
+    const cb = typeof options === "function" ? options : callback;
+    if (options && options.all) return cb(null, [pinned]);
+    return cb(null, pinned.address, pinned.family);
+  };
+}
+
+/**
+ * Create a webhook dispatcher
+ * @param {object} [options] - { store, post, lookup, retryDelays,
+ *   allowPrivate, schedule } where post(url, body, headers, pinned)
+ *   resolves to { status } and connects to pinned ({ address, family },
+ *   when set) instead of resolving the host again, lookup(hostname)
+ *   resolves to [{ address }] and schedule(fn, ms) runs a retry later
+ * @returns {object} Dispatcher with emit and deliver
+ */
+function createWebhookDispatcher(options = {}) {
+  const store = options.store || webhookStore;
+  const retryDelays = options.retryDelays || WEBHOOK_RETRY_DELAYS_MS;
+  const allowPrivate = options.allowPrivate ?? WEBHOOK_ALLOW_PRIVATE;
+  const lookup =
+    options.lookup ||
+    ((hostname) => dns.promises.lookup(hostname, { all: true }));
+  const post =
+    options.post ||
+    ((url, body, headers, pinned) =>
+      axios.post(url, body, {
+        headers,
+        timeout: WEBHOOK_TIMEOUT_MS,
+        maxRedirects: 0,
+        // Any answer is logged; only 2xx counts as delivered
+        validateStatus: () => true,
+        transformResponse: (data) => data,
+        ...(pinned && { lookup: pinnedLookup(pinned) }),
+      }));
+  // Retry timers do not keep the process alive
+  const schedule = options.schedule || ((fn, ms) => setTimeout(fn, ms).unref());
+
+  /**
+   * Check where a URL would be sent
+   * @returns {Promise<{refused?: string, pinned?: object}>} Why it may not
+   *   be called, or the checked { address, family } to connect to (none
+   *   when the host is an IP address or private receivers are allowed)
+   */
+  async function checkDestination(url) {
+    if (allowPrivate) return {};
+    const { hostname } = new URL(url);
+    const host = hostname.replace(/^\[|\]$/g, "");
+    const addresses = net.isIP(host) ? [{ address: host }] : await lookup(host);
+    if (addresses.length === 0) return { refused: "Receiver host not found" };
+    if (addresses.some((a) => isPrivateAddress(a.address))) {
+      return {
+        refused:
+          "Receiver is on a private network (set WEBHOOK_ALLOW_PRIVATE=true to allow it)",
+      };
+    }
+    if (net.isIP(host)) return {};
+    const { address } = addresses[0];
+    return { pinned: { address, family: net.isIP(address) } };
+  }
+
+  /**
+   * Make one delivery attempt and schedule the next when it fails
+   */
+  async function attempt(hook, delivery) {
+    const started = Date.now();
+    const timestamp = Math.floor(started / 1000);
+    const body = JSON.stringify(delivery.payload);
+    const result = { at: new Date(started).toISOString() };
+    try {
+      const { refused, pinned } = await checkDestination(hook.url);
+      if (refused) {
+        result.error = refused;
+      } else {
+        const response = await post(
+          hook.url,
+          body,
+          {
+            "Content-Type": "application/json",
+            "User-Agent": "ocr-label-webhooks",
+            "X-Webhook-Id": delivery.id,
+            "X-Webhook-Event": delivery.event,
+            "X-Webhook-Signature": `t=${timestamp},v1=${signPayload(
+              hook.secret,
+              timestamp,
+              body
+            )}`,
+          },
+          pinned
+        );
+        result.status = response.status;
+      }
+    } catch (err) {
+      result.error = err.code || err.message;
+    }
+    result.durationMs = Date.now() - started;
+    delivery.attempts.push(result);
+
+    const delivered = result.status >= 200 && result.status < 300;
+    const delay = retryDelays[delivery.attempts.length - 1];
+    if (delivered) {
+      delivery.status = "delivered";
+      delivery.nextAttemptAt = null;
+    } else if (delay !== undefined && store.get(hook.id)) {
+      delivery.status = "retrying";
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      schedule(() => attempt(hook, delivery), delay);
+    } else {
+      delivery.status = "failed";
+      delivery.nextAttemptAt = null;
+    }
+    metrics.webhookDeliveries.inc({
+      event: delivery.event,
+      outcome: delivery.status,
+    });
+    (delivered ? logger.info : logger.warn)("webhook delivery", {
+      webhookId: hook.id,
+      deliveryId: delivery.id,
+      event: delivery.event,
+      attempt: delivery.attempts.length,
+      status: delivery.status,
+      httpStatus: result.status,
+      error: result.error,
+    });
+    try {
+      store.recordDelivery(delivery);
+    } catch (err) {
+      logger.error("Could not write the webhook delivery log", { err });
+    }
+  }
+
+  /**
+   * Send an event to one webhook (the first attempt starts at once)
+   * @param {object} hook - Webhook from the store, secret included
+   * @param {string} event - Event name
+   * @param {object} data - Event details
+   * @returns {object} The delivery: { id, webhookId, event, createdAt,
+   *   status, attempts, nextAttemptAt, payload }
+   */
+  function deliver(hook, event, data) {
+    const createdAt = new Date().toISOString();
+    const id = `whd_${crypto.randomBytes(8).toString("hex")}`;
+    const delivery = {
+      id,
+      webhookId: hook.id,
+      event,
+      createdAt,
+      status: "pending",
+      attempts: [],
+      nextAttemptAt: null,
+      payload: { id, event, createdAt, tenant: hook.tenant, data },
+    };
+    attempt(hook, delivery);
+    return delivery;
+  }
+
+  /**
+   * Send an event to every webhook of a tenant subscribed to it
+   * @param {string|null} tenant - Tenant id (null with auth off)
+   * @param {string} event - One of WEBHOOK_EVENTS
+   * @param {object} data - Event details
+   */
+  function emit(tenant, event, data) {
+    let hooks;
+    try {
+      hooks = store.forEvent(tenant, event);
+    } catch (err) {
+      logger.error("Could not read the webhooks file", { err });
+      return;
+    }
+    hooks.forEach((hook) => deliver(hook, event, data));
+  }
+
+  return { emit, deliver };
+}
+
+const webhooks = createWebhookDispatcher();
+
+module.exports = {
+  signPayload,
+  verifySignature,
+  isPrivateAddress,
+  pinnedLookup,
+  createWebhookDispatcher,
+  webhooks,
+};
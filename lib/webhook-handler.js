@@ -0,0 +1,118 @@
+const { webhookStore, WEBHOOK_EVENTS } = require("./webhook-store");
+const { webhooks } = require("./webhook-dispatcher");
+const { tenantId } = require("./auth-handler");
+
+/**
+ * Webhook Handler Module
+ * Endpoints for tenants to register webhook URLs, remove them, send a test
+ * event and read the delivery log. A tenant only sees its own webhooks.
+ */
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * The request's tenant id as stored on webhooks (null with auth off)
+ */
+function owner(req) {
+  return tenantId(req) ?? null;
+}
+
+/**
+ * The webhook named in the URL when the requesting tenant owns it
+ */
+function ownedWebhook(req) {
+  const hook = webhookStore.get(req.params.id);
+  return hook && hook.tenant === owner(req) ? hook : null;
+}
+
+/**
+ * 404 response for an unknown (or another tenant's) webhook
+ */
+function notFound(res) {
+  return res.status(404).json({
+    success: false,
+    reason: "Webhook not found",
+  });
+}
+
+/**
+ * POST /webhooks - register a webhook
+ * Body: { url, events: [...] (default all), description }
+ */
+async function createWebhook(req, res) {
+  const body = req.body || {};
+  let webhook;
+  try {
+    webhook = webhookStore.add(owner(req), {
+      url: body.url,
+      events: body.events,
+      description: body.description,
+    });
+  } catch (err) {
+    if (err.code !== "BAD_WEBHOOK") throw err;
+    return res.status(400).json({ success: false, reason: err.message });
+  }
+  const { secret, ...shown } = webhook;
+  return res.status(201).json({
+    success: true,
+    webhook: shown,
+    // Shown once: the receiver needs it to check signatures
+    secret,
+  });
+}
+
+/**
+ * GET /webhooks
+ */
+async function listWebhooks(req, res) {
+  return res.status(200).json({
+    success: true,
+    events: WEBHOOK_EVENTS,
+    webhooks: webhookStore.list(owner(req)),
+  });
+}
+
+/**
+ * DELETE /webhooks/:id
+ */
+async function deleteWebhook(req, res) {
+  if (!ownedWebhook(req)) return notFound(res);
+  webhookStore.remove(req.params.id);
+  return res.status(200).json({ success: true });
+}
+
+/**
+ * POST /webhooks/:id/ping - send a "ping" event to check the receiver
+ */
+async function pingWebhook(req, res) {
+  const hook = ownedWebhook(req);
+  if (!hook) return notFound(res);
+  const delivery = webhooks.deliver(hook, "ping", { webhookId: hook.id });
+  return res.status(202).json({
+    success: true,
+    deliveryId: delivery.id,
+  });
+}
+
+/**
+ * GET /webhooks/:id/deliveries?limit= - delivery log, newest first
+ */
+async function listDeliveries(req, res) {
+  if (!ownedWebhook(req)) return notFound(res);
+  const limit = Math.min(
+    parseInt(req.query.limit, 10) || MAX_PAGE_SIZE,
+    MAX_PAGE_SIZE
+  );
+  return res.status(200).json({
+    success: true,
+    deliveries: webhookStore.deliveries(req.params.id).slice(0, limit),
+  });
+}
+
+module.exports = {
+  createWebhook,
+  listWebhooks,
+  deleteWebhook,
+  pingWebhook,
+  listDeliveries,
+};
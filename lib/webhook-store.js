@@ -0,0 +1,252 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Webhook Store Module
+ * Webhook URLs registered by tenants and the log of deliveries to them,
+ * kept in local JSON files. The signing secret of each webhook is stored
+ * (it is needed to sign every delivery) and shown once when the webhook is
+ * registered.
+ *
+ * File layout:
+ *   WEBHOOKS_FILE:    { webhooks: [{ id, tenant, url, events, description,
+ *                       secret, createdAt }] }
+ *   WEBHOOK_LOG_FILE: { <webhook id>: [delivery, ...] } newest first
+ */
+
+const DATA_DIR = path.join(__dirname, "..", "data");
+const WEBHOOKS_FILE = path.resolve(
+  process.env.WEBHOOKS_FILE || path.join(DATA_DIR, "webhooks.json")
+);
+const WEBHOOK_LOG_FILE = path.resolve(
+  process.env.WEBHOOK_LOG_FILE || path.join(DATA_DIR, "webhook-deliveries.json")
+);
+// Deliveries kept per webhook
+const WEBHOOK_LOG_SIZE = parseInt(process.env.WEBHOOK_LOG_SIZE, 10) || 100;
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = [
+  "verification.completed",
+  "verification.failed",
+  "review.completed",
+];
+
+const MAX_WEBHOOKS_PER_TENANT = 10;
+
+/**
+ * Error for a registration the store refuses
+ */
+function webhookError(message) {
+  const err = new Error(message);
+  err.code = "BAD_WEBHOOK";
+  return err;
+}
+
+/**
+ * Read a JSON file, or the fallback when it does not exist
+ */
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return fallback;
+    throw e;
+  }
+}
+
+/**
+ * Write a JSON file atomically, readable by the owner only
+ */
+function writeJson(file, value) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(value, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Check a webhook URL: http(s) only, no credentials in it
+ * @returns {string|null} What is wrong, or null when acceptable
+ */
+function invalidUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url));
+  } catch (e) {
+    return "url must be an absolute http or https URL";
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    return "url must be an absolute http or https URL";
+  }
+  if (parsed.username || parsed.password) {
+    return "url must not contain credentials";
+  }
+  if (String(url).length > 2000) return "url is too long";
+  return null;
+}
+
+/**
+ * Create a webhook store backed by JSON files
+ * @param {object} [options] - { file, logFile, logSize }
+ * @returns {object} Store with add, list, get, forEvent, remove,
+ *   recordDelivery, deliveries
+ */
+function createWebhookStore(options = {}) {
+  const file = options.file || WEBHOOKS_FILE;
+  const logFile = options.logFile || WEBHOOK_LOG_FILE;
+  const logSize = options.logSize || WEBHOOK_LOG_SIZE;
+  // Loaded on first use; the server is the only writer
+  let hooks = null;
+  let log = null;
+
+  /**
+   * Registered webhooks
+   */
+  function current() {
+    if (!hooks) hooks = readJson(file, { webhooks: [] }).webhooks || [];
+    return hooks;
+  }
+
+  /**
+   * Delivery log by webhook id
+   */
+  function currentLog() {
+    if (!log) log = readJson(logFile, {});
+    return log;
+  }
+
+  /**
+   * Public view of a webhook, without its secret
+   */
+  function describe({ secret, ...hook }) {
+    return hook;
+  }
+
+  /**
+   * Register a webhook
+   * @param {string|null} tenant - Owning tenant id (null with auth off)
+   * @param {object} fields - { url, events, description } where events
+   *   defaults to every event
+   * @returns {object} The webhook including its secret, which is not shown
+   *   again
+   * @throws {Error} With code "BAD_WEBHOOK" for invalid fields
+   */
+  function add(tenant, fields = {}) {
+    const problem = invalidUrl(fields.url);
+    if (problem) throw webhookError(problem);
+    const events = fields.events === undefined ? WEBHOOK_EVENTS : fields.events;
+    if (
+      !Array.isArray(events) ||
+      events.length === 0 ||
+      !events.every((e) => WEBHOOK_EVENTS.includes(e))
+    ) {
+      throw webhookError(
+        `events must be a list of: ${WEBHOOK_EVENTS.join(", ")}`
+      );
+    }
+    const owned = current().filter((h) => h.tenant === tenant);
+    if (owned.length >= MAX_WEBHOOKS_PER_TENANT) {
+      throw webhookError(
+        `At most ${MAX_WEBHOOKS_PER_TENANT} webhooks can be registered`
+      );
+    }
+
+    const hook = {
+      id: `wh_${crypto.randomBytes(6).toString("hex")}`,
+      tenant,
+      url: String(fields.url),
+      events: [...new Set(events)],
+      description: String(fields.description || "").trim() || null,
+      secret: `whsec_${crypto.randomBytes(24).toString("base64url")}`,
+      createdAt: new Date().toISOString(),
+    };
+    writeJson(file, { webhooks: [...current(), hook] });
+    hooks = [...current(), hook];
+    return { ...describe(hook), secret: hook.secret };
+  }
+
+  /**
+   * A tenant's webhooks, without secrets
+   */
+  function list(tenant) {
+    return current()
+      .filter((h) => h.tenant === tenant)
+      .map(describe);
+  }
+
+  /**
+   * Look up a webhook, secret included (for signing deliveries)
+   * @returns {object|null} Webhook, or null when unknown
+   */
+  function get(id) {
+    return current().find((h) => h.id === id) || null;
+  }
+
+  /**
+   * A tenant's webhooks subscribed to an event, secrets included
+   */
+  function forEvent(tenant, event) {
+    return current().filter(
+      (h) => h.tenant === tenant && h.events.includes(event)
+    );
+  }
+
+  /**
+   * Delete a webhook and its delivery log
+   * @returns {boolean} False when the webhook was unknown
+   */
+  function remove(id) {
+    if (!get(id)) return false;
+    const remaining = current().filter((h) => h.id !== id);
+    writeJson(file, { webhooks: remaining });
+    hooks = remaining;
+    const { [id]: removed, ...rest } = currentLog();
+    if (removed) {
+      writeJson(logFile, rest);
+      log = rest;
+    }
+    return true;
+  }
+
+  /**
+   * Add a delivery to its webhook's log, or update it after a retry,
+   * keeping the newest logSize entries
+   * @param {object} delivery - { id, webhookId, ... }
+   */
+  function recordDelivery(delivery) {
+    if (!get(delivery.webhookId)) return;
+    const entries = currentLog()[delivery.webhookId] || [];
+    const updated = entries.some((d) => d.id === delivery.id)
+      ? entries.map((d) => (d.id === delivery.id ? delivery : d))
+      : [delivery, ...entries].slice(0, logSize);
+    const next = { ...currentLog(), [delivery.webhookId]: updated };
+    writeJson(logFile, next);
+    log = next;
+  }
+
+  /**
+   * Logged deliveries of a webhook, newest first
+   */
+  function deliveries(webhookId) {
+    return currentLog()[webhookId] || [];
+  }
+
+  return {
+    add,
+    list,
+    get,
+    forEvent,
+    remove,
+    recordDelivery,
+    deliveries,
+  };
+}
+
+const webhookStore = createWebhookStore();
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  createWebhookStore,
+  webhookStore,
+};
@@ -0,0 +1,157 @@
+const zlib = require("zlib");
+
+/**
+ * ZIP Reader Module
+ * Reads the entries of a ZIP archive held in memory (stored and deflated
+ * entries, which is what common zip tools produce)
+ */
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+const STORED = 0;
+const DEFLATED = 8;
+
+/**
+ * Locate the end of central directory record (it may be followed by a
+ * comment of up to 64 KB)
+ */
+function findEndOfCentralDirectory(buffer) {
+  const stop = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let i = buffer.length - 22; i >= stop; i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) return i;
+  }
+  return -1;
+}
+
+/**
+ * Read the central directory: every entry's name, sizes and where its data
+ * is, without inflating anything
+ */
+function readDirectory(buffer, fail) {
+  const eocd = buffer.length >= 22 ? findEndOfCentralDirectory(buffer) : -1;
+  if (eocd < 0) fail("Not a ZIP archive");
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = [];
+
+  for (let n = 0; n < count; n++) {
+    if (
+      offset + 46 > buffer.length ||
+      buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER
+    ) {
+      fail("Corrupt ZIP central directory");
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    entries.push({
+      name: buffer
+        .slice(offset + 46, offset + 46 + nameLength)
+        .toString(flags & 0x800 ? "utf8" : "latin1"),
+      flags,
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      localOffset: buffer.readUInt32LE(offset + 42),
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * Inflate one entry, refusing output beyond its declared size
+ */
+function extract(buffer, entry, fail) {
+  const { name, method, compressedSize, size, localOffset } = entry;
+  if (
+    localOffset + 30 > buffer.length ||
+    buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER
+  ) {
+    fail(`Corrupt ZIP entry: ${name}`);
+  }
+  const dataStart =
+    localOffset +
+    30 +
+    buffer.readUInt16LE(localOffset + 26) +
+    buffer.readUInt16LE(localOffset + 28);
+  const data = buffer.slice(dataStart, dataStart + compressedSize);
+
+  if (method === STORED) return data;
+  if (method !== DEFLATED) {
+    fail(`Unsupported ZIP compression method ${method}: ${name}`);
+  }
+  try {
+    return zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+  } catch (e) {
+    return fail(`Corrupt ZIP entry: ${name}`);
+  }
+}
+
+/**
+ * List and extract the files in a ZIP archive. Limits are checked against
+ * the sizes in the central directory before anything is inflated, and no
+ * entry inflates past its stated size, so a small archive cannot expand
+ * into more memory than the limits allow.
+ * @param {Buffer} buffer - Archive bytes
+ * @param {object} [options] - { maxEntrySize, maxEntries, maxTotalSize,
+ *   include } where maxEntrySize skips larger entries (returned with a null
+ *   buffer), maxEntries and maxTotalSize (bytes of the entries extracted)
+ *   refuse the archive, and include(name) picks the entries to extract
+ * @returns {{name: string, buffer: Buffer|null, size: number}[]} Extracted
+ *   files (directories and entries include() leaves out are skipped)
+ * @throws {Error} With code "BAD_ZIP" when the archive cannot be read or is
+ *   over a limit
+ */
+function readZip(buffer, options = {}) {
+  const fail = (message) => {
+    const err = new Error(message);
+    err.code = "BAD_ZIP";
+    throw err;
+  };
+
+  const directory = readDirectory(buffer, fail);
+  if (options.maxEntries && directory.length > options.maxEntries) {
+    fail(
+      `ZIP has ${directory.length} entries; the limit is ${options.maxEntries}`
+    );
+  }
+
+  const wanted = directory.filter(
+    (entry) =>
+      !entry.name.endsWith("/") &&
+      (!options.include || options.include(entry.name))
+  );
+  wanted.forEach((entry) => {
+    if (entry.flags & 0x1) fail(`Encrypted ZIP entry: ${entry.name}`);
+  });
+  const kept = wanted.filter(
+    (entry) => !(options.maxEntrySize && entry.size > options.maxEntrySize)
+  );
+  const total = kept.reduce((sum, entry) => sum + entry.size, 0);
+  if (options.maxTotalSize && total > options.maxTotalSize) {
+    fail(
+      `ZIP files add up to ${Math.ceil(
+        total / 1024 / 1024
+      )} MB uncompressed; the limit is ${Math.floor(
+        options.maxTotalSize / 1024 / 1024
+      )} MB`
+    );
+  }
+
+  return wanted.map((entry) => {
+    if (!kept.includes(entry)) {
+      return { name: entry.name, buffer: null, size: entry.size };
+    }
+    const content = extract(buffer, entry, fail);
+    return { name: entry.name, buffer: content, size: content.length };
+  });
+}
+
+module.exports = {
+  readZip,
+};
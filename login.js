@@ -0,0 +1,40 @@
+(function () {
+  "use strict";
+
+  // Elements
+  const form = document.getElementById("loginForm");
+  const apiKey = document.getElementById("apiKey");
+  const submitBtn = document.getElementById("loginBtn");
+  const result = document.getElementById("loginResult");
+
+  // Page to return to: only paths on this site
+  function nextPage() {
+    const next = new URLSearchParams(window.location.search).get("next");
+    return next && next.startsWith("/") && !next.startsWith("//") ? next : "/";
+  }
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    if (!form.reportValidity()) return;
+
+    result.textContent = "Signing in...";
+    submitBtn.disabled = true;
+    try {
+      const res = await fetch("/login", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ apiKey: apiKey.value.trim() }),
+      });
+      const json = await res.json();
+      if (!json.success) {
+        result.textContent = json.reason || "Sign-in failed.";
+        return;
+      }
+      window.location.href = nextPage();
+    } catch (err) {
+      result.textContent = "Network error while signing in.";
+    } finally {
+      submitBtn.disabled = false;
+    }
+  });
+})();
@@ -0,0 +1,252 @@
+(function () {
+  "use strict";
+
+  // Field metadata
+  const FIELD_LABELS = {
+    brandName: "Brand Name",
+    productClass: "Product Class",
+    alcoholContent: "Alcohol Content",
+    netContents: "Net Contents",
+    healthWarning: "Government Health Warning",
+  };
+
+  // Elements
+  const queue = document.getElementById("queue");
+  const queueStatus = document.getElementById("queueStatus");
+  const refreshBtn = document.getElementById("refreshQueue");
+  const detail = document.getElementById("reviewDetail");
+  const title = document.getElementById("reviewTitle");
+  const image = document.getElementById("reviewImage");
+  const ocrText = document.getElementById("ocrText");
+  const requestComment = document.getElementById("requestComment");
+  const fieldOverrides = document.getElementById("fieldOverrides");
+  const ruleOverrides = document.getElementById("ruleOverrides");
+  const form = document.getElementById("reviewForm");
+  const reviewerInput = document.getElementById("reviewer");
+  const commentInput = document.getElementById("reviewComment");
+  const reviewResult = document.getElementById("reviewResult");
+
+  let current = null;
+
+  // Load the queue for the selected status
+  async function loadQueue() {
+    queue.textContent = "Loading...";
+    try {
+      const res = await fetch(`/reviews?status=${queueStatus.value}`);
+      const json = await res.json();
+      queue.innerHTML = "";
+      if (!json.success || json.reviews.length === 0) {
+        queue.textContent = json.reason || "No reviews in this queue.";
+        return;
+      }
+      json.reviews.forEach((item) => {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "queue-item";
+        const brand =
+          (item.submittedFields && item.submittedFields.brandName) ||
+          "(no brand)";
+        btn.textContent = `${brand} — requested ${new Date(
+          item.review.requestedAt
+        ).toLocaleString()}`;
+        btn.addEventListener("click", () => openSubmission(item.id));
+        queue.appendChild(btn);
+      });
+    } catch (err) {
+      queue.textContent = "Network error while loading the queue.";
+    }
+  }
+
+  // One row per checked field with a pass/fail override and comment
+  function overrideRow(field, submission) {
+    const { labelChecks, submittedFields, review } = submission;
+    const machinePass = labelChecks.found.includes(field);
+    const existing = review.overrides && review.overrides[field];
+
+    const row = document.createElement("div");
+    row.className = "status-row override-row";
+
+    const left = document.createElement("div");
+    left.textContent = `${FIELD_LABELS[field] || field}: ${
+      submittedFields[field] || ""
+    } (verifier: ${machinePass ? "✅ found" : "❌ missing"})`;
+
+    const select = document.createElement("select");
+    select.name = `${field}.status`;
+    ["pass", "fail"].forEach((value) => {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = value === "pass" ? "Pass" : "Fail";
+      select.appendChild(opt);
+    });
+    select.value = existing ? existing.status : machinePass ? "pass" : "fail";
+
+    const comment = document.createElement("input");
+    comment.type = "text";
+    comment.name = `${field}.comment`;
+    comment.placeholder = "Comment";
+    comment.value = (existing && existing.comment) || "";
+
+    row.appendChild(left);
+    row.appendChild(select);
+    row.appendChild(comment);
+    return row;
+  }
+
+  // Failed error-severity rules, which fail the label unless overridden;
+  // a requiredField rule follows the override of its field
+  function overridableRules(submission) {
+    const existing = submission.review.ruleOverrides || {};
+    return (submission.labelChecks.rules || []).filter(
+      (rule) =>
+        existing[rule.id] ||
+        (!rule.passed &&
+          rule.severity === "error" &&
+          rule.type !== "requiredField")
+    );
+  }
+
+  // One row per failed rule with a pass/fail override and comment
+  function ruleRow(rule, submission) {
+    const existing =
+      submission.review.ruleOverrides &&
+      submission.review.ruleOverrides[rule.id];
+
+    const row = document.createElement("div");
+    row.className = "status-row override-row";
+
+    const left = document.createElement("div");
+    left.textContent = `Rule: ${rule.description || rule.id} (verifier: ${
+      rule.passed ? "✅ passed" : `❌ ${rule.detail}`
+    })`;
+
+    const select = document.createElement("select");
+    select.name = `rule:${rule.id}.status`;
+    ["pass", "fail"].forEach((value) => {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = value === "pass" ? "Pass" : "Fail";
+      select.appendChild(opt);
+    });
+    select.value = existing ? existing.status : rule.passed ? "pass" : "fail";
+
+    const comment = document.createElement("input");
+    comment.type = "text";
+    comment.name = `rule:${rule.id}.comment`;
+    comment.placeholder = "Comment";
+    comment.value = (existing && existing.comment) || "";
+
+    row.appendChild(left);
+    row.appendChild(select);
+    row.appendChild(comment);
+    return row;
+  }
+
+  // Show a submission for review
+  async function openSubmission(id) {
+    reviewResult.textContent = "";
+    try {
+      const res = await fetch(`/submissions/${id}`);
+      const json = await res.json();
+      if (!json.success) {
+        reviewResult.textContent = json.reason || "Could not load submission.";
+        return;
+      }
+      current = json.submission;
+    } catch (err) {
+      reviewResult.textContent = "Network error while loading submission.";
+      return;
+    }
+
+    title.textContent = `Submission ${current.id}`;
+    image.src = `/submissions/${current.id}/image`;
+    ocrText.textContent = (current.ocr && current.ocr.parsedText) || "";
+    requestComment.textContent = current.review.requestComment
+      ? `Submitter says: ${current.review.requestComment}`
+      : "";
+
+    fieldOverrides.innerHTML = "";
+    const { found, missing } = current.labelChecks;
+    [...found, ...missing].forEach((field) => {
+      fieldOverrides.appendChild(overrideRow(field, current));
+    });
+    ruleOverrides.innerHTML = "";
+    overridableRules(current).forEach((rule) => {
+      ruleOverrides.appendChild(ruleRow(rule, current));
+    });
+
+    if (!reviewerInput.readOnly) {
+      reviewerInput.value = current.review.reviewer || reviewerInput.value;
+    }
+    commentInput.value = current.review.comment || "";
+    detail.style.display = "block";
+  }
+
+  form.addEventListener("submit", async (ev) => {
+    ev.preventDefault();
+    if (!current || !form.reportValidity()) return;
+
+    const overrides = {};
+    const { found, missing } = current.labelChecks;
+    [...found, ...missing].forEach((field) => {
+      overrides[field] = {
+        status: form.elements[`${field}.status`].value,
+        comment: form.elements[`${field}.comment`].value,
+      };
+    });
+    const rules = {};
+    overridableRules(current).forEach((rule) => {
+      rules[rule.id] = {
+        status: form.elements[`rule:${rule.id}.status`].value,
+        comment: form.elements[`rule:${rule.id}.comment`].value,
+      };
+    });
+
+    try {
+      const res = await fetch(`/submissions/${current.id}/review`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          reviewer: reviewerInput.value,
+          comment: commentInput.value,
+          overrides,
+          ruleOverrides: rules,
+        }),
+      });
+      const json = await res.json();
+      if (!json.success) {
+        reviewResult.textContent = json.reason || "Could not save review.";
+        return;
+      }
+      reviewResult.textContent = `Review saved. Final status: ${json.submission.verdict.toUpperCase()}.`;
+      loadQueue();
+    } catch (err) {
+      reviewResult.textContent = "Network error while saving review.";
+    }
+  });
+
+  // With API keys the signed-in key is recorded as the reviewer, so its
+  // name replaces the free-text field
+  async function loadReviewer() {
+    try {
+      const res = await fetch("/session");
+      const json = await res.json();
+      if (!json.key) return;
+      reviewerInput.value = json.key.label || `key ${json.key.id}`;
+      reviewerInput.readOnly = true;
+      if (json.key.role !== "reviewer") {
+        const submit = document.getElementById("submitReview");
+        submit.disabled = true;
+        submit.title = "Saving a review needs a reviewer key";
+      }
+    } catch (err) {
+      // Saving reports the error
+    }
+  }
+
+  refreshBtn.addEventListener("click", loadQueue);
+  queueStatus.addEventListener("change", loadQueue);
+
+  loadQueue();
+  loadReviewer();
+})();
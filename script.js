@@ -2,8 +2,15 @@
   "use strict";
 
   // Config
-  const MAX_SIZE_BYTES = 1 * 1024 * 1024; // 1MB allowed by API
-  const ACCEPTED_TYPES = ["image/jpeg", "image/png", "image/gif"];
+  const MAX_SIZE_BYTES = 20 * 1024 * 1024; // server shrinks to the API's 1MB
+  const ACCEPTED_TYPES = [
+    "image/jpeg",
+    "image/png",
+    "image/gif",
+    "image/tiff",
+    "image/webp",
+    "image/avif",
+  ];
 
   // Elements
   const chooseBtn = document.getElementById("chooseImage");
@@ -16,6 +23,18 @@
   const thumb = document.getElementById("thumb");
   const previewArea = document.getElementById("previewArea");
   const previewInfo = document.getElementById("previewInfo");
+  // Optional extra label panels; the main image is the front panel
+  const PANEL_LABELS = { backImage: "Back label", neckImage: "Neck label" };
+  const panelInputs = Object.keys(PANEL_LABELS).map((id) =>
+    document.getElementById(id)
+  );
+
+  // Hash of the last image the server ran OCR on, so edited fields can be
+  // re-verified against its cached result without uploading it again
+  let lastOcr = { file: null, imageHash: null };
+
+  // Running verification job, kept so a page refresh can pick it up again
+  const JOB_STORAGE_KEY = "labelVerificationJob";
 
   // Message style mapping
   const messageStyles = {
@@ -40,13 +59,36 @@
     result.appendChild(div);
   }
 
-  // Utility: make a status row (label + check/X)
-  function statusRow(label, value, ok) {
+  // Utility: make a status row (label + check/X), with the match score,
+  // best-matching label text and any discrepancy explanation when known
+  function statusRow(label, value, ok, scored) {
     const el = document.createElement("div");
     el.className = "status-row";
 
     const left = document.createElement("div");
     left.textContent = value ? `${label}: ${value}` : label;
+    if (scored) {
+      const detail = document.createElement("div");
+      detail.className = "match-detail";
+      const pct = Math.round(scored.score * 100);
+      const where = scored.panel ? ` on the ${scored.panel} panel` : "";
+      detail.textContent = scored.match
+        ? `${pct}% match — label reads "${scored.match}"${where}`
+        : `${pct}% match${where}`;
+      left.appendChild(detail);
+      if (scored.explanation) {
+        const why = document.createElement("div");
+        why.className = "discrepancy";
+        why.textContent = scored.explanation;
+        left.appendChild(why);
+      }
+      if (scored.warning) {
+        const warn = document.createElement("div");
+        warn.className = "match-detail";
+        warn.textContent = `⚠ ${scored.warning}`;
+        left.appendChild(warn);
+      }
+    }
 
     const right = document.createElement("div");
     right.setAttribute("aria-hidden", "true");
@@ -58,6 +100,102 @@
     return el;
   }
 
+  // Utility: status row for one product-type rule; failed warnings are
+  // flagged without counting against the label
+  function ruleRow(rule) {
+    const el = document.createElement("div");
+    el.className = "status-row";
+
+    const left = document.createElement("div");
+    left.textContent = rule.description || rule.id;
+    const detail = document.createElement("div");
+    detail.className = rule.passed ? "match-detail" : "discrepancy";
+    detail.textContent = rule.citation
+      ? `${rule.detail} (${rule.citation})`
+      : rule.detail;
+    left.appendChild(detail);
+
+    const right = document.createElement("div");
+    right.setAttribute("aria-hidden", "true");
+    right.style.fontSize = "1.1rem";
+    right.textContent = rule.passed
+      ? "✅"
+      : rule.severity === "warning"
+      ? "⚠️"
+      : "❌";
+
+    el.appendChild(left);
+    el.appendChild(right);
+    return el;
+  }
+
+  // Show which label line a pre-filled value came from
+  function setFieldHint(key, detected) {
+    const input = document.getElementById(key);
+    const hint = document.getElementById(`${key}Hint`);
+    if (!detected) {
+      input.classList.remove("prefilled");
+      if (hint) hint.textContent = "";
+      return;
+    }
+    input.classList.add("prefilled");
+    if (hint) {
+      const pct = Math.round((detected.confidence || 0) * 100);
+      hint.textContent = `Detected on label (${pct}% confidence): "${detected.line}"`;
+    }
+  }
+
+  // Pre-fill empty form fields with values read from the label
+  async function extractFromImage(file) {
+    const fd = new FormData();
+    fd.append("imageFile", file);
+
+    showMessage("Reading label to pre-fill fields...", "info");
+    setUploading(true);
+
+    try {
+      const res = await fetch("/extract", { method: "POST", body: fd });
+      const json = await res.json();
+      if (json && json.imageHash) {
+        lastOcr = { file, imageHash: json.imageHash };
+      }
+      if (!json || !json.fields) {
+        showMessage(
+          (json && json.reason) || "Could not read label fields.",
+          "error"
+        );
+        return;
+      }
+
+      let filled = 0;
+      FIELDS.forEach((key) => {
+        const detected = json.fields[key];
+        const input = document.getElementById(key);
+        if (!detected || input.value.trim()) return;
+        input.value = detected.value;
+        setFieldHint(key, detected);
+        filled += 1;
+      });
+
+      if (filled > 0) {
+        showMessage(
+          "Fields pre-filled from the label. Please confirm or correct them, then submit.",
+          "info"
+        );
+      } else {
+        showMessage(json.reason || "No fields were pre-filled.", "info");
+      }
+    } catch (err) {
+      showMessage(
+        "Could not read label fields. Please enter them manually.",
+        "error"
+      );
+      console.error("Extract error:", err);
+    } finally {
+      setUploading(false);
+    }
+  }
+
   // Cleanly enable/disable form UI during upload
   function setUploading(isUploading) {
     chooseBtn.disabled = isUploading;
@@ -98,7 +236,7 @@
         MAX_SIZE_BYTES / 1024 / 1024
       )} MB).`;
     if (!ACCEPTED_TYPES.includes(file.type)) {
-      return "Unsupported file type. Use JPEG, PNG, or GIF.";
+      return "Unsupported file type. Use JPEG, PNG, GIF, TIFF, WebP or AVIF.";
     }
     return null;
   }
@@ -110,20 +248,36 @@
     return set;
   }
 
-  // Extract a tolerant "foundSet" / "missingSet" from server response
+  // Extract a tolerant "foundSet" / "missingSet" (plus per-field match
+  // scores when the server provides them) from server response
   function parseServerLabelChecks(resp) {
     const found = new Set();
     const missing = new Set();
+    const scores = {};
 
     try {
       if (!resp || typeof resp !== "object")
-        return { foundSet: found, missingSet: missing };
+        return { foundSet: found, missingSet: missing, scores };
 
       if (resp.labelChecks) {
         const foundSet = parseLabelChecks(resp, resp.labelChecks.found);
         const missingSet = parseLabelChecks(resp, resp.labelChecks.missing);
         foundSet.forEach((k) => found.add(k));
         missingSet.forEach((k) => missing.add(k));
+        const fields = resp.labelChecks.fields || {};
+        // Name the panel a field was found on when there are several
+        const multiPanel = (resp.labelChecks.panels || []).length > 1;
+        Object.keys(fields).forEach((k) => {
+          if (fields[k] && typeof fields[k].score === "number") {
+            scores[k] = {
+              score: fields[k].score,
+              match: fields[k].match,
+              explanation: fields[k].explanation,
+              warning: fields[k].warning,
+              panel: multiPanel && fields[k].found ? fields[k].panel : null,
+            };
+          }
+        });
       } else if (resp.fields && typeof resp.fields === "object") {
         Object.keys(resp.fields).forEach((k) => {
           const val = resp.fields[k];
@@ -146,15 +300,19 @@
       // swallow and return empty sets
     }
 
-    return { foundSet: found, missingSet: missing };
+    return { foundSet: found, missingSet: missing, scores };
   }
 
   // Field metadata
-  const FIELDS = ["brandName", "productClass", "alcoholContent"];
+  const FIELDS = ["brandName", "productClass", "alcoholContent", "netContents"];
+  // Optional checks turned on by a checkbox rather than a typed value
+  const CHECK_FIELDS = ["healthWarning"];
   const FIELD_LABELS = {
     brandName: "Brand Name",
     productClass: "Product Class",
     alcoholContent: "Alcohol Content",
+    netContents: "Net Contents",
+    healthWarning: "Government Health Warning",
   };
 
   // Show message for response
@@ -204,12 +362,256 @@
     // Append per-field rows
     FIELDS.forEach((key) => {
       const val = formValues[key] || "";
-      const { foundSet, missingSet } = labelChecks;
+      const { foundSet, missingSet, scores } = labelChecks;
       const ok = foundSet.has(key) && !missingSet.has(key);
-      container.appendChild(statusRow(FIELD_LABELS[key], val, ok));
+      container.appendChild(statusRow(FIELD_LABELS[key], val, ok, scores[key]));
+    });
+    CHECK_FIELDS.forEach((key) => {
+      const { foundSet, missingSet, scores } = labelChecks;
+      if (!foundSet.has(key) && !missingSet.has(key)) return;
+      const ok = foundSet.has(key) && !missingSet.has(key);
+      container.appendChild(statusRow(FIELD_LABELS[key], "", ok, scores[key]));
+    });
+
+    const rules =
+      respJson && respJson.labelChecks && respJson.labelChecks.rules;
+    (rules || []).forEach((rule) => container.appendChild(ruleRow(rule)));
+
+    const panels = (respJson && respJson.panels) || [];
+    const multiPanel = panels.length > 1;
+    const adjusted = multiPanel
+      ? panels.map((p) => ({
+          label: `${p.panel} panel`,
+          normalization: p.imageNormalization,
+        }))
+      : [
+          {
+            label: "Image",
+            normalization: respJson && respJson.imageNormalization,
+          },
+        ];
+    adjusted.forEach(({ label, normalization }) => {
+      const changes = normalization && normalization.changes;
+      if (!changes || changes.length === 0) return;
+      const note = document.createElement("div");
+      note.className = "note";
+      note.textContent = `${label} adjusted before reading: ${changes.join(
+        "; "
+      )}.`;
+      container.appendChild(note);
     });
 
     result.appendChild(container);
+
+    const boxes =
+      respJson && respJson.labelChecks && respJson.labelChecks.boxes;
+    // One view per panel, each with the boxes found on it
+    if (multiPanel && boxes && respJson.submissionId) {
+      panels.forEach(({ panel }) => {
+        const panelBoxes = {};
+        Object.keys(boxes).forEach((key) => {
+          const onPanel = boxes[key].filter((b) => b.panel === panel);
+          if (onPanel.length > 0) panelBoxes[key] = onPanel;
+        });
+        if (Object.keys(panelBoxes).length === 0) return;
+        result.appendChild(
+          labelOverlay(
+            `/submissions/${respJson.submissionId}/image?panel=${panel}`,
+            panelBoxes,
+            labelChecks,
+            panel
+          )
+        );
+      });
+    }
+    // Boxes are in the coordinates of the image the server read, so show
+    // the stored copy when it was rotated or resized (or after a refresh)
+    const normalized =
+      respJson &&
+      respJson.imageNormalization &&
+      respJson.imageNormalization.changed;
+    const imageSrc =
+      respJson &&
+      respJson.submissionId &&
+      (normalized || !thumb.getAttribute("src"))
+        ? `/submissions/${respJson.submissionId}/image`
+        : thumb.getAttribute("src");
+    if (!multiPanel && boxes && Object.keys(boxes).length > 0 && imageSrc) {
+      result.appendChild(labelOverlay(imageSrc, boxes, labelChecks));
+    }
+
+    if (respJson && respJson.success === false && respJson.submissionId) {
+      result.appendChild(reviewRequestPanel(respJson.submissionId, formValues));
+    }
+    if (respJson && respJson.submissionId) {
+      result.appendChild(reportLink(respJson.submissionId));
+    }
+  }
+
+  // Link to the printable report of a saved verification
+  function reportLink(submissionId) {
+    const note = document.createElement("div");
+    note.className = "note";
+    const link = document.createElement("a");
+    link.href = `/submissions/${submissionId}/report`;
+    link.target = "_blank";
+    link.rel = "noopener";
+    link.textContent = "Printable report";
+    note.appendChild(link);
+    return note;
+  }
+
+  // Full-size label image with color-coded boxes over the matched words
+  function labelOverlay(src, boxes, { foundSet }, panel) {
+    const view = document.createElement("div");
+    view.className = "label-view";
+
+    const img = document.createElement("img");
+    img.alt = panel
+      ? `${panel} panel with matched text highlighted`
+      : "Label with matched text highlighted";
+    img.src = src;
+    view.appendChild(img);
+
+    // Box coordinates are in image pixels; position them as percentages
+    // once the natural size is known so they scale with the view
+    img.addEventListener("load", () => {
+      const w = img.naturalWidth;
+      const h = img.naturalHeight;
+      if (!w || !h) return;
+      Object.keys(boxes).forEach((key) => {
+        const ok = foundSet.has(key);
+        boxes[key]
+          .filter((b) => !b.page)
+          .forEach((b) => {
+            const el = document.createElement("div");
+            el.className = `label-box ${ok ? "match" : "mismatch"}`;
+            el.title = `${FIELD_LABELS[key] || key}: ${b.text || ""}`;
+            Object.assign(el.style, {
+              left: `${(b.left / w) * 100}%`,
+              top: `${(b.top / h) * 100}%`,
+              width: `${(b.width / w) * 100}%`,
+              height: `${(b.height / h) * 100}%`,
+            });
+            view.appendChild(el);
+          });
+      });
+    });
+
+    const legend = document.createElement("div");
+    legend.className = "note";
+    legend.textContent = `Green: text matched a field${
+      panel ? ` on the ${panel} panel` : ""
+    }. Red: partial match for a field that was not found.`;
+
+    const wrapper = document.createElement("div");
+    wrapper.appendChild(view);
+    wrapper.appendChild(legend);
+    return wrapper;
+  }
+
+  // "Request human review" action for failed verifications
+  function reviewRequestPanel(submissionId, formValues) {
+    const panel = document.createElement("div");
+    panel.className = "review-panel";
+
+    const comment = document.createElement("textarea");
+    comment.placeholder = "Why do you think this result is wrong? (optional)";
+    comment.rows = 2;
+
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.textContent = "Request human review";
+
+    const status = document.createElement("div");
+    status.className = "note";
+
+    btn.addEventListener("click", async () => {
+      btn.disabled = true;
+      try {
+        const res = await fetch(`/submissions/${submissionId}/review-request`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ comment: comment.value }),
+        });
+        const json = await res.json();
+        if (!json.success) {
+          status.textContent = json.reason || "Could not request review.";
+          btn.disabled = false;
+          return;
+        }
+        comment.remove();
+        btn.remove();
+        status.textContent =
+          "Human review requested. Check back here for the reviewer's decision.";
+        panel.appendChild(reviewStatusButton(submissionId, formValues, status));
+      } catch (err) {
+        status.textContent = "Network error while requesting review.";
+        btn.disabled = false;
+      }
+    });
+
+    panel.appendChild(comment);
+    panel.appendChild(btn);
+    panel.appendChild(status);
+    return panel;
+  }
+
+  // Button that fetches the submission and shows the reviewed result
+  function reviewStatusButton(submissionId, formValues, status) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.textContent = "Check review status";
+
+    btn.addEventListener("click", async () => {
+      try {
+        const res = await fetch(`/submissions/${submissionId}`);
+        const json = await res.json();
+        const review = json.submission && json.submission.review;
+        if (!review || review.status !== "completed") {
+          status.textContent = "Review is still pending.";
+          return;
+        }
+        renderReviewedResult(json.submission, formValues);
+      } catch (err) {
+        status.textContent = "Network error while checking review status.";
+      }
+    });
+
+    return btn;
+  }
+
+  // Show the final status after a human reviewer has decided
+  function renderReviewedResult(submission, formValues) {
+    const { review } = submission;
+    const passed = submission.verdict === "pass";
+    showMessage(
+      passed
+        ? "A reviewer approved this label."
+        : "A reviewer confirmed this label does not match.",
+      passed ? "success" : "error"
+    );
+
+    const found = new Set(review.labelChecks.found);
+    [...FIELDS, ...CHECK_FIELDS].forEach((key) => {
+      if (!found.has(key) && !review.labelChecks.missing.includes(key)) return;
+      const value = FIELDS.includes(key) ? formValues[key] : "";
+      const row = statusRow(FIELD_LABELS[key], value, found.has(key));
+      const override = review.overrides && review.overrides[key];
+      if (override && override.comment) {
+        row.title = `Reviewer: ${override.comment}`;
+        row.firstChild.textContent += ` — ${override.comment}`;
+      }
+      result.appendChild(row);
+    });
+
+    if (review.comment) {
+      const note = document.createElement("div");
+      note.className = "note";
+      note.textContent = `Reviewer comment: ${review.comment}`;
+      result.appendChild(note);
+    }
+    result.appendChild(reportLink(submission.id));
   }
 
   // Event handlers
@@ -217,14 +619,81 @@
 
   clearBtn.addEventListener("click", () => {
     fileInput.value = "";
+    lastOcr = { file: null, imageHash: null };
     updateSelectedFileUI(null);
   });
 
   fileInput.addEventListener("change", () => {
     const f = fileInput.files && fileInput.files[0];
     updateSelectedFileUI(f);
+    if (f && !validateFile(f)) extractFromImage(f);
   });
 
+  // Once the user edits a pre-filled value it is no longer a guess
+  FIELDS.forEach((key) => {
+    document
+      .getElementById(key)
+      .addEventListener("input", () => setFieldHint(key, null));
+  });
+
+  // Follow a verification job until it finishes, showing each stage.
+  // Resolves with the job's result (the same body /upload returns).
+  function followJob(jobId) {
+    return new Promise((resolve, reject) => {
+      const finish = async () => {
+        source.close();
+        try {
+          const res = await fetch(`/jobs/${jobId}`);
+          const json = await res.json();
+          if (!json.success) {
+            reject(new Error(json.reason || "Job not found"));
+          } else if (json.job.result) {
+            resolve(json.job.result);
+          } else {
+            // Stream dropped before the job finished: keep polling
+            setTimeout(() => followJob(jobId).then(resolve, reject), 2000);
+          }
+        } catch (err) {
+          reject(err);
+        }
+      };
+
+      const source = new EventSource(`/jobs/${jobId}/events`);
+      ["queued", "running", "ocr", "verifying"].forEach((stage) => {
+        source.addEventListener(stage, (ev) => {
+          const event = JSON.parse(ev.data);
+          showMessage(`${event.message}...`, "info");
+        });
+      });
+      source.addEventListener("done", finish);
+      source.addEventListener("failed", finish);
+      source.onerror = () => {
+        // The browser reconnects on its own unless the stream is closed
+        if (source.readyState === EventSource.CLOSED) finish();
+      };
+    });
+  }
+
+  // Show a job's result and forget it
+  async function completeJob(jobId, formValues, file) {
+    try {
+      const json = await followJob(jobId);
+      if (json.imageHash && file) {
+        lastOcr = { file, imageHash: json.imageHash };
+      }
+      renderVerification(json, formValues);
+    } catch (err) {
+      showMessage(
+        "Lost track of the verification. Please submit the label again.",
+        "error"
+      );
+      console.error("Job error:", err);
+    } finally {
+      localStorage.removeItem(JOB_STORAGE_KEY);
+      setUploading(false);
+    }
+  }
+
   // Submit handler
   form.addEventListener("submit", async (ev) => {
     if (!form.reportValidity()) return;
@@ -237,6 +706,9 @@
       brandName: String(fd.get("brandName") || "").trim(),
       productClass: String(fd.get("productClass") || "").trim(),
       alcoholContent: String(fd.get("alcoholContent") || "").trim(),
+      netContents: String(fd.get("netContents") || "").trim(),
+      healthWarning: fd.get("healthWarning") ? "on" : "",
+      commodity: String(fd.get("commodity") || ""),
     };
 
     const file = fileInput.files && fileInput.files[0];
@@ -246,18 +718,54 @@
       return;
     }
 
-    showMessage("Uploading image and verifying label — uploading...", "info");
+    // Panels left empty are not sent
+    const extraPanels = panelInputs.filter(
+      (input) => input.files && input.files[0]
+    );
+    panelInputs
+      .filter((input) => !extraPanels.includes(input))
+      .forEach((input) => fd.delete(input.name));
+    for (const input of extraPanels) {
+      const panelError = validateFile(input.files[0]);
+      if (panelError) {
+        showMessage(`${PANEL_LABELS[input.id]}: ${panelError}`, "error");
+        return;
+      }
+    }
+
+    // The cached OCR result covers the front image only
+    const canReverify =
+      extraPanels.length === 0 && lastOcr.imageHash && lastOcr.file === file;
+    showMessage(
+      canReverify
+        ? "Verifying label against the previously read image..."
+        : "Uploading image and verifying label — uploading...",
+      "info"
+    );
     setUploading(true);
 
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), 90_000);
 
     try {
-      const res = await fetch(form.action || "/upload", {
-        method: "POST",
-        body: fd,
-        signal: controller.signal,
-      });
+      let res = null;
+      if (canReverify) {
+        res = await fetch(`/verify/${lastOcr.imageHash}`, {
+          method: "POST",
+          body: new URLSearchParams(formValues),
+          signal: controller.signal,
+        });
+        // Cached result expired: fall back to a full upload
+        if (res.status === 404) res = null;
+      }
+      if (!res) {
+        // Upload starts a background job; OCR progress is streamed after
+        res = await fetch("/jobs", {
+          method: "POST",
+          body: fd,
+          signal: controller.signal,
+        });
+      }
       clearTimeout(timeoutId);
 
       const text = await res.text();
@@ -268,6 +776,17 @@
         showMessage("Unexpected server response. Please try again.", "error");
         return;
       }
+      if (json.jobId) {
+        localStorage.setItem(
+          JOB_STORAGE_KEY,
+          JSON.stringify({ jobId: json.jobId, formValues })
+        );
+        await completeJob(json.jobId, formValues, file);
+        return;
+      }
+      if (json.imageHash) {
+        lastOcr = { file, imageHash: json.imageHash };
+      }
       renderVerification(json, formValues);
     } catch (err) {
       clearTimeout(timeoutId);
@@ -292,4 +811,20 @@
   if (fileInput.files && fileInput.files[0]) {
     updateSelectedFileUI(fileInput.files[0]);
   }
+
+  // Pick up a verification that was still running when the page reloaded
+  const pendingJob = JSON.parse(
+    localStorage.getItem(JOB_STORAGE_KEY) || "null"
+  );
+  if (pendingJob) {
+    Object.entries(pendingJob.formValues).forEach(([key, value]) => {
+      const input = document.getElementById(key);
+      if (!input) return;
+      if (input.type === "checkbox") input.checked = Boolean(value);
+      else input.value = value;
+    });
+    showMessage("Resuming label verification...", "info");
+    setUploading(true);
+    completeJob(pendingJob.jobId, pendingJob.formValues, null);
+  }
 })();
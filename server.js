@@ -4,20 +4,145 @@ const path = require("path");
 require("dotenv").config();
 
 const upload = require("./lib/multer-config");
+const batchUpload = require("./lib/batch-multer-config");
 const { createUploadMiddleware } = require("./lib/upload-handler");
-const { processOcrResponse } = require("./lib/upload-processor");
+const {
+  PANEL_FIELDS,
+  uploadedPanels,
+  processOcrResponse,
+  processReverifyResponse,
+  processExtractResponse,
+} = require("./lib/upload-processor");
+const {
+  listSubmissions,
+  getSubmission,
+  getSubmissionImage,
+} = require("./lib/submission-handler");
+const { getSubmissionReport } = require("./lib/report-handler");
+const { createJob, getJob, streamJobEvents } = require("./lib/job-handler");
+const {
+  BATCH_FIELDS,
+  manifestRowCount,
+  processBatchResponse,
+  getBatch,
+} = require("./lib/batch-processor");
+const {
+  requestReview,
+  listReviews,
+  submitReview,
+} = require("./lib/review-handler");
+const {
+  authenticate,
+  login,
+  logout,
+  getSession,
+  requireRole,
+} = require("./lib/auth-handler");
+const { requestContext, getMetrics } = require("./lib/observability-handler");
+const { getHealth, getReadiness } = require("./lib/health-handler");
+const {
+  apiJsonBody,
+  apiErrors,
+  getOpenApi,
+  requestedImageCount,
+  verifyLabel,
+} = require("./lib/api-handler");
+const {
+  createWebhook,
+  listWebhooks,
+  deleteWebhook,
+  pingWebhook,
+  listDeliveries,
+} = require("./lib/webhook-handler");
+const { logger } = require("./lib/logger");
+const { createRateLimiter } = require("./lib/rate-limiter");
+const {
+  createRateLimitMiddleware,
+  checkOcrBudget,
+  getOcrBudget,
+} = require("./lib/quota-handler");
 
 const app = express();
 const port = process.env.PORT || 80;
 
-// POST /upload - file upload and label verification
+// Behind a reverse proxy, TRUST_PROXY (e.g. 1 or loopback) makes req.ip the
+// real client address, which the rate limits key on
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set("trust proxy", /^\d+$/.test(trust) ? parseInt(trust, 10) : trust);
+}
+
+// Request id, access log and HTTP metrics for every request
+app.use(requestContext);
+
+// Static files and index.html, served without signing in. Only the UI files
+// are served: the app directory also holds .env and the data/ submission
+// store.
+const STATIC_FILES = [
+  "/index.html",
+  "/script.js",
+  "/styles.css",
+  "/review.html",
+  "/review.js",
+  "/batch.html",
+  "/batch.js",
+  "/login.html",
+  "/login.js",
+  "/session.js",
+];
+const serveStatic = express.static(__dirname);
+app.use((req, res, next) =>
+  STATIC_FILES.includes(req.path) ? serveStatic(req, res, next) : next()
+);
+
+app.get("/", (req, res) => {
+  const indexPath = path.join(__dirname, "index.html");
+  res.sendFile(indexPath, (err) => {
+    if (err) res.status(404).send("index.html not found");
+  });
+});
+
+// Sign-in for the web pages; every route after authenticate needs an API key
+// or session once keys have been created
+app.post(
+  "/login",
+  express.json(),
+  express.urlencoded({ extended: true }),
+  asyncRoute("/login", login)
+);
+app.post("/logout", asyncRoute("/logout", logout));
+app.get("/session", asyncRoute("/session", getSession));
+
+// Prometheus metrics, for the scraper rather than tenants (METRICS_TOKEN
+// protects it)
+app.get("/metrics", asyncRoute("/metrics", getMetrics));
+
+// Liveness and readiness for the load balancer
+app.get("/healthz", asyncRoute("/healthz", getHealth));
+app.get("/readyz", asyncRoute("/readyz", getReadiness));
+
+// Contract of the JSON API, readable before a client has a key
+app.get("/api/v1/openapi.json", asyncRoute("/api/v1/openapi.json", getOpenApi));
+
+app.use(authenticate);
+
+// Routes that spend OCR calls are refused while the OCR budget is used up
+// (checkOcrBudget), and limited per client once the upload is received,
+// charging one per label image read
+const rateLimited = createRateLimitMiddleware(createRateLimiter());
+const panelCount = (req) => uploadedPanels(req).length;
+
+// POST /upload - file upload and label verification; the label image
+// (imageFile) may be joined by backImage and neckImage panels
 app.post(
   "/upload",
-  createUploadMiddleware(upload),
+  checkOcrBudget,
+  createUploadMiddleware(upload, PANEL_FIELDS),
   express.urlencoded({ extended: true }),
+  rateLimited(panelCount),
   async (req, res) => {
     try {
-      if (!req.file) {
+      if (uploadedPanels(req).length === 0) {
         return res.status(400).json({
           success: false,
           reason: "Please select an image file to upload.",
@@ -31,18 +156,152 @@ app.post(
           reason: "Uploaded file is not an image",
         });
       }
-      console.error(
-        "Unexpected error in /upload:",
-        err && err.stack ? err.stack : err
-      );
+      req.log.error("Unexpected error", { route: "/upload", err });
+      res.status(500).json({
+        success: false,
+        reason: "Internal server error",
+        requestId: req.id,
+      });
+    }
+  }
+);
+
+// POST /api/v1/verify - JSON API for other systems: label fields plus
+// base64 or server-side panel images, validated against the OpenAPI document
+app.post(
+  "/api/v1/verify",
+  checkOcrBudget,
+  apiJsonBody,
+  rateLimited(requestedImageCount),
+  asyncRoute("/api/v1/verify", verifyLabel),
+  apiErrors
+);
+
+// POST /verify/:imageHash - re-verify edited fields against a cached OCR result
+app.post(
+  "/verify/:imageHash",
+  express.urlencoded({ extended: true }),
+  express.json(),
+  async (req, res) => {
+    try {
+      await processReverifyResponse(req, res);
+    } catch (err) {
+      req.log.error("Unexpected error", { route: "/verify", err });
       res.status(500).json({
         success: false,
         reason: "Internal server error",
+        requestId: req.id,
       });
     }
   }
 );
 
+// POST /extract - read label fields from the image for the user to confirm
+app.post(
+  "/extract",
+  checkOcrBudget,
+  createUploadMiddleware(upload),
+  rateLimited(),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          reason: "Please select an image file to upload.",
+        });
+      }
+      await processExtractResponse(req, res);
+    } catch (err) {
+      req.log.error("Unexpected error", { route: "/extract", err });
+      res.status(500).json({
+        success: false,
+        reason: "Internal server error",
+        requestId: req.id,
+      });
+    }
+  }
+);
+
+/**
+ * Wrap an async route handler with the standard 500 response
+ */
+function asyncRoute(name, handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (err) {
+      req.log.error("Unexpected error", { route: name, err });
+      res.status(500).json({
+        success: false,
+        reason: "Internal server error",
+        requestId: req.id,
+      });
+    }
+  };
+}
+
+// GET /submissions - audit trail, filterable by verdict and date
+app.get("/submissions", asyncRoute("/submissions", listSubmissions));
+app.get("/submissions/:id", asyncRoute("/submissions/:id", getSubmission));
+app.get(
+  "/submissions/:id/image",
+  asyncRoute("/submissions/:id/image", getSubmissionImage)
+);
+// Printable report of one verification (?download=1 to save it)
+app.get(
+  "/submissions/:id/report",
+  asyncRoute("/submissions/:id/report", getSubmissionReport)
+);
+
+// Asynchronous verification jobs with progress streaming
+app.post(
+  "/jobs",
+  checkOcrBudget,
+  createUploadMiddleware(upload, PANEL_FIELDS),
+  rateLimited(panelCount),
+  asyncRoute("/jobs", createJob)
+);
+app.get("/jobs/:id", asyncRoute("/jobs/:id", getJob));
+app.get("/jobs/:id/events", asyncRoute("/jobs/:id/events", streamJobEvents));
+
+// Batch verification: a manifest plus many images or a ZIP
+app.post(
+  "/batch",
+  checkOcrBudget,
+  createUploadMiddleware(batchUpload, BATCH_FIELDS),
+  rateLimited(manifestRowCount),
+  asyncRoute("/batch", processBatchResponse)
+);
+app.get("/batches/:id", asyncRoute("/batches/:id", getBatch));
+
+// OCR calls used against the daily and monthly budget
+app.get("/ocr-budget", asyncRoute("/ocr-budget", getOcrBudget));
+
+// Human review queue
+app.post(
+  "/submissions/:id/review-request",
+  express.json(),
+  express.urlencoded({ extended: true }),
+  asyncRoute("/submissions/:id/review-request", requestReview)
+);
+app.get("/reviews", asyncRoute("/reviews", listReviews));
+app.post(
+  "/submissions/:id/review",
+  requireRole("reviewer"),
+  express.json(),
+  asyncRoute("/submissions/:id/review", submitReview)
+);
+
+// Webhooks called when a verification or review completes
+app.post("/webhooks", express.json(), asyncRoute("/webhooks", createWebhook));
+app.get("/webhooks", asyncRoute("/webhooks", listWebhooks));
+app.delete("/webhooks/:id", asyncRoute("/webhooks/:id", deleteWebhook));
+app.post("/webhooks/:id/ping", asyncRoute("/webhooks/:id/ping", pingWebhook));
+app.get(
+  "/webhooks/:id/deliveries",
+  asyncRoute("/webhooks/:id/deliveries", listDeliveries)
+);
+
 // Error handler middleware
 app.use((err, req, res, next) => {
   if (err instanceof require("multer").MulterError) {
@@ -51,23 +310,14 @@ app.use((err, req, res, next) => {
       reason: "File upload error. Please try again.",
     });
   }
-  console.error("Unexpected error:", err && err.stack ? err.stack : err);
+  (req.log || logger).error("Unexpected error", { err });
   res.status(500).json({
     success: false,
     reason: "Server error. Please try again.",
-  });
-});
-
-// Static files and index.html
-app.use(express.static(__dirname));
-
-app.get("/", (req, res) => {
-  const indexPath = path.join(__dirname, "index.html");
-  res.sendFile(indexPath, (err) => {
-    if (err) res.status(404).send("index.html not found");
+    requestId: req.id,
   });
 });
 
 app.listen(port, () => {
-  console.log(`Server listening on port ${port}`);
+  logger.info("Server listening", { port });
 });
@@ -0,0 +1,52 @@
+(function () {
+  "use strict";
+
+  // Shared by the pages: once the server requires API keys, send visitors
+  // without a session to the sign-in page and show who is signed in
+
+  const main = document.querySelector("main");
+
+  // "Signed in as <tenant> (<key>, <role>)" with a sign-out button, above
+  // the page heading
+  function sessionBar(tenant, key) {
+    const bar = document.createElement("div");
+    bar.className = "session-bar";
+
+    const who = document.createElement("span");
+    who.textContent = `Signed in as ${tenant.name}${
+      key ? ` (${key.label || `key ${key.id}`}, ${key.role})` : ""
+    }`;
+    bar.appendChild(who);
+
+    const signOut = document.createElement("button");
+    signOut.type = "button";
+    signOut.textContent = "Sign out";
+    signOut.addEventListener("click", async () => {
+      try {
+        await fetch("/logout", { method: "POST" });
+      } finally {
+        window.location.href = "/login.html";
+      }
+    });
+    bar.appendChild(signOut);
+    main.insertBefore(bar, main.firstChild);
+  }
+
+  async function checkSession() {
+    try {
+      const res = await fetch("/session");
+      const json = await res.json();
+      if (!json.authRequired) return;
+      if (!json.tenant) {
+        const next = window.location.pathname + window.location.search;
+        window.location.href = `/login.html?next=${encodeURIComponent(next)}`;
+        return;
+      }
+      sessionBar(json.tenant, json.key);
+    } catch (err) {
+      // The page's own requests report the error
+    }
+  }
+
+  checkSession();
+})();
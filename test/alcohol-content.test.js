@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+
+process.env.OCR_PROVIDER = "replay";
+process.env.LOG_LEVEL = "error";
+
+const { checkAlcoholContent } = require("../lib/alcohol-content");
+const {
+  extractRequestData,
+  verifySubmission,
+} = require("../lib/upload-processor");
+
+/**
+ * A label image from fixtures/images as an upload
+ */
+function labelImage(name) {
+  return {
+    buffer: fs.readFileSync(
+      path.join(__dirname, "..", "fixtures", "images", name)
+    ),
+    filename: name,
+    mimetype: "image/png",
+  };
+}
+
+test("matching ABV and proof score 1", () => {
+  const check = checkAlcoholContent("45% Alc./Vol. (90 Proof)", "45");
+  assert.strictEqual(check.found, true);
+  assert.strictEqual(check.score, 1);
+});
+
+test("ABV and proof that disagree lower the score", () => {
+  const check = checkAlcoholContent("45% Alc./Vol. (80 Proof)", "45");
+  assert.strictEqual(check.found, false);
+  assert.strictEqual(check.score, 0.5);
+  assert.strictEqual(
+    check.explanation,
+    "Label states 80 proof (40% ABV) but 45% alcohol by volume"
+  );
+});
+
+test("a label whose proof contradicts its ABV fails offline", async () => {
+  const { status, body } = await verifySubmission(
+    labelImage("bourbon-proof-mismatch.png"),
+    extractRequestData({
+      brandName: "OLD TOM'S",
+      productClass: "Kentucky Straight Bourbon Whiskey",
+      alcoholContent: "45",
+      netContents: "750 mL",
+      healthWarning: "true",
+      commodity: "spirits",
+    }),
+    { save: false }
+  );
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.success, false);
+  assert.deepStrictEqual(body.labelChecks.missing, ["alcoholContent"]);
+  assert.ok(body.labelChecks.fields.alcoholContent.score < 1);
+});
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ocr-label-auth-"));
+process.env.TENANTS_FILE = path.join(dir, "tenants.json");
+process.env.LOG_LEVEL = "error";
+
+const { tenantStore } = require("../lib/tenant-store");
+const { authenticate, requireRole } = require("../lib/auth-handler");
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+tenantStore.addTenant("acme");
+const submitterKey = tenantStore.createKey("acme", "CI pipeline");
+const reviewerKey = tenantStore.createKey("acme", "Pat Lee", "reviewer");
+
+/**
+ * Run a middleware on a request (by default one carrying an API key) and a
+ * response recording what was sent
+ */
+function call(
+  middleware,
+  key,
+  req = { get: (name) => (name === "X-API-Key" ? key : undefined) }
+) {
+  const res = {
+    statusCode: null,
+    body: null,
+    set() {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  let passed = false;
+  middleware(req, res, () => {
+    passed = true;
+  });
+  return { req, res, passed };
+}
+
+test("keys are submitter keys unless created as reviewer keys", () => {
+  assert.strictEqual(submitterKey.role, "submitter");
+  assert.strictEqual(reviewerKey.role, "reviewer");
+  assert.throws(() => tenantStore.createKey("acme", "x", "admin"), {
+    code: "BAD_TENANT",
+  });
+});
+
+test("authenticate sets the key with its role", () => {
+  const { req, passed } = call(authenticate, reviewerKey.key);
+  assert.strictEqual(passed, true);
+  assert.strictEqual(req.tenant.id, "acme");
+  assert.deepStrictEqual(
+    { id: req.apiKey.id, label: req.apiKey.label, role: req.apiKey.role },
+    { id: reviewerKey.id, label: "Pat Lee", role: "reviewer" }
+  );
+});
+
+test("requireRole refuses keys without the role", () => {
+  for (const [key, allowed] of [
+    [submitterKey.key, false],
+    [reviewerKey.key, true],
+  ]) {
+    const { req } = call(authenticate, key);
+    const { res, passed } = call(requireRole("reviewer"), null, req);
+    assert.strictEqual(passed, allowed, key);
+    assert.strictEqual(res.statusCode, allowed ? null : 403);
+  }
+});
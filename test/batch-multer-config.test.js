@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ocr-label-batch-"));
+process.env.SUBMISSIONS_DIR = dir;
+process.env.OCR_PROVIDER = "replay";
+process.env.LOG_LEVEL = "error";
+process.env.BATCH_MAX_ROWS = "3";
+process.env.BATCH_MAX_TOTAL_MB = "1";
+
+const batchUpload = require("../lib/batch-multer-config");
+const { BATCH_FIELDS } = require("../lib/batch-processor");
+const { createUploadMiddleware } = require("../lib/upload-handler");
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * POST images to a one-route app behind the batch upload middleware
+ * @param {number[]} sizes - Size in bytes of each image
+ * @returns {Promise<{status: number, body: object}>} The answer
+ */
+async function uploadImages(sizes) {
+  const app = express();
+  app.post(
+    "/batch",
+    createUploadMiddleware(batchUpload, BATCH_FIELDS),
+    (req, res) => res.json({ success: true, received: req.files.images.length })
+  );
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  try {
+    const form = new FormData();
+    sizes.forEach((size, i) =>
+      form.append(
+        "images",
+        new Blob([Buffer.alloc(size)], { type: "image/png" }),
+        `${i}.png`
+      )
+    );
+    const { port } = server.address();
+    const res = await fetch(`http://127.0.0.1:${port}/batch`, {
+      method: "POST",
+      body: form,
+    });
+    return { status: res.status, body: await res.json() };
+  } finally {
+    server.close();
+  }
+}
+
+test("images within the limits are received", async () => {
+  const { status, body } = await uploadImages([1000, 1000, 1000]);
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.received, 3);
+});
+
+test("no more images than manifest rows are accepted", async () => {
+  const { status, body } = await uploadImages([1000, 1000, 1000, 1000]);
+  assert.strictEqual(status, 400);
+  assert.strictEqual(
+    body.reason,
+    "Too many files were uploaded as images (limit 3)."
+  );
+});
+
+test("files that add up past the total budget are refused", async () => {
+  // Each image is under the per-file limit; together they are not
+  const { status, body } = await uploadImages([600_000, 600_000]);
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.reason, "The uploaded files add up to more than 1MB");
+});
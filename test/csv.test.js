@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { parseCsv, toCsv } = require("../lib/csv");
+
+test("cells with delimiters and quotes round-trip", () => {
+  const records = [{ brandName: 'OLD "TOM", LTD', netContents: "750 mL" }];
+  const csv = toCsv(records, ["brandName", "netContents"]);
+  assert.strictEqual(
+    csv,
+    'brandName,netContents\r\n"OLD ""TOM"", LTD",750 mL\r\n'
+  );
+  assert.deepStrictEqual(parseCsv(csv), records);
+});
+
+test("text a spreadsheet would run as a formula is written as text", () => {
+  const formulas = [
+    '=HYPERLINK("http://example.com")',
+    "+1",
+    "-1+2",
+    "@SUM(A1)",
+    "\tcmd",
+    "\rcmd",
+  ];
+  const csv = toCsv(
+    formulas.map((brandName) => ({ brandName })),
+    ["brandName"]
+  );
+  assert.deepStrictEqual(
+    parseCsv(csv).map((r) => r.brandName),
+    formulas.map((f) => `'${f}`)
+  );
+});
+
+test("numbers are written as they are", () => {
+  assert.strictEqual(toCsv([{ row: -1 }], ["row"]), "row\r\n-1\r\n");
+});
@@ -0,0 +1,132 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+
+const {
+  normalizeImage,
+  isSupportedUpload,
+} = require("../lib/image-normalizer");
+const { hashImage } = require("../lib/image-hash");
+
+const BOURBON = fs.readFileSync(
+  path.join(__dirname, "..", "fixtures", "images", "bourbon.png")
+);
+
+test("an image the provider reads is passed through", async () => {
+  const { image, normalization } = await normalizeImage({
+    buffer: BOURBON,
+    filename: "bourbon.png",
+    mimetype: "image/png",
+  });
+  assert.strictEqual(image.buffer, BOURBON);
+  assert.strictEqual(normalization.changed, false);
+  assert.strictEqual(normalization.original.hash, hashImage(BOURBON));
+});
+
+/**
+ * The bourbon fixture in another format, as an upload
+ */
+async function convertedFixture(format, mimetype) {
+  const buffer = await sharp(BOURBON)[format]().toBuffer();
+  return { buffer, filename: `bourbon.${format}`, mimetype };
+}
+
+for (const [format, mimetype] of [
+  ["jpeg", "image/jpeg"],
+  ["gif", "image/gif"],
+  ["tiff", "image/tiff"],
+]) {
+  test(`${format.toUpperCase()} is sent to the provider as it is`, async () => {
+    const upload = await convertedFixture(format, mimetype);
+    const { image, normalization } = await normalizeImage(upload);
+    assert.strictEqual(image.buffer, upload.buffer);
+    assert.strictEqual(image.mimetype, mimetype);
+    assert.strictEqual(normalization.changed, false);
+  });
+}
+
+for (const [format, mimetype] of [
+  ["webp", "image/webp"],
+  ["avif", "image/avif"],
+]) {
+  test(`${format.toUpperCase()} is converted to JPEG`, async () => {
+    const upload = await convertedFixture(format, mimetype);
+    const { image, normalization } = await normalizeImage(upload);
+    assert.strictEqual(image.mimetype, "image/jpeg");
+    assert.strictEqual(image.filename, "bourbon.jpg");
+    assert.strictEqual((await sharp(image.buffer).metadata()).format, "jpeg");
+    assert.ok(normalization.changes[0].startsWith("Converted "));
+  });
+}
+
+for (const [filename, mimetype, name] of [
+  ["label.heic", "image/heic", "HEIC"],
+  ["label.heif", "image/heif", "HEIC"],
+  ["label.bmp", "image/bmp", "BMP"],
+  ["label.svg", "image/svg+xml", "SVG"],
+  ["label.pdf", "application/pdf", "PDF"],
+]) {
+  test(`${filename} is refused`, async () => {
+    assert.ok(isSupportedUpload({ originalname: filename, mimetype }));
+    await assert.rejects(
+      normalizeImage({ buffer: Buffer.alloc(64), filename, mimetype }),
+      {
+        code: "BAD_IMAGE",
+        status: 415,
+        message: `${name} files cannot be read. Please upload a JPEG or PNG photo instead.`,
+      }
+    );
+  });
+}
+
+test("an SVG sent as a PNG is refused by its content", async () => {
+  const svg = Buffer.from(
+    '<svg xmlns="http://www.w3.org/2000/svg" width="40" height="20"><script>alert(1)</script><text y="15">45%</text></svg>'
+  );
+  await assert.rejects(
+    normalizeImage({
+      buffer: svg,
+      filename: "label.png",
+      mimetype: "image/png",
+    }),
+    {
+      code: "BAD_IMAGE",
+      status: 415,
+      message:
+        "SVG files cannot be read. Please upload a JPEG or PNG photo instead.",
+    }
+  );
+});
+
+test("only raster images and formats refused by name are accepted", () => {
+  for (const mimetype of ["image/png", "image/jpeg", "image/webp"]) {
+    assert.strictEqual(isSupportedUpload({ mimetype }), true, mimetype);
+  }
+  for (const mimetype of [
+    "image/x-icon",
+    "image/vnd.adobe.photoshop",
+    "text/html",
+  ]) {
+    assert.strictEqual(isSupportedUpload({ mimetype }), false, mimetype);
+  }
+  assert.strictEqual(
+    isSupportedUpload({ originalname: "label.svg", mimetype: "" }),
+    true
+  );
+});
+
+test("a converted image keeps the hash of the upload", async () => {
+  const webp = await sharp(BOURBON).webp().toBuffer();
+  const { image, normalization } = await normalizeImage({
+    buffer: webp,
+    filename: "bourbon.webp",
+    mimetype: "image/webp",
+  });
+  assert.strictEqual(image.mimetype, "image/jpeg");
+  assert.strictEqual(normalization.changed, true);
+  assert.ok(normalization.changes.includes("Converted WEBP to JPEG"));
+  assert.strictEqual(normalization.original.hash, hashImage(webp));
+  assert.notStrictEqual(hashImage(image.buffer), hashImage(webp));
+});
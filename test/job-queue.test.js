@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+process.env.LOG_LEVEL = "error";
+
+const { createJobQueue } = require("../lib/job-queue");
+
+/**
+ * Run one task on a fresh queue and wait for the job to finish
+ * @returns {Promise<object>} The finished job
+ */
+function runJob(task) {
+  const queue = createJobQueue({ concurrency: 1 });
+  const job = queue.enqueue(task);
+  return new Promise((resolve) => {
+    queue.subscribe(job.id, (event) => {
+      if (event.stage === "done" || event.stage === "failed") resolve(job);
+    });
+  });
+}
+
+test("a job that answers 200 is done", async () => {
+  const job = await runJob(async () => ({
+    status: 200,
+    body: { success: false, reason: "Could not find required labels" },
+  }));
+  assert.strictEqual(job.status, "done");
+  assert.strictEqual(job.result.status, 200);
+  assert.strictEqual(job.events.at(-1).stage, "done");
+});
+
+test("a job that answers with an error status failed", async () => {
+  const job = await runJob(async () => ({
+    status: 503,
+    body: { success: false, reason: "OCR service unavailable" },
+  }));
+  assert.strictEqual(job.status, "failed");
+  assert.strictEqual(job.result.status, 503);
+  const last = job.events.at(-1);
+  assert.strictEqual(last.stage, "failed");
+  assert.strictEqual(last.message, "OCR service unavailable");
+  assert.strictEqual(last.status, 503);
+});
+
+test("a job that throws failed with a generic reason", async () => {
+  const job = await runJob(async () => {
+    throw new Error("boom");
+  });
+  assert.strictEqual(job.status, "failed");
+  assert.strictEqual(job.result.status, 500);
+  assert.strictEqual(job.events.at(-1).message, "Internal server error");
+});
@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+
+process.env.OCR_PROVIDER = "replay";
+process.env.LOG_LEVEL = "error";
+
+const {
+  extractRequestData,
+  verifySubmission,
+} = require("../lib/upload-processor");
+
+const BOURBON = {
+  buffer: fs.readFileSync(
+    path.join(__dirname, "..", "fixtures", "images", "bourbon.png")
+  ),
+  filename: "bourbon.png",
+  mimetype: "image/png",
+};
+
+/**
+ * Explanation given for a wrong alcohol content on the bourbon label
+ */
+async function alcoholExplanation(alcoholContent) {
+  const { body } = await verifySubmission(
+    BOURBON,
+    extractRequestData({
+      brandName: "OLD TOM'S",
+      productClass: "Kentucky Straight Bourbon Whiskey",
+      alcoholContent,
+      netContents: "750 mL",
+      commodity: "spirits",
+    }),
+    { save: false }
+  );
+  assert.deepStrictEqual(body.labelChecks.missing, ["alcoholContent"]);
+  return body.labelChecks.fields.alcoholContent.explanation;
+}
+
+test("an alcohol content entered with a percent sign reads once", async () => {
+  const expected = "Alcohol content on label is 45% but 40% was entered";
+  assert.strictEqual(await alcoholExplanation("40"), expected);
+  assert.strictEqual(await alcoholExplanation("40%"), expected);
+  assert.strictEqual(await alcoholExplanation("40 %"), expected);
+});
@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+
+process.env.OCR_PROVIDER = "replay";
+process.env.LOG_LEVEL = "error";
+
+const { standardOfFill, checkNetContents } = require("../lib/net-contents");
+const {
+  extractRequestData,
+  verifySubmission,
+} = require("../lib/upload-processor");
+
+/**
+ * A label image from fixtures/images as an upload
+ */
+function labelImage(name) {
+  return {
+    buffer: fs.readFileSync(
+      path.join(__dirname, "..", "fixtures", "images", name)
+    ),
+    filename: name,
+    mimetype: "image/png",
+  };
+}
+
+test("every 27 CFR 4.72 size is a wine standard of fill", () => {
+  for (const ml of [
+    50, 100, 180, 187, 200, 250, 300, 330, 355, 360, 375, 400, 450, 473, 500,
+    550, 568, 600, 620, 700, 720, 750, 1000, 1500, 1800, 2250, 3000, 4000,
+  ]) {
+    assert.strictEqual(standardOfFill(ml).wine, true, `${ml} mL`);
+  }
+  assert.strictEqual(standardOfFill(650).wine, false);
+  assert.strictEqual(standardOfFill(3500).wine, false);
+});
+
+test("the size is only checked against the commodity being verified", () => {
+  const warning = (entered, commodity) =>
+    checkNetContents(entered, entered, { commodity }).warning;
+  assert.strictEqual(warning("300 mL", "wine"), null);
+  assert.strictEqual(
+    warning("300 mL", "spirits"),
+    "300 mL is not a standard of fill for distilled spirits"
+  );
+  assert.strictEqual(
+    warning("1.75 L", "wine"),
+    "1.75 L is not a standard of fill for wine"
+  );
+  assert.strictEqual(warning("1.75 L", "spirits"), null);
+  assert.strictEqual(warning("16 fl oz", "malt"), null);
+  // Without a commodity either list will do
+  assert.strictEqual(warning("1.75 L"), null);
+  assert.strictEqual(
+    warning("650 mL"),
+    "650 mL is not a standard of fill for distilled spirits or wine"
+  );
+});
+
+test("a 300 mL wine label passes without a fill warning", async () => {
+  const { status, body } = await verifySubmission(
+    labelImage("wine-300ml.png"),
+    extractRequestData({
+      brandName: "RIVER BEND",
+      productClass: "Cabernet Sauvignon",
+      alcoholContent: "13.5",
+      netContents: "300 mL",
+      healthWarning: "true",
+      commodity: "wine",
+    }),
+    { save: false }
+  );
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.reason, "All labels verified successfully");
+  assert.strictEqual(body.labelChecks.fields.netContents.found, true);
+  assert.strictEqual(body.labelChecks.fields.netContents.warning, null);
+  assert.ok(body.labelChecks.rules.every((r) => r.passed));
+});
@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+process.env.LOG_LEVEL = "error";
+
+const { createRateLimiter } = require("../lib/rate-limiter");
+const { createRateLimitMiddleware } = require("../lib/quota-handler");
+
+/**
+ * Run a middleware on a request from one client and a response recording
+ * what was sent
+ */
+function call(middleware, req = {}) {
+  const res = {
+    statusCode: null,
+    body: null,
+    headers: {},
+    set(name, value) {
+      this.headers[name] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  let passed = false;
+  middleware({ ip: "10.0.0.1", ...req }, res, () => {
+    passed = true;
+  });
+  return { passed, res };
+}
+
+/**
+ * Rate limiting with a fixed clock and a limit of 10 a minute
+ */
+function limited() {
+  return createRateLimitMiddleware(
+    createRateLimiter({
+      limits: [{ windowMs: 60 * 1000, max: 10 }],
+      now: () => 0,
+    })
+  );
+}
+
+test("each label image read counts against the limit", () => {
+  const rateLimited = limited();
+  const threePanels = rateLimited(() => 3);
+  for (let i = 0; i < 3; i++) {
+    assert.strictEqual(call(threePanels).passed, true);
+  }
+  const { passed, res } = call(threePanels);
+  assert.strictEqual(passed, false);
+  assert.strictEqual(res.statusCode, 429);
+  assert.strictEqual(res.headers["Retry-After"], "60");
+  // The refused request was not counted, so one image still fits
+  assert.strictEqual(call(rateLimited()).passed, true);
+  assert.strictEqual(call(rateLimited()).passed, false);
+});
+
+test("a batch larger than the limit is refused outright", () => {
+  const { passed, res } = call(limited()(() => 25));
+  assert.strictEqual(passed, false);
+  assert.strictEqual(res.statusCode, 429);
+  assert.strictEqual(res.headers["Retry-After"], undefined);
+  assert.match(
+    res.body.reason,
+    /reads 25 label images and the rate limit is 10/
+  );
+});
+
+test("a request counts at least once", () => {
+  const rateLimited = limited();
+  const none = rateLimited(() => 0);
+  for (let i = 0; i < 10; i++) assert.strictEqual(call(none).passed, true);
+  assert.strictEqual(call(none).passed, false);
+});
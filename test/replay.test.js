@@ -0,0 +1,117 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+
+// Modules read their configuration when first required
+process.env.OCR_PROVIDER = "replay";
+process.env.LOG_LEVEL = "error";
+
+const replay = require("../lib/ocr-providers/replay");
+const { hashImage } = require("../lib/image-hash");
+const {
+  extractRequestData,
+  verifySubmission,
+} = require("../lib/upload-processor");
+
+const IMAGES_DIR = path.join(__dirname, "..", "fixtures", "images");
+
+/**
+ * A label image from fixtures/images as an upload
+ */
+function labelImage(name) {
+  return {
+    buffer: fs.readFileSync(path.join(IMAGES_DIR, name)),
+    filename: name,
+    mimetype: "image/png",
+  };
+}
+
+const BOURBON = {
+  brandName: "OLD TOM'S",
+  productClass: "Kentucky Straight Bourbon Whiskey",
+  alcoholContent: "45",
+  netContents: "750 mL",
+  healthWarning: "true",
+  commodity: "spirits",
+};
+
+test("every OCR fixture is keyed by the hash of a fixture image", () => {
+  const hashes = fs
+    .readdirSync(IMAGES_DIR)
+    .map((name) => hashImage(fs.readFileSync(path.join(IMAGES_DIR, name))));
+  fs.readdirSync(replay.OCR_REPLAY_DIR).forEach((file) => {
+    assert.ok(hashes.includes(file.split(".")[0]), `${file} has no image`);
+  });
+});
+
+test("replay serves the stored response for an image", async () => {
+  const outcome = await replay.recognize(labelImage("bourbon.png"));
+  assert.strictEqual(outcome.success, true);
+  assert.match(outcome.result.text, /Kentucky Straight Bourbon Whiskey/);
+  assert.ok(outcome.result.words.length > 0);
+  assert.deepStrictEqual(Object.keys(outcome.result.words[0].box), [
+    "left",
+    "top",
+    "width",
+    "height",
+  ]);
+});
+
+test("replay answers 502 for an image with no recording", async () => {
+  const outcome = await replay.recognize({
+    buffer: Buffer.from("not recorded"),
+    filename: "x.png",
+    mimetype: "image/png",
+  });
+  assert.strictEqual(outcome.success, false);
+  assert.strictEqual(outcome.status, 502);
+  assert.match(outcome.body.reason, /No recorded OCR response/);
+});
+
+test("a correct spirits label passes offline", async () => {
+  const { status, body } = await verifySubmission(
+    labelImage("bourbon.png"),
+    extractRequestData(BOURBON),
+    { save: false }
+  );
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.reason, "All labels verified successfully");
+  assert.strictEqual(body.success, true);
+  assert.deepStrictEqual(body.labelChecks.missing, []);
+  assert.ok(body.labelChecks.rules.every((r) => r.passed));
+});
+
+test("a wrong brand name fails offline", async () => {
+  const { status, body } = await verifySubmission(
+    labelImage("bourbon.png"),
+    extractRequestData({ ...BOURBON, brandName: "NEW HARRY'S" }),
+    { save: false }
+  );
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.success, false);
+  assert.deepStrictEqual(body.labelChecks.missing, ["brandName"]);
+});
+
+test("a cached result is only re-verified for the tenant that uploaded it", async () => {
+  const acme = { id: "acme", settings: {} };
+  const first = await verifySubmission(
+    labelImage("bourbon.png"),
+    extractRequestData(BOURBON),
+    { save: false, tenant: acme }
+  );
+  const reverify = (tenant) =>
+    verifySubmission(
+      { hash: first.body.imageHash },
+      extractRequestData(BOURBON),
+      {
+        save: false,
+        cacheOnly: true,
+        tenant,
+      }
+    );
+  assert.strictEqual((await reverify(acme)).status, 200);
+  const other = await reverify({ id: "globex", settings: {} });
+  assert.strictEqual(other.status, 404);
+  assert.match(other.body.reason, /No cached OCR result/);
+});
@@ -0,0 +1,180 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ocr-label-review-"));
+process.env.SUBMISSIONS_DIR = dir;
+process.env.WEBHOOKS_FILE = path.join(dir, "webhooks.json");
+process.env.LOG_LEVEL = "error";
+
+const { submissionStore } = require("../lib/submission-store");
+const { applyOverrides, submitReview } = require("../lib/review-handler");
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Minimal Express response that records what was sent
+ */
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+/**
+ * Save a failed submission awaiting review whose fields were all found but
+ * whose alcohol-content-format rule failed
+ */
+async function ruleFailure() {
+  return submissionStore.save({
+    verdict: "fail",
+    reason: "Label does not meet 1 Distilled spirits rule(s)",
+    tenant: "acme",
+    submittedFields: { brandName: "OLD TOM'S", alcoholContent: "45" },
+    labelChecks: {
+      found: ["brandName", "alcoholContent"],
+      missing: [],
+      fields: {},
+      rules: [
+        {
+          id: "brand-name",
+          type: "requiredField",
+          field: "brandName",
+          severity: "error",
+          passed: true,
+        },
+        {
+          id: "alcohol-content-format",
+          type: "pattern",
+          severity: "error",
+          passed: false,
+          detail: "No matching text on label",
+        },
+      ],
+    },
+    review: {
+      status: "pending",
+      requestedAt: new Date().toISOString(),
+      requestedBy: "submit1",
+    },
+  });
+}
+
+/**
+ * POST a review of a submission, signed in with apiKey when given
+ */
+async function review(id, body, apiKey = null) {
+  const res = fakeResponse();
+  await submitReview(
+    { params: { id }, body, apiKey, tenant: apiKey && { id: "acme" } },
+    res
+  );
+  return res;
+}
+
+test("a failed rule keeps failing when the reviewer does not override it", async () => {
+  const record = await ruleFailure();
+  const res = await review(record.id, { reviewer: "pat", overrides: {} });
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.submission.verdict, "fail");
+  assert.strictEqual(
+    res.body.submission.reason,
+    "Label rejected by human review"
+  );
+});
+
+test("a reviewer can pass a failed rule by its id", async () => {
+  const record = await ruleFailure();
+  const res = await review(record.id, {
+    reviewer: "pat",
+    ruleOverrides: {
+      "alcohol-content-format": { status: "pass", comment: " Read it " },
+    },
+  });
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.submission.verdict, "pass");
+  assert.deepStrictEqual(res.body.submission.review.ruleOverrides, {
+    "alcohol-content-format": { status: "pass", comment: "Read it" },
+  });
+});
+
+test("overrides of unknown rules are refused", async () => {
+  const record = await ruleFailure();
+  const res = await review(record.id, {
+    ruleOverrides: { "no-such-rule": { status: "pass" } },
+  });
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(res.body.reason, "Unknown rule: no-such-rule");
+});
+
+test("a requiredField rule follows the override of its field", () => {
+  const effective = applyOverrides(
+    {
+      found: ["brandName"],
+      missing: [],
+      rules: [
+        {
+          id: "brand-name",
+          type: "requiredField",
+          field: "brandName",
+          severity: "error",
+          passed: true,
+        },
+      ],
+    },
+    { brandName: { status: "fail" } }
+  );
+  assert.deepStrictEqual(effective.missing, ["brandName"]);
+  assert.strictEqual(effective.rules[0].passed, false);
+});
+
+test("the signed-in key is recorded as the reviewer", async () => {
+  const record = await ruleFailure();
+  const res = await review(
+    record.id,
+    { reviewer: "Someone Else", overrides: {} },
+    { id: "review1", label: "Pat Lee", role: "reviewer" }
+  );
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.submission.review.reviewer, "Pat Lee");
+  assert.strictEqual(res.body.submission.review.reviewerKeyId, "review1");
+});
+
+test("the key that asked for a review cannot save it", async () => {
+  const record = await ruleFailure();
+  const res = await review(
+    record.id,
+    { overrides: {} },
+    { id: "submit1", label: "CI pipeline", role: "reviewer" }
+  );
+  assert.strictEqual(res.statusCode, 403);
+});
+
+test("a completed review cannot be saved again", async () => {
+  const record = await ruleFailure();
+  const first = await review(record.id, { reviewer: "pat", overrides: {} });
+  assert.strictEqual(first.statusCode, 200);
+  const again = await review(record.id, {
+    reviewer: "sam",
+    ruleOverrides: { "alcohol-content-format": { status: "pass" } },
+  });
+  assert.strictEqual(again.statusCode, 409);
+  assert.strictEqual(
+    again.body.reason,
+    "This submission has already been reviewed"
+  );
+  assert.strictEqual(again.body.review.reviewer, "pat");
+  const stored = await submissionStore.get(record.id);
+  assert.strictEqual(stored.verdict, "fail");
+});
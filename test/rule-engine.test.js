@@ -0,0 +1,100 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+
+process.env.OCR_PROVIDER = "replay";
+process.env.LOG_LEVEL = "error";
+
+const { loadRules, runRules } = require("../lib/rule-engine");
+const {
+  extractRequestData,
+  verifySubmission,
+} = require("../lib/upload-processor");
+
+/**
+ * A label image from fixtures/images as an upload
+ */
+function labelImage(name) {
+  return {
+    buffer: fs.readFileSync(
+      path.join(__dirname, "..", "fixtures", "images", name)
+    ),
+    filename: name,
+    mimetype: "image/png",
+  };
+}
+
+/**
+ * Outcome of one spirits rule for a piece of label text
+ */
+async function spiritsRule(id, parsedText) {
+  const ruleSet = await loadRules("spirits");
+  const labelChecks = { found: [], missing: [], fields: {} };
+  return runRules(ruleSet, { parsedText, labelChecks }).find(
+    (r) => r.id === id
+  );
+}
+
+test("alcohol-content-format accepts the 27 CFR 5.65 wordings", async () => {
+  for (const text of [
+    "45% Alc./Vol.",
+    "45% alc by vol",
+    "40% ALCOHOL BY VOLUME",
+    "45% ABV",
+    "ALC. 40% BY VOL.",
+    "ALC 40% BY VOL",
+    "ALCOHOL 40% BY VOLUME",
+    "Alcohol 12,5% by volume",
+  ]) {
+    const rule = await spiritsRule("alcohol-content-format", text);
+    assert.strictEqual(rule.passed, true, text);
+  }
+});
+
+test("alcohol-content-format refuses statements without by volume", async () => {
+  for (const text of ["90 Proof", "40%", "ALC. 40%", "750 mL"]) {
+    const rule = await spiritsRule("alcohol-content-format", text);
+    assert.strictEqual(rule.passed, false, text);
+  }
+});
+
+test("forbidden wording only matches whole words", async () => {
+  for (const text of [
+    "Bottled in a cask that secures its flavour",
+    "Procures the finest grain",
+  ]) {
+    const rule = await spiritsRule("no-curative-claims", text);
+    assert.strictEqual(rule.passed, true, text);
+  }
+  const rule = await spiritsRule("no-curative-claims", "Cures what ails you");
+  assert.strictEqual(rule.passed, false);
+  assert.strictEqual(rule.detail, 'Prohibited wording: "cures"');
+});
+
+test("labels stating ALC. 40% BY VOL. and ALCOHOL 40% BY VOLUME pass", async () => {
+  for (const [image, brandName, productClass] of [
+    ["vodka-alc-first.png", "NORTH STAR", "Vodka"],
+    ["gin-alcohol-by-volume.png", "HARBOR LIGHT", "London Dry Gin"],
+  ]) {
+    const { status, body } = await verifySubmission(
+      labelImage(image),
+      extractRequestData({
+        brandName,
+        productClass,
+        alcoholContent: "40",
+        netContents: "750 mL",
+        healthWarning: "true",
+        commodity: "spirits",
+      }),
+      { save: false }
+    );
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(
+      body.labelChecks.rules.filter((r) => !r.passed).map((r) => r.id),
+      [],
+      image
+    );
+    assert.strictEqual(body.success, true, image);
+  }
+});
@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ocr-label-images-"));
+process.env.SUBMISSIONS_DIR = dir;
+process.env.LOG_LEVEL = "error";
+
+const { submissionStore } = require("../lib/submission-store");
+const { getSubmissionImage } = require("../lib/submission-handler");
+const { hashImage } = require("../lib/image-hash");
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * GET a submission image through a one-route app
+ * @returns {Promise<Response>} The response
+ */
+async function fetchImage(id, query = "") {
+  const app = express();
+  app.get("/submissions/:id/image", getSubmissionImage);
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  try {
+    const { port } = server.address();
+    const res = await fetch(
+      `http://127.0.0.1:${port}/submissions/${id}/image${query}`
+    );
+    await res.arrayBuffer();
+    return res;
+  } finally {
+    server.close();
+  }
+}
+
+const jpeg = Buffer.from("jpeg read by OCR");
+const svg = Buffer.from(
+  '<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>'
+);
+
+test("an original that is not a raster image is only a download", async () => {
+  const record = await submissionStore.save({
+    verdict: "pass",
+    image: {
+      buffer: jpeg,
+      mimetype: "image/jpeg",
+      hash: hashImage(jpeg),
+      original: {
+        buffer: svg,
+        mimetype: "image/svg+xml",
+        hash: hashImage(svg),
+      },
+    },
+  });
+
+  const original = await fetchImage(record.id, "?original=1");
+  assert.strictEqual(original.status, 200);
+  assert.strictEqual(
+    original.headers.get("content-type"),
+    "application/octet-stream"
+  );
+  assert.match(original.headers.get("content-disposition"), /^attachment/);
+  assert.strictEqual(original.headers.get("x-content-type-options"), "nosniff");
+  assert.match(original.headers.get("content-security-policy"), /sandbox/);
+
+  const read = await fetchImage(record.id);
+  assert.strictEqual(read.headers.get("content-type"), "image/jpeg");
+  assert.strictEqual(read.headers.get("content-disposition"), null);
+  assert.strictEqual(read.headers.get("x-content-type-options"), "nosniff");
+});
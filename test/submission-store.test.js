@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ocr-label-store-"));
+process.env.LOG_LEVEL = "error";
+
+const { createSubmissionStore } = require("../lib/submission-store");
+const { hashImage } = require("../lib/image-hash");
+
+const store = createSubmissionStore({ dir });
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// The image read by OCR and the upload it was converted from
+const read = Buffer.from("jpeg sent to OCR");
+const upload = Buffer.from("webp as uploaded");
+
+test("the upload is kept alongside a converted image", async () => {
+  const record = await store.save({
+    verdict: "pass",
+    image: {
+      buffer: read,
+      filename: "label.jpg",
+      mimetype: "image/jpeg",
+      hash: hashImage(read),
+      original: {
+        buffer: upload,
+        filename: "label.webp",
+        mimetype: "image/webp",
+        hash: hashImage(upload),
+      },
+    },
+  });
+  assert.strictEqual(record.image.file, `${hashImage(read)}.jpg`);
+  assert.deepStrictEqual(record.image.original, {
+    filename: "label.webp",
+    mimetype: "image/webp",
+    hash: hashImage(upload),
+    file: `${hashImage(upload)}.webp`,
+    size: upload.length,
+  });
+  assert.deepStrictEqual(await store.readImage(record), read);
+  assert.deepStrictEqual(
+    await store.readImage(record, null, { original: true }),
+    upload
+  );
+});
+
+test("a re-verification by hash keeps the upload it came from", async () => {
+  const record = await store.save({
+    verdict: "pass",
+    image: { hash: hashImage(read) },
+  });
+  assert.strictEqual(record.image.original.hash, hashImage(upload));
+  assert.deepStrictEqual(
+    await store.readImage(record, null, { original: true }),
+    upload
+  );
+});
+
+test("an image read as uploaded has no original", async () => {
+  const plain = Buffer.from("png read as uploaded");
+  const record = await store.save({
+    verdict: "pass",
+    image: { buffer: plain, mimetype: "image/png", hash: hashImage(plain) },
+  });
+  assert.strictEqual(record.image.original, undefined);
+  assert.strictEqual(
+    await store.readImage(record, null, { original: true }),
+    null
+  );
+});
+
+test("tenants keep their own copy of the same image", async () => {
+  const shared = Buffer.from("png uploaded by two tenants");
+  const image = {
+    buffer: shared,
+    mimetype: "image/png",
+    hash: hashImage(shared),
+    original: {
+      buffer: upload,
+      mimetype: "image/webp",
+      hash: hashImage(upload),
+    },
+  };
+  const acme = await store.save({ tenant: "acme", verdict: "pass", image });
+  const globex = await store.save({ tenant: "globex", verdict: "pass", image });
+  assert.strictEqual(acme.image.file, `acme/${hashImage(shared)}.png`);
+  assert.strictEqual(globex.image.file, `globex/${hashImage(shared)}.png`);
+  assert.deepStrictEqual(await store.readImage(globex), shared);
+
+  // A hash another tenant uploaded finds nothing to reuse
+  const reverified = await store.save({
+    tenant: "initech",
+    verdict: "pass",
+    image: { hash: hashImage(shared) },
+  });
+  assert.strictEqual(reverified.image.file, null);
+  assert.strictEqual(reverified.image.original, undefined);
+  assert.strictEqual(await store.readImage(reverified), null);
+});
@@ -0,0 +1,148 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const axios = require("axios");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ocr-label-webhooks-"));
+process.env.WEBHOOKS_FILE = path.join(dir, "webhooks.json");
+process.env.LOG_LEVEL = "error";
+
+const {
+  isPrivateAddress,
+  pinnedLookup,
+  createWebhookDispatcher,
+} = require("../lib/webhook-dispatcher");
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const HOOK = {
+  id: "wh_1",
+  tenant: "acme",
+  url: "https://hooks.example.com/label",
+  secret: "s3cret",
+};
+
+/**
+ * Deliver one event with a fake store and transport
+ * @param {function} lookup - Resolves a hostname to [{ address }]
+ * @param {string} [url] - Receiver URL, instead of the hook's own
+ * @returns {Promise<{delivery: object, posts: object[]}>} The delivery as
+ *   logged and the requests made
+ */
+function deliverOnce(lookup, url = HOOK.url) {
+  const hook = { ...HOOK, url };
+  const posts = [];
+  return new Promise((resolve) => {
+    const dispatcher = createWebhookDispatcher({
+      store: {
+        get: () => hook,
+        recordDelivery: (delivery) => resolve({ delivery, posts }),
+      },
+      lookup,
+      allowPrivate: false,
+      retryDelays: [],
+      post: async (url, body, headers, pinned) => {
+        posts.push({ url, pinned });
+        return { status: 204 };
+      },
+    });
+    dispatcher.deliver(hook, "submission.verified", {});
+  });
+}
+
+test("the receiver is called at the address that was checked", async () => {
+  // A rebinding name answers with a public address for the check and a
+  // private one afterwards
+  const answers = ["93.184.216.34", "127.0.0.1"];
+  const { delivery, posts } = await deliverOnce(async () => [
+    { address: answers.shift() },
+  ]);
+  assert.strictEqual(delivery.status, "delivered");
+  assert.deepStrictEqual(posts, [
+    {
+      url: HOOK.url,
+      pinned: { address: "93.184.216.34", family: 4 },
+    },
+  ]);
+});
+
+test("a receiver on a private network is refused", async () => {
+  const { delivery, posts } = await deliverOnce(async () => [
+    { address: "93.184.216.34" },
+    { address: "10.0.0.5" },
+  ]);
+  assert.strictEqual(delivery.status, "failed");
+  assert.match(delivery.attempts[0].error, /private network/);
+  assert.deepStrictEqual(posts, []);
+});
+
+test("an IPv4-mapped loopback address is refused in hex form", async () => {
+  // The URL parser rewrites [::ffff:127.0.0.1] to [::ffff:7f00:1]
+  const url = "http://[::ffff:127.0.0.1]:8080/hook";
+  assert.strictEqual(new URL(url).hostname, "[::ffff:7f00:1]");
+  const { delivery, posts } = await deliverOnce(async () => {
+    throw new Error("an IP address is not looked up");
+  }, url);
+  assert.strictEqual(delivery.status, "failed");
+  assert.match(delivery.attempts[0].error, /private network/);
+  assert.deepStrictEqual(posts, []);
+});
+
+test("addresses outside the public internet are private", () => {
+  [
+    "0.1.2.3",
+    "100.64.0.1",
+    "127.0.0.1",
+    "169.254.169.254",
+    "198.18.0.1",
+    "198.19.255.255",
+    "240.0.0.1",
+    "::",
+    "::1",
+    "::ffff:7f00:1",
+    "::ffff:127.0.0.1",
+    "0:0:0:0:0:ffff:a00:1",
+    "64:ff9b::7f00:1",
+    "64:ff9b::93.184.216.34",
+    "fd00::1",
+    "fe80::1",
+    "not an address",
+  ].forEach((address) =>
+    assert.strictEqual(isPrivateAddress(address), true, address)
+  );
+  [
+    "93.184.216.34",
+    "::ffff:5db8:d822",
+    "100.128.0.1",
+    "198.20.0.1",
+    "2606:2800:220:1::1",
+  ].forEach((address) =>
+    assert.strictEqual(isPrivateAddress(address), false, address)
+  );
+});
+
+test("a pinned lookup connects without resolving the name", async () => {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { "Content-Type": "text/plain" });
+    res.end(req.headers.host);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+  try {
+    const response = await axios.post(
+      `http://receiver.invalid:${port}/`,
+      "{}",
+      {
+        proxy: false,
+        lookup: pinnedLookup({ address: "127.0.0.1", family: 4 }),
+      }
+    );
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.data, `receiver.invalid:${port}`);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,143 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const zlib = require("zlib");
+
+const { readZip } = require("../lib/zip-reader");
+
+/**
+ * Build a ZIP archive of deflated entries
+ * @param {{name: string, data: Buffer, size?: number}[]} entries - size
+ *   overrides the uncompressed size written to the headers
+ */
+function makeZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  entries.forEach(({ name, data, size }) => {
+    const nameBytes = Buffer.from(name, "utf8");
+    const compressed = zlib.deflateRawSync(data);
+    const declared = size === undefined ? data.length : size;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x800, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(declared, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(declared, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBytes, compressed);
+    centrals.push(central, nameBytes);
+    offset += local.length + nameBytes.length + compressed.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+const zeros = (size) => Buffer.alloc(size);
+
+test("entries are extracted", () => {
+  const files = readZip(
+    makeZip([
+      { name: "a.png", data: Buffer.from("first") },
+      { name: "b.png", data: Buffer.from("second") },
+    ])
+  );
+  assert.deepStrictEqual(
+    files.map((f) => [f.name, f.buffer.toString()]),
+    [
+      ["a.png", "first"],
+      ["b.png", "second"],
+    ]
+  );
+});
+
+test("an archive with too many entries is refused", () => {
+  const zip = makeZip(
+    Array.from({ length: 5 }, (_, i) => ({
+      name: `${i}.png`,
+      data: Buffer.from("x"),
+    }))
+  );
+  assert.throws(() => readZip(zip, { maxEntries: 4 }), {
+    code: "BAD_ZIP",
+    message: "ZIP has 5 entries; the limit is 4",
+  });
+  assert.strictEqual(readZip(zip, { maxEntries: 5 }).length, 5);
+});
+
+test("an entry cannot inflate past its stated size", () => {
+  // The headers claim 1 byte, so the total passes; the real data is larger
+  const lying = makeZip([{ name: "a.png", data: zeros(4096), size: 1 }]);
+  assert.throws(() => readZip(lying, { maxTotalSize: 1024 }), {
+    code: "BAD_ZIP",
+    message: "Corrupt ZIP entry: a.png",
+  });
+});
+
+test("the total size is checked before anything is inflated", () => {
+  const bomb = makeZip([
+    { name: "a.png", data: zeros(3 * 1024 * 1024) },
+    { name: "b.png", data: zeros(3 * 1024 * 1024) },
+  ]);
+  assert.ok(bomb.length < 64 * 1024);
+  assert.throws(() => readZip(bomb, { maxTotalSize: 5 * 1024 * 1024 }), {
+    code: "BAD_ZIP",
+    message: "ZIP files add up to 6 MB uncompressed; the limit is 5 MB",
+  });
+});
+
+test("only included entries are extracted or counted", () => {
+  const zip = makeZip([
+    { name: "wanted.png", data: Buffer.from("label") },
+    { name: "other.png", data: zeros(3 * 1024 * 1024) },
+  ]);
+  const files = readZip(zip, {
+    maxTotalSize: 1024 * 1024,
+    include: (name) => name === "wanted.png",
+  });
+  assert.deepStrictEqual(
+    files.map((f) => f.name),
+    ["wanted.png"]
+  );
+});
+
+test("entries over the entry limit are listed without content", () => {
+  const zip = makeZip([
+    { name: "small.png", data: Buffer.from("ok") },
+    { name: "large.png", data: zeros(2048) },
+  ]);
+  const files = readZip(zip, { maxEntrySize: 1024, maxTotalSize: 1024 });
+  assert.strictEqual(files[0].buffer.toString(), "ok");
+  assert.deepStrictEqual(files[1], {
+    name: "large.png",
+    buffer: null,
+    size: 2048,
+  });
+});
+
+test("a file that is not a ZIP is refused", () => {
+  assert.throws(() => readZip(Buffer.from("not a zip")), {
+    code: "BAD_ZIP",
+    message: "Not a ZIP archive",
+  });
+});